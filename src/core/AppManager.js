@@ -5,7 +5,11 @@ const TranslationManager = require('./translation/TranslationManager');
 const TextSelectionService = require('./TextSelectionService');
 const SettingsStore = require('./SettingsStore');
 const SettingsManager = require('./SettingsManager');
+const ExportService = require('./ExportService');
+const ImportService = require('./ImportService');
+const QuickTranslateService = require('./QuickTranslateService');
 const Logger = require('../utils/Logger');
+const path = require('path');
 
 class AppManager {
     constructor() {
@@ -25,10 +29,12 @@ class AppManager {
             await this.components.settingsStore.initialize();
 
             this.components.translationManager = new TranslationManager();
+            this.components.translationManager.loadProviderPlugins(path.join(app.getPath('userData'), 'providers'));
 
             this.components.settingsManager = new SettingsManager(this.components.settingsStore);
             this.components.settingsManager.setTranslationManager(this.components.translationManager);
             await this.components.settingsManager.initialize();
+            await this.components.translationManager.initializeStorage();
 
             const settings = this.components.settingsStore.getAll();
             const providerSettings = settings.provider;
@@ -43,16 +49,35 @@ class AppManager {
             this.components.textSelectionService = new TextSelectionService();
             this.components.windowManager = new WindowManager();
 
+            this.components.quickTranslateService = new QuickTranslateService({
+                translationManager: this.components.translationManager,
+                textSelectionService: this.components.textSelectionService,
+                windowManager: this.components.windowManager
+            });
+
             this.components.hotkeyManager = new HotkeyManager({
                 windowManager: this.components.windowManager,
                 textSelectionService: this.components.textSelectionService,
+                quickTranslateService: this.components.quickTranslateService,
+                settingsStore: this.components.settingsStore
+            });
+
+            this.components.exportService = new ExportService({
                 translationManager: this.components.translationManager,
+                windowManager: this.components.windowManager,
                 settingsStore: this.components.settingsStore
             });
 
+            this.components.importService = new ImportService({
+                translationManager: this.components.translationManager,
+                windowManager: this.components.windowManager
+            });
+
             this.components.trayManager = new TrayManager({
                 windowManager: this.components.windowManager,
-                settingsStore: this.components.settingsStore
+                settingsStore: this.components.settingsStore,
+                exportService: this.components.exportService,
+                quickTranslateService: this.components.quickTranslateService
             });
 
             await this.components.windowManager.initialize();
@@ -86,6 +111,18 @@ class AppManager {
         return this.components.settingsManager;
     }
 
+    get exportService() {
+        return this.components.exportService;
+    }
+
+    get importService() {
+        return this.components.importService;
+    }
+
+    get hotkeyManager() {
+        return this.components.hotkeyManager;
+    }
+
     get textSelectionService() {
         return this.components.textSelectionService;
     }
@@ -97,6 +134,10 @@ class AppManager {
             this.components.hotkeyManager.cleanup();
         }
 
+        if (this.components.translationManager) {
+            this.components.translationManager.cleanup();
+        }
+
         if (this.components.settingsStore) {
             this.components.settingsStore.cleanup();
         }
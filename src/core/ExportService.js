@@ -0,0 +1,183 @@
+// File: src/core/ExportService.js
+const { app, dialog } = require('electron');
+const fs = require('fs').promises;
+const Csv = require('../utils/Csv');
+const Tmx = require('../utils/Tmx');
+const Logger = require('../utils/Logger');
+
+const PHRASEBOOK_FORMATS = {
+    csv: { name: 'CSV', extensions: ['csv'] },
+    json: { name: 'JSON', extensions: ['json'] }
+};
+
+const HISTORY_FORMATS = {
+    csv: { name: 'CSV', extensions: ['csv'] },
+    tmx: { name: 'TMX 1.4', extensions: ['tmx'] },
+    anki: { name: 'Anki (TSV)', extensions: ['txt', 'tsv'] }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Экспорт пользовательских данных в файлы через системный диалог сохранения
+ */
+class ExportService {
+    constructor({ translationManager, windowManager, settingsStore } = {}) {
+        this.logger = new Logger('ExportService');
+        this.translationManager = translationManager;
+        this.windowManager = windowManager;
+        this.settingsStore = settingsStore;
+    }
+
+    /**
+     * Экспортирует историю переводов
+     * Незаданные параметры берутся из настроек экспорта (export.*), которые видны в панели настроек.
+     * @param {Object} options
+     * @param {'csv'|'tmx'|'anki'} [options.format] - Формат файла
+     * @param {'all'|'today'|'week'|'month'} [options.period] - Период
+     * @param {string} [options.languagePair] - Пара в виде "en|ru" или пусто для всех
+     */
+    async exportHistory(options = {}) {
+        const settings = this.settingsStore ? this.settingsStore.get('export', {}) || {} : {};
+        const format = HISTORY_FORMATS[options.format] ? options.format : (HISTORY_FORMATS[settings.historyFormat] ? settings.historyFormat : 'csv');
+        const period = options.period || settings.historyPeriod || 'all';
+        const languagePair = options.languagePair !== undefined ? options.languagePair : (settings.historyPair || '');
+
+        const filters = { limit: Infinity, from: this.getPeriodStart(period) };
+        if (languagePair) {
+            [filters.sourceLang, filters.targetLang] = languagePair.split('|');
+        }
+
+        // Для CAT-инструментов и карточек удобнее хронологический порядок
+        const entries = this.translationManager.searchHistory(filters).items.slice().reverse();
+
+        if (entries.length === 0) {
+            return { success: false, error: 'Нет записей для экспорта' };
+        }
+
+        const extension = HISTORY_FORMATS[format].extensions[0];
+
+        return this.saveToFile(() => this.formatHistory(entries, format), {
+            title: 'Экспорт истории переводов',
+            defaultName: `translation-history.${extension}`,
+            filters: [HISTORY_FORMATS[format]]
+        });
+    }
+
+    formatHistory(entries, format) {
+        switch (format) {
+            case 'tmx':
+                return Tmx.build(entries.map(entry => ({
+                    sourceLang: entry.sourceLang,
+                    targetLang: entry.targetLang,
+                    source: entry.text,
+                    target: entry.result,
+                    timestamp: entry.timestamp,
+                    provider: entry.provider
+                })), { creationToolVersion: app.getVersion() });
+
+            case 'anki':
+                return this.formatAnki(entries);
+
+            default: {
+                const rows = [['date', 'source_lang', 'target_lang', 'text', 'translation', 'provider']];
+                entries.forEach(entry => {
+                    rows.push([
+                        new Date(entry.timestamp).toISOString(),
+                        entry.sourceLang,
+                        entry.targetLang,
+                        entry.text,
+                        entry.result,
+                        entry.provider
+                    ]);
+                });
+                // BOM нужен, чтобы Excel открыл кириллицу в UTF-8
+                return '\uFEFF' + Csv.stringify(rows);
+            }
+        }
+    }
+
+    /**
+     * Текстовый файл для импорта в Anki (File → Import)
+     * Заголовки-директивы задают разделитель, поля и колонку тегов,
+     * поэтому импорт не требует ручной настройки.
+     */
+    formatAnki(entries) {
+        const header = [
+            '#separator:tab',
+            '#html:false',
+            '#columns:Front\tBack\tSource language\tTarget language\tTags',
+            '#tags column:5'
+        ].join('\n');
+
+        const rows = entries.map(entry => [
+            entry.text,
+            entry.result,
+            entry.sourceLang,
+            entry.targetLang,
+            `linguaflow ${entry.sourceLang}-${entry.targetLang}`
+        ]);
+
+        return `${header}\n${Csv.stringify(rows, '\t').replace(/\r\n/g, '\n')}`;
+    }
+
+    getPeriodStart(period) {
+        switch (period) {
+            case 'today': {
+                const startOfDay = new Date();
+                startOfDay.setHours(0, 0, 0, 0);
+                return startOfDay.getTime();
+            }
+            case 'week':
+                return Date.now() - 7 * DAY_MS;
+            case 'month':
+                return Date.now() - 30 * DAY_MS;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * @param {'csv'|'json'} format
+     * @returns {Promise<{success: boolean, filePath?: string, canceled?: boolean, error?: string}>}
+     */
+    async exportPhrasebook(format = 'csv') {
+        const fileFormat = PHRASEBOOK_FORMATS[format] ? format : 'csv';
+
+        return this.saveToFile(() => this.translationManager.exportPhrasebook(fileFormat), {
+            title: 'Экспорт разговорника',
+            defaultName: `phrasebook.${fileFormat}`,
+            filters: [PHRASEBOOK_FORMATS[fileFormat]]
+        });
+    }
+
+    /**
+     * Спрашивает путь и записывает содержимое (строится только после выбора файла)
+     */
+    async saveToFile(buildContent, { title, defaultName, filters }) {
+        try {
+            // Из трея окно может быть скрыто — тогда диалог открывается без родителя
+            const mainWindow = this.windowManager ? this.windowManager.getMainWindow() : null;
+            const parent = mainWindow && mainWindow.isVisible() ? mainWindow : null;
+            const options = { title, defaultPath: defaultName, filters };
+
+            const { canceled, filePath } = parent ?
+                await dialog.showSaveDialog(parent, options) :
+                await dialog.showSaveDialog(options);
+
+            if (canceled || !filePath) {
+                return { success: false, canceled: true };
+            }
+
+            await fs.writeFile(filePath, buildContent(), 'utf8');
+            this.logger.info(`Exported to ${filePath}`);
+
+            return { success: true, filePath };
+        } catch (error) {
+            this.logger.error('Export failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = ExportService;
@@ -1,24 +1,53 @@
 const { clipboard } = require('electron');
 const { uIOhook, UiohookKey } = require('uiohook-napi');
+const Hotkey = require('../utils/Hotkey');
 const Logger = require('../utils/Logger');
 
+// Нажатие самих модификаторов не прерывает двойное нажатие
+const MODIFIER_KEYCODES = new Set([
+    UiohookKey.Ctrl, UiohookKey.CtrlRight,
+    UiohookKey.Alt, UiohookKey.AltRight,
+    UiohookKey.Shift, UiohookKey.ShiftRight,
+    UiohookKey.Meta, UiohookKey.MetaRight
+]);
+
 /**
  * Менеджер глобальных горячих клавиш
- * Отвечает за регистрацию и обработку системных горячих клавиш
+ * Сочетания берутся из app.hotkeys и перерегистрируются при изменении настроек
  */
 class HotkeyManager {
-    constructor({ windowManager, textSelectionService, settingsManager } = {}) {
+    constructor({ windowManager, textSelectionService, quickTranslateService, settingsStore } = {}) {
         this.logger = new Logger('HotkeyManager');
         this.windowManager = windowManager;
         this.textSelectionService = textSelectionService;
-        this.settingsManager = settingsManager;
+        this.quickTranslateService = quickTranslateService;
+        this.settingsStore = settingsStore;
 
-        this.ctrlCPressCount = 0;
-        this.ctrlCResetTimer = null;
+        // Счетчик повторных нажатий одного сочетания (для Ctrl+C+C)
+        this.tap = { signature: null, count: 0, timer: null };
         this.DOUBLE_TAP_TIMEOUT_MS = 500;
 
+        // Пауза не должна пережить запись сочетания, даже если рендерер не снял ее сам
+        this.PAUSE_TIMEOUT_MS = 30000;
+        this.pauseTimer = null;
+
         this.isInitialized = false;
-        this.activeHotkeys = new Map();
+        this.isPaused = false;
+        this.bindings = [];
+        this.onHotkeysChanged = () => this.loadHotkeysFromSettings();
+        this.onInputInterrupted = () => {
+            if (this.isPaused) {
+                this.setPaused(false);
+            }
+        };
+
+        // Действия горячих клавиш: запись app.hotkeys задает action и params (например, targetLang)
+        this.actions = {
+            translate_selected: params => this.handleTranslateSelected(params),
+            open_translator: params => this.handleOpenTranslator(params),
+            replace_selected: params => this.quickTranslateService && this.quickTranslateService.replaceSelection(params),
+            translate_clipboard: params => this.quickTranslateService && this.quickTranslateService.translateClipboard(params)
+        };
     }
 
     /**
@@ -30,15 +59,16 @@ class HotkeyManager {
         }
 
         try {
-            // Загружаем горячие клавиши из настроек
-            await this.loadHotkeysFromSettings();
-
-            // Регистрируем глобальные горячие клавиши
+            this.loadHotkeysFromSettings();
             this.registerGlobalHotkeys();
 
-            // Слушаем изменения настроек
-            if (this.settingsManager) {
-                this.settingsManager.addChangeListener(this.onSettingsChanged.bind(this));
+            if (this.settingsStore) {
+                this.settingsStore.on('changed:app.hotkeys', this.onHotkeysChanged);
+                this.settingsStore.on('reset', this.onHotkeysChanged);
+            }
+
+            if (this.windowManager) {
+                this.windowManager.on('input-interrupted', this.onInputInterrupted);
             }
 
             this.isInitialized = true;
@@ -50,32 +80,36 @@ class HotkeyManager {
     }
 
     /**
-     * Загружает горячие клавиши из настроек
+     * Разбирает сочетания из настроек; записанные с ошибкой пропускаются
      */
-    async loadHotkeysFromSettings() {
-        if (!this.settingsManager) return;
-
-        try {
-            const hotkeys = this.settingsManager.getSetting('app.hotkeys', []);
-            this.activeHotkeys.clear();
-
-            hotkeys.forEach(hotkey => {
-                this.activeHotkeys.set(hotkey.id, hotkey);
-            });
-
-            this.logger.info(`Loaded ${hotkeys.length} hotkeys from settings`);
-        } catch (error) {
-            this.logger.error('Failed to load hotkeys from settings:', error);
-        }
-    }
+    loadHotkeysFromSettings() {
+        const hotkeys = this.settingsStore ? this.settingsStore.get('app.hotkeys') || [] : [];
+        const bindings = [];
+
+        hotkeys.forEach(hotkey => {
+            try {
+                const parsed = Hotkey.parse(hotkey.key);
+                const keycode = UiohookKey[parsed.key];
+                if (keycode === undefined) {
+                    throw new Error(`Клавиша ${parsed.key} не поддерживается`);
+                }
+
+                const accelerator = Hotkey.format(parsed);
+                const duplicate = bindings.find(binding => binding.accelerator === accelerator);
+                if (duplicate) {
+                    this.logger.warn(`Hotkey ${accelerator} is already used by "${duplicate.name}", "${hotkey.name}" ignored`);
+                    return;
+                }
+
+                bindings.push({ ...parsed, ...hotkey, keycode, accelerator });
+            } catch (error) {
+                this.logger.warn(`Skipping hotkey "${hotkey.name}" (${hotkey.key}): ${error.message}`);
+            }
+        });
 
-    /**
-     * Обрабатывает изменения настроек
-     */
-    onSettingsChanged(settings) {
-        if (settings && settings.app && settings.app.hotkeys) {
-            this.loadHotkeysFromSettings();
-        }
+        this.bindings = bindings;
+        this.resetTapCounter();
+        this.logger.info(`Registered ${bindings.length} of ${hotkeys.length} hotkeys: ${bindings.map(binding => binding.accelerator).join(', ')}`);
     }
 
     /**
@@ -104,120 +138,115 @@ class HotkeyManager {
 
     /**
      * Обрабатывает нажатие клавиш
+     * Одиночные сочетания срабатывают сразу, двойные — на втором нажатии в пределах DOUBLE_TAP_TIMEOUT_MS.
      */
     handleKeyDown(event) {
-        // Проверяем зарегистрированные горячие клавиши
-        for (const [id, hotkey] of this.activeHotkeys) {
-            if (this.checkHotkeyMatch(event, hotkey.key)) {
-                this.handleRegisteredHotkey(id, hotkey);
-                return;
-            }
+        if (this.isPaused || MODIFIER_KEYCODES.has(event.keycode)) {
+            return;
         }
 
-        // Стандартные горячие клавиши (для обратной совместимости)
-        if (this.isCtrlC(event)) {
-            this.handleCtrlC();
+        const matches = this.bindings.filter(binding => this.checkHotkeyMatch(event, binding));
+        if (matches.length === 0) {
+            this.resetTapCounter();
             return;
         }
 
-        if (this.isCtrlAltQ(event)) {
-            this.handleCtrlAltQ();
-            return;
+        const count = this.countTap(matches[0]);
+        const binding = matches.find(item => item.taps === count);
+
+        // Серия закончена, если более длинных вариантов этого сочетания нет
+        if (!matches.some(item => item.taps > count)) {
+            this.resetTapCounter();
         }
 
-        // Сброс счетчика Ctrl+C при нажатии других клавиш
-        this.resetCtrlCCounterIfNeeded(event);
+        if (binding) {
+            this.handleRegisteredHotkey(binding);
+        }
     }
 
     /**
-     * Проверяет соответствие события горячей клавише
+     * Временно отключает срабатывание, например пока пользователь записывает новое сочетание
+     * Пауза снимается сама при потере окном ввода или по истечении PAUSE_TIMEOUT_MS
      */
-    checkHotkeyMatch(event, hotkeyString) {
-        // Пока заглушка - в реальности нужно парсить строку горячих клавиш
-        // и сравнивать с событием
-        return false;
+    setPaused(paused) {
+        this.isPaused = Boolean(paused);
+        this.resetTapCounter();
+
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = this.isPaused
+            ? setTimeout(() => this.setPaused(false), this.PAUSE_TIMEOUT_MS)
+            : null;
+
+        this.logger.info(`Hotkeys ${this.isPaused ? 'paused' : 'resumed'}`);
     }
 
     /**
-     * Обрабатывает зарегистрированную горячую клавишу
+     * Проверяет соответствие события горячей клавише
      */
-    handleRegisteredHotkey(id, hotkey) {
-        this.logger.info(`Hotkey triggered: ${hotkey.name} (${hotkey.key})`);
-
-        // Здесь будет логика для разных горячих клавиш
-        switch (id) {
-            case 'translate_selected':
-                this.handleCtrlAltQ();
-                break;
-            case 'open_translator':
-                this.handleDoubleCtrlC();
-                break;
-            default:
-                this.logger.warn(`No handler for hotkey: ${id}`);
-        }
+    checkHotkeyMatch(event, binding) {
+        return event.keycode === binding.keycode &&
+            Boolean(event.ctrlKey) === binding.ctrl &&
+            Boolean(event.altKey) === binding.alt &&
+            Boolean(event.shiftKey) === binding.shift &&
+            Boolean(event.metaKey) === binding.meta;
     }
 
     /**
-     * Проверяет, является ли событие нажатием Ctrl+C
+     * @returns {number} Номер нажатия сочетания в текущей серии
      */
-    isCtrlC(event) {
-        return event.ctrlKey &&
-            !event.altKey &&
-            !event.shiftKey &&
-            event.keycode === UiohookKey.C;
+    countTap(binding) {
+        const signature = `${binding.ctrl}${binding.alt}${binding.shift}${binding.meta}:${binding.keycode}`;
+
+        if (this.tap.timer) {
+            clearTimeout(this.tap.timer);
+        }
+
+        this.tap.count = this.tap.signature === signature ? this.tap.count + 1 : 1;
+        this.tap.signature = signature;
+        this.tap.timer = setTimeout(() => this.resetTapCounter(), this.DOUBLE_TAP_TIMEOUT_MS);
+
+        return this.tap.count;
     }
 
-    /**
-     * Проверяет, является ли событие нажатием Ctrl+Alt+Q
-     */
-    isCtrlAltQ(event) {
-        return event.ctrlKey &&
-            event.altKey &&
-            !event.shiftKey &&
-            event.keycode === UiohookKey.Q;
+    resetTapCounter() {
+        if (this.tap.timer) {
+            clearTimeout(this.tap.timer);
+        }
+        this.tap = { signature: null, count: 0, timer: null };
     }
 
     /**
-     * Обрабатывает нажатие Ctrl+C
+     * Обрабатывает зарегистрированную горячую клавишу
      */
-    handleCtrlC() {
-        this.ctrlCPressCount++;
+    handleRegisteredHotkey(hotkey) {
+        this.logger.info(`Hotkey triggered: ${hotkey.name} (${hotkey.accelerator})`);
 
-        // Сбрасываем таймер, если он был установлен
-        if (this.ctrlCResetTimer) {
-            clearTimeout(this.ctrlCResetTimer);
+        const action = this.actions[hotkey.action];
+        if (!action) {
+            this.logger.warn(`No handler for hotkey action: ${hotkey.action}`);
+            return;
         }
 
-        this.logger.debug(`Ctrl+C pressed (count: ${this.ctrlCPressCount})`);
-
-        // Двойное нажатие
-        if (this.ctrlCPressCount === 2) {
-            this.ctrlCPressCount = 0;
-            clearTimeout(this.ctrlCResetTimer);
-            this.handleDoubleCtrlC();
-        }
-        // Одиночное нажатие (запускаем таймер сброса)
-        else if (this.ctrlCPressCount === 1) {
-            this.ctrlCResetTimer = setTimeout(() => {
-                this.ctrlCPressCount = 0;
-                this.logger.debug('Ctrl+C timeout, reset counter');
-            }, this.DOUBLE_TAP_TIMEOUT_MS);
-        }
+        Promise.resolve(action(hotkey.params || {})).catch(error => {
+            this.logger.error(`Hotkey action ${hotkey.action} failed:`, error);
+        });
     }
 
     /**
-     * Обрабатывает двойное нажатие Ctrl+C
+     * Открывает переводчик с текстом из буфера обмена (по умолчанию Ctrl+C+C)
+     * @param {Object} params
+     * @param {string} [params.targetLang] - Язык перевода вместо выбранного в окне
      */
-    async handleDoubleCtrlC() {
+    async handleOpenTranslator({ targetLang } = {}) {
         try {
             const clipboardText = clipboard.readText();
-            this.logger.info('✓ Ctrl+C+C detected! Opening translator...');
+            this.logger.info('Opening translator with clipboard text...');
 
             if (this.windowManager) {
-                this.windowManager.showWindow(clipboardText, true);
+                this.windowManager.showWindow(clipboardText, true, { targetLang });
             }
         } catch (error) {
-            this.logger.error('Failed to handle double Ctrl+C:', error);
+            this.logger.error('Failed to open translator:', error);
 
             // Все равно открываем окно
             if (this.windowManager) {
@@ -227,11 +256,13 @@ class HotkeyManager {
     }
 
     /**
-     * Обрабатывает нажатие Ctrl+Alt+Q
+     * Открывает переводчик с выделенным текстом (по умолчанию Ctrl+Alt+Q)
+     * @param {Object} params
+     * @param {string} [params.targetLang] - Язык перевода вместо выбранного в окне
      */
-    async handleCtrlAltQ() {
+    async handleTranslateSelected({ targetLang } = {}) {
         try {
-            this.logger.info('✓ Ctrl+Alt+Q detected! Getting selected text...');
+            this.logger.info('Getting selected text...');
 
             if (!this.textSelectionService || !this.windowManager) {
                 this.logger.warn('Required services not available');
@@ -241,9 +272,9 @@ class HotkeyManager {
             const selectedText = await this.textSelectionService.getSelectedText();
             this.logger.debug('Selected text:', selectedText?.substring(0, 50));
 
-            this.windowManager.showWindow(selectedText, true);
+            this.windowManager.showWindow(selectedText, true, { targetLang });
         } catch (error) {
-            this.logger.error('Failed to handle Ctrl+Alt+Q:', error);
+            this.logger.error('Failed to translate selected text:', error);
 
             // Все равно открываем окно
             if (this.windowManager) {
@@ -252,23 +283,11 @@ class HotkeyManager {
         }
     }
 
-    /**
-     * Сбрасывает счетчик Ctrl+C при нажатии других клавиш
-     */
-    resetCtrlCCounterIfNeeded(event) {
-        if (this.ctrlCPressCount > 0 && event.keycode !== UiohookKey.C) {
-            this.ctrlCPressCount = 0;
-            if (this.ctrlCResetTimer) {
-                clearTimeout(this.ctrlCResetTimer);
-            }
-        }
-    }
-
     /**
      * Возвращает список активных горячих клавиш
      */
     getActiveHotkeys() {
-        return Array.from(this.activeHotkeys.values());
+        return this.bindings.map(({ id, name, key, accelerator, action, params }) => ({ id, name, key, accelerator, action, params }));
     }
 
     /**
@@ -276,13 +295,16 @@ class HotkeyManager {
      */
     cleanup() {
         try {
-            if (this.ctrlCResetTimer) {
-                clearTimeout(this.ctrlCResetTimer);
+            this.resetTapCounter();
+            clearTimeout(this.pauseTimer);
+
+            if (this.settingsStore) {
+                this.settingsStore.removeListener('changed:app.hotkeys', this.onHotkeysChanged);
+                this.settingsStore.removeListener('reset', this.onHotkeysChanged);
             }
 
-            if (this.settingsManager) {
-                // Удаляем слушателя изменений настроек
-                // (нужно сохранить ссылку на метод для удаления)
+            if (this.windowManager) {
+                this.windowManager.removeListener('input-interrupted', this.onInputInterrupted);
             }
 
             uIOhook.stop();
@@ -0,0 +1,71 @@
+// File: src/core/ImportService.js
+const { dialog } = require('electron');
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/Logger');
+
+/**
+ * Импорт пользовательских данных из файлов через системный диалог открытия
+ */
+class ImportService {
+    constructor({ translationManager, windowManager } = {}) {
+        this.logger = new Logger('ImportService');
+        this.translationManager = translationManager;
+        this.windowManager = windowManager;
+    }
+
+    /**
+     * Загружает память переводов из TMX-файла
+     * @returns {Promise<{success: boolean, added?: number, updated?: number, total?: number, canceled?: boolean, error?: string}>}
+     */
+    async importTranslationMemory() {
+        return this.readFromFile((content, filePath) =>
+            this.translationManager.importTranslationMemory(content, path.basename(filePath)), {
+            title: 'Импорт памяти переводов',
+            filters: [{ name: 'TMX', extensions: ['tmx', 'xml'] }]
+        });
+    }
+
+    /**
+     * Загружает термины глоссария из CSV или TBX
+     */
+    async importGlossary() {
+        return this.readFromFile((content, filePath) =>
+            this.translationManager.importGlossary(content, filePath), {
+            title: 'Импорт глоссария',
+            filters: [{ name: 'CSV, TBX', extensions: ['csv', 'tbx', 'xml'] }]
+        });
+    }
+
+    /**
+     * Спрашивает файл, читает его и передает содержимое обработчику
+     */
+    async readFromFile(handleContent, { title, filters }) {
+        try {
+            const mainWindow = this.windowManager ? this.windowManager.getMainWindow() : null;
+            const parent = mainWindow && mainWindow.isVisible() ? mainWindow : null;
+            const options = { title, filters, properties: ['openFile'] };
+
+            const { canceled, filePaths } = parent ?
+                await dialog.showOpenDialog(parent, options) :
+                await dialog.showOpenDialog(options);
+
+            if (canceled || !filePaths || filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+
+            const filePath = filePaths[0];
+            // BOM мешает разбору первой строки
+            const content = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+            const result = handleContent(content, filePath);
+            this.logger.info(`Imported ${filePath}`);
+
+            return { success: true, filePath, ...result };
+        } catch (error) {
+            this.logger.error('Import failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = ImportService;
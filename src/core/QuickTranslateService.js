@@ -0,0 +1,178 @@
+// File: src/core/QuickTranslateService.js
+const { Notification, clipboard } = require('electron');
+const Platform = require('../utils/Platform');
+const Logger = require('../utils/Logger');
+
+// Уведомления обрезают длинный текст, полный перевод доступен в окне переводчика
+const NOTIFICATION_MAX_LENGTH = 300;
+
+/**
+ * Перевод без открытия окна переводчика
+ * Текст переводится в фоне по текущей паре TranslationContext: выделение заменяется
+ * переводом в исходном приложении, а перевод буфера обмена показывается в уведомлении.
+ */
+class QuickTranslateService {
+    constructor({ translationManager, textSelectionService, windowManager } = {}) {
+        this.logger = new Logger('QuickTranslateService');
+        this.translationManager = translationManager;
+        this.textSelectionService = textSelectionService;
+        this.windowManager = windowManager;
+        this.isReplacing = false;
+        // Ссылка нужна, иначе уведомление может быть удалено сборщиком мусора вместе с обработчиками
+        this.notification = null;
+    }
+
+    /**
+     * Переводит текст из буфера обмена и показывает результат в системном уведомлении
+     * Окно переводчика не открывается и фокус у текущего приложения не забирается.
+     * Кнопки «Копировать» и «Открыть в переводчике» Electron поддерживает только в macOS;
+     * на остальных системах перевод сразу копируется в буфер обмена, а щелчок по уведомлению
+     * открывает переводчик.
+     * @param {Object} params
+     * @param {string} [params.targetLang] - Язык перевода; без него направление берется из контекста
+     */
+    async translateClipboard({ targetLang } = {}) {
+        const text = clipboard.readText().trim();
+        if (!text) {
+            this.notifyError('Буфер обмена не содержит текста');
+            return false;
+        }
+
+        try {
+            const result = await this.translationManager.translate(text, 'auto', targetLang, { explicitTarget: Boolean(targetLang) });
+            if (result.error || !result.translatedText) {
+                this.notifyError(result.error || 'Пустой перевод');
+                return false;
+            }
+
+            this.showTranslationNotification(text, result, targetLang);
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to translate clipboard:', error);
+            this.notifyError(error.message);
+            return false;
+        }
+    }
+
+    showTranslationNotification(text, result, targetLang) {
+        if (!Notification.isSupported()) {
+            this.logger.warn('Notifications are not supported, opening translator instead');
+            this.openInTranslator(text, targetLang);
+            return;
+        }
+
+        const translation = result.translatedText;
+        const hasActions = QuickTranslateService.supportsNotificationActions();
+
+        // Без кнопки «Копировать» перевод копируется сразу, исходный текст остается в переводчике
+        if (!hasActions) {
+            clipboard.writeText(translation);
+        }
+
+        const languages = `${String(result.sourceLang || '').toUpperCase()} → ${String(result.targetLang || '').toUpperCase()}`;
+        const notification = new Notification({
+            title: hasActions ? `Перевод ${languages}` : `Перевод ${languages} скопирован`,
+            body: translation.length > NOTIFICATION_MAX_LENGTH ? `${translation.slice(0, NOTIFICATION_MAX_LENGTH)}…` : translation,
+            silent: true,
+            actions: hasActions ? [
+                { type: 'button', text: 'Копировать' },
+                { type: 'button', text: 'Открыть в переводчике' }
+            ] : []
+        });
+
+        notification.on('action', (event, index) => {
+            if (index === 0) {
+                clipboard.writeText(translation);
+            } else {
+                this.openInTranslator(text, targetLang);
+            }
+        });
+        notification.on('click', () => this.openInTranslator(text, targetLang));
+        notification.on('close', () => {
+            if (this.notification === notification) {
+                this.notification = null;
+            }
+        });
+
+        this.notification = notification;
+        notification.show();
+    }
+
+    /**
+     * Кнопки в уведомлениях Electron поддерживает только в macOS
+     */
+    static supportsNotificationActions() {
+        return Platform.isMac();
+    }
+
+    /**
+     * Подпись действия «перевести буфер обмена» с учетом возможностей уведомлений системы
+     */
+    static getClipboardActionLabel(prefix = 'Перевести буфер обмена') {
+        return QuickTranslateService.supportsNotificationActions()
+            ? `${prefix} в уведомлении`
+            : `${prefix} и скопировать перевод`;
+    }
+
+    openInTranslator(text, targetLang) {
+        if (this.windowManager) {
+            this.windowManager.showWindow(text, false, { targetLang });
+        }
+    }
+
+    /**
+     * Переводит выделенный текст и вставляет перевод на его место
+     * Пробелы и переводы строк по краям выделения сохраняются.
+     * @param {Object} params
+     * @param {string} [params.targetLang] - Язык перевода; без него направление берется из контекста
+     * @returns {Promise<boolean>} true, если перевод вставлен
+     */
+    async replaceSelection({ targetLang } = {}) {
+        if (this.isReplacing) {
+            this.logger.warn('Replacement already in progress, skipping');
+            return false;
+        }
+
+        this.isReplacing = true;
+
+        try {
+            const selectedText = await this.textSelectionService.getSelectedText({ trim: false });
+            if (!selectedText) {
+                this.logger.warn('Nothing selected to replace');
+                return false;
+            }
+
+            const [, leading, content, trailing] = selectedText.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+            // Исходный язык определяется автоматически, а без targetLang и направление берется из контекста
+            const result = await this.translationManager.translate(content, 'auto', targetLang, { explicitTarget: Boolean(targetLang) });
+            if (result.error || !result.translatedText) {
+                this.notifyError(result.error || 'Пустой перевод');
+                return false;
+            }
+
+            this.logger.info(`Replacing selection: ${result.sourceLang} -> ${result.targetLang}`);
+            return await this.textSelectionService.replaceSelection(leading + result.translatedText + trailing);
+        } catch (error) {
+            this.logger.error('Failed to replace selection:', error);
+            this.notifyError(error.message);
+            return false;
+        } finally {
+            this.isReplacing = false;
+        }
+    }
+
+    /**
+     * Окно переводчика не открывается, поэтому об ошибке сообщает системное уведомление
+     */
+    notifyError(message) {
+        this.logger.error('Quick translation failed:', message);
+
+        if (Notification.isSupported()) {
+            this.notification = new Notification({ title: 'Не удалось перевести текст', body: message });
+            this.notification.show();
+        }
+    }
+}
+
+module.exports = QuickTranslateService;
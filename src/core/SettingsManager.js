@@ -1,6 +1,8 @@
 // File: src/core/SettingsManager.js
 const Logger = require('../utils/Logger');
 const Platform = require('../utils/Platform');
+const Hotkey = require('../utils/Hotkey');
+const QuickTranslateService = require('./QuickTranslateService');
 
 class SettingsManager {
     constructor(settingsStore) {
@@ -45,7 +47,7 @@ class SettingsManager {
         this.logger.info('All settings applied');
     }
 
-    async applySettingChange({ path, value }) {
+    async applySettingChange({ path, value, oldValue }) {
         this.logger.debug(`Applying setting change: ${path} =`, value);
 
         if (path.startsWith('provider.config.')) {
@@ -58,6 +60,10 @@ class SettingsManager {
             this.translationManager.initializeContext();
         }
 
+        if ((path === 'app.cacheTranslations' || path.startsWith('app.cache.')) && this.translationManager) {
+            this.translationManager.configureCache();
+        }
+
         switch (path) {
             case 'app.autoStart':
                 await this.applyAutoStart(value);
@@ -75,8 +81,14 @@ class SettingsManager {
                 await this.applyHotkeys(value);
                 break;
 
-            case 'provider.name':
             case 'provider.apiKey':
+                // Запоминаем ключ за текущим провайдером, чтобы его могла использовать цепочка
+                await this.store.set(`provider.apiKeys.${this.store.get('provider.name')}`, value);
+                await this.applyTranslationProvider(this.store.getAll().provider);
+                break;
+
+            case 'provider.name':
+                await this.switchProviderApiKey(oldValue, value);
                 await this.applyTranslationProvider(this.store.getAll().provider);
                 break;
 
@@ -132,6 +144,76 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Проверка значения перед сохранением из окна настроек
+     * @returns {{valid: boolean, error?: string, value?: *}} value — значение для сохранения
+     */
+    validateSetting(path, value) {
+        if (path === 'app.hotkeys') {
+            return this.validateHotkeys(value);
+        }
+        return { valid: true, value };
+    }
+
+    /**
+     * Каждая новая или измененная запись должна содержать допустимое сочетание;
+     * сочетания сохраняются в едином виде. Записи, сохраненные раньше с тем же сочетанием,
+     * пропускаются без проверки: HotkeyManager их не зарегистрирует, но и не потеряет.
+     */
+    validateHotkeys(hotkeys) {
+        if (!Array.isArray(hotkeys)) {
+            return { valid: false, error: 'Неверный формат списка горячих клавиш' };
+        }
+
+        const saved = this.store.get('app.hotkeys') || [];
+        const value = [];
+
+        for (const hotkey of hotkeys) {
+            if (!hotkey || typeof hotkey !== 'object' || !hotkey.id) {
+                return { valid: false, error: 'Неверный формат записи горячей клавиши' };
+            }
+
+            const previous = saved.find(item => item.id === hotkey.id);
+            if (previous && previous.key === hotkey.key) {
+                value.push(hotkey);
+                continue;
+            }
+
+            const result = Hotkey.validate(hotkey.key);
+            if (!result.valid) {
+                return { valid: false, error: `«${hotkey.name || hotkey.id}»: ${result.error}` };
+            }
+            value.push({ ...hotkey, key: result.accelerator });
+        }
+
+        return { valid: true, value };
+    }
+
+    /**
+     * Проверка сочетания из редактора горячих клавиш
+     * @param {string} accelerator
+     * @param {string} id - Редактируемая запись app.hotkeys
+     */
+    validateHotkey(accelerator, id) {
+        return Hotkey.validate(accelerator, {
+            hotkeys: this.store.get('app.hotkeys') || [],
+            ownId: id
+        });
+    }
+
+    /**
+     * Поле provider.apiKey показывает ключ выбранного провайдера: при смене провайдера
+     * ключ прежнего остается в provider.apiKeys, а в поле подставляется сохраненный ключ нового
+     */
+    async switchProviderApiKey(previousName, name) {
+        const currentKey = this.store.get('provider.apiKey', '');
+        if (previousName && currentKey && !this.store.get(`provider.apiKeys.${previousName}`)) {
+            await this.store.set(`provider.apiKeys.${previousName}`, currentKey);
+        }
+
+        await this.store.set('provider.apiKey', this.store.get(`provider.apiKeys.${name}`, ''));
+    }
+
     async applyTranslationProvider(providerSettings) {
         if (!this.translationManager) {
             this.logger.warn('Translation manager not available, skipping provider application');
@@ -142,8 +224,12 @@ class SettingsManager {
             const { name, apiKey } = providerSettings;
             const config = this.store.getProviderConfig(name);
 
-            await this.translationManager.switchProvider(name, apiKey, config);
-            this.logger.info(`Translation provider switched to: ${name}`);
+            const switched = await this.translationManager.switchProvider(name, apiKey, config);
+            if (switched) {
+                this.logger.info(`Translation provider switched to: ${name}`);
+            } else {
+                this.logger.error(`Failed to switch translation provider to ${name}:`, this.translationManager.providerError);
+            }
 
             const mainWindow = require('electron').BrowserWindow.getAllWindows()[0];
             if (mainWindow) {
@@ -174,9 +260,15 @@ class SettingsManager {
         const providerOptions = providers.map(p => ({
             value: p.name,
             label: p.label,
-            icon: p.icon
+            icon: p.icon,
+            requiresApiKey: p.requiresApiKey
         }));
 
+        // Провайдеры без ключа API; необязательный ключ вводится в то же поле, что и у остальных
+        const keylessProviders = providers
+            .filter(p => !p.requiresApiKey && !p.apiKeyOptional)
+            .map(p => p.name);
+
         const providerConfigSettings = [];
         providers.forEach(provider => {
             if (provider.configFields) {
@@ -188,6 +280,8 @@ class SettingsManager {
                         description: field.description,
                         placeholder: field.placeholder,
                         defaultValue: field.defaultValue,
+                        options: field.options,
+                        secure: field.secure,
                         dependsOn: 'provider.name',
                         showFor: [provider.name],
                         required: field.required
@@ -212,6 +306,16 @@ class SettingsManager {
             ];
         }
 
+        let historyPairOptions = [];
+        if (this.translationManager) {
+            historyPairOptions = this.translationManager.getHistoryFacets().languagePairs.map(pair => ({
+                value: `${pair.sourceLang}|${pair.targetLang}`,
+                label: `${(pair.sourceLang || '?').toUpperCase()} → ${(pair.targetLang || '?').toUpperCase()}`
+            }));
+        }
+
+        const memorySize = this.translationManager ? this.translationManager.getTranslationMemoryStats().size : 0;
+
         return [
             {
                 id: 'provider',
@@ -234,9 +338,19 @@ class SettingsManager {
                         placeholder: 'Введите ваш API ключ',
                         required: true,
                         dependsOn: 'provider.name',
-                        hideFor: ['mock']
+                        hideFor: keylessProviders
                     },
-                    ...providerConfigSettings
+                    ...providerConfigSettings,
+                    {
+                        id: 'provider.testConnection',
+                        type: 'button',
+                        label: 'Проверка соединения',
+                        description: 'Проверить доступность сервера с текущими настройками',
+                        text: 'Проверить',
+                        action: 'testConnection',
+                        dependsOn: 'provider.name',
+                        showFor: keylessProviders.filter(name => name !== 'mock')
+                    }
                 ]
             },
             {
@@ -258,6 +372,30 @@ class SettingsManager {
                         label: 'Иностранный по умолчанию',
                         description: 'Язык, который будет выбран при запуске',
                         options: languageOptions
+                    },
+                    {
+                        id: 'translation.protectMarkup',
+                        type: 'toggle',
+                        label: 'Не переводить код и разметку',
+                        description: 'Сохранять как есть `код`, ссылки, email, {плейсхолдеры}, %s/%d и HTML-теги'
+                    },
+                    {
+                        id: 'translation.retry.attempts',
+                        type: 'number',
+                        label: 'Повторные попытки',
+                        description: 'Сколько раз повторить запрос при сбое сети или перегрузке сервера',
+                        min: 0,
+                        max: 10,
+                        step: 1
+                    },
+                    {
+                        id: 'translation.circuitBreaker.cooldown',
+                        type: 'number',
+                        label: 'Пауза после серии сбоев (сек)',
+                        description: 'На сколько отключать провайдера, если переводы подряд завершились ошибкой',
+                        min: 5,
+                        max: 600,
+                        step: 5
                     }
                 ]
             },
@@ -283,13 +421,192 @@ class SettingsManager {
                         id: 'app.cacheTranslations',
                         type: 'toggle',
                         label: 'Кэшировать переводы',
-                        description: 'Сохранять переводы в кэше для быстрого доступа'
+                        description: 'Сохранять переводы на диске и не запрашивать их повторно'
+                    },
+                    {
+                        id: 'app.cache.maxEntries',
+                        type: 'number',
+                        label: 'Размер кэша (записей)',
+                        description: 'При переполнении удаляются давно не использованные переводы',
+                        min: 10,
+                        max: 100000,
+                        step: 10,
+                        dependsOn: 'app.cacheTranslations',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.cache.maxSizeMb',
+                        type: 'number',
+                        label: 'Размер кэша (МБ)',
+                        description: 'Ограничение размера файла кэша',
+                        min: 1,
+                        max: 500,
+                        step: 1,
+                        dependsOn: 'app.cacheTranslations',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.cache.ttlHours',
+                        type: 'number',
+                        label: 'Срок хранения (часов)',
+                        description: 'Через сколько часов перевод запрашивается заново',
+                        min: 1,
+                        max: 8760,
+                        step: 1,
+                        dependsOn: 'app.cacheTranslations',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.cache.clear',
+                        type: 'button',
+                        label: 'Сохраненные переводы',
+                        description: 'Удалить все переводы из кэша',
+                        text: 'Очистить кэш',
+                        action: 'clearCache',
+                        dependsOn: 'app.cacheTranslations',
+                        showFor: [true]
                     },
                     {
                         id: 'app.translationHistory',
                         type: 'toggle',
                         label: 'История переводов',
                         description: 'Сохранять историю выполненных переводов'
+                    },
+                    {
+                        id: 'app.translationMemory.enabled',
+                        type: 'toggle',
+                        label: 'Память переводов',
+                        description: 'Брать готовый перевод из памяти и показывать похожие сегменты'
+                    },
+                    {
+                        id: 'app.translationMemory.fuzzyThreshold',
+                        type: 'number',
+                        label: 'Порог похожести (%)',
+                        description: 'Минимальное сходство сегмента, чтобы показать его как подсказку',
+                        min: 50,
+                        max: 99,
+                        step: 1,
+                        dependsOn: 'app.translationMemory.enabled',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.translationMemory.maxSuggestions',
+                        type: 'number',
+                        label: 'Количество подсказок',
+                        description: '0 — только точные совпадения',
+                        min: 0,
+                        max: 10,
+                        step: 1,
+                        dependsOn: 'app.translationMemory.enabled',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.translationMemory.import',
+                        type: 'button',
+                        label: 'Импорт TMX',
+                        description: `Сегментов в памяти: ${memorySize}`,
+                        text: 'Загрузить файл',
+                        action: 'importTranslationMemory',
+                        dependsOn: 'app.translationMemory.enabled',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'app.translationMemory.clear',
+                        type: 'button',
+                        label: 'Содержимое памяти',
+                        description: 'Удалить все сегменты из памяти переводов',
+                        text: 'Очистить память',
+                        action: 'clearTranslationMemory',
+                        dependsOn: 'app.translationMemory.enabled',
+                        showFor: [true]
+                    }
+                ]
+            },
+            {
+                id: 'glossary',
+                title: 'Глоссарий',
+                icon: 'fas fa-spell-check',
+                description: 'Обязательные переводы терминов: названия продуктов, юридические формулировки',
+                settings: [
+                    {
+                        id: 'glossary.enabled',
+                        type: 'toggle',
+                        label: 'Применять глоссарий',
+                        description: 'Термины защищаются от перевода и заменяются заданным переводом'
+                    },
+                    {
+                        id: 'glossary.terms',
+                        type: 'glossary',
+                        label: 'Термины',
+                        description: 'Пустой перевод оставляет термин без изменений',
+                        defaultSourceLang: this.store.get('translation.secondLanguage', 'en'),
+                        defaultTargetLang: this.store.get('translation.primaryLanguage', 'ru'),
+                        dependsOn: 'glossary.enabled',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'glossary.import',
+                        type: 'button',
+                        label: 'Импорт',
+                        description: 'CSV с колонками source, target, source_lang, target_lang (или кодами языков) либо TBX',
+                        text: 'Загрузить файл',
+                        action: 'importGlossary',
+                        dependsOn: 'glossary.enabled',
+                        showFor: [true]
+                    },
+                    {
+                        id: 'glossary.clear',
+                        type: 'button',
+                        label: 'Все термины',
+                        description: 'Удалить все термины глоссария',
+                        text: 'Очистить глоссарий',
+                        action: 'clearGlossary',
+                        dependsOn: 'glossary.enabled',
+                        showFor: [true]
+                    }
+                ]
+            },
+            {
+                id: 'export',
+                title: 'Экспорт',
+                icon: 'fas fa-file-export',
+                description: 'Выгрузка истории переводов в файл',
+                settings: [
+                    {
+                        id: 'export.historyFormat',
+                        type: 'select',
+                        label: 'Формат',
+                        description: 'TMX подходит для CAT-программ, Anki — для карточек',
+                        options: [
+                            { value: 'csv', label: 'CSV' },
+                            { value: 'tmx', label: 'TMX 1.4' },
+                            { value: 'anki', label: 'Anki (TSV)' }
+                        ]
+                    },
+                    {
+                        id: 'export.historyPeriod',
+                        type: 'select',
+                        label: 'Период',
+                        options: [
+                            { value: 'all', label: 'За все время' },
+                            { value: 'today', label: 'Сегодня' },
+                            { value: 'week', label: 'За неделю' },
+                            { value: 'month', label: 'За месяц' }
+                        ]
+                    },
+                    {
+                        id: 'export.historyPair',
+                        type: 'select',
+                        label: 'Языковая пара',
+                        options: [{ value: '', label: 'Все языки' }, ...historyPairOptions]
+                    },
+                    {
+                        id: 'export.history',
+                        type: 'button',
+                        label: 'История переводов',
+                        description: 'Сохранить записи с выбранными параметрами',
+                        text: 'Экспортировать',
+                        action: 'exportHistory'
                     }
                 ]
             },
@@ -303,11 +620,21 @@ class SettingsManager {
                         id: 'app.hotkeys',
                         type: 'list',
                         label: 'Назначение клавиш',
-                        description: 'Добавьте или измените горячие клавиши',
+                        description: 'Например Ctrl+Alt+Q или CmdOrCtrl+Shift+F5; повтор клавиши (Ctrl+C+C) означает двойное нажатие',
                         items: this.store.get('app.hotkeys', []),
                         canAdd: true,
                         canEdit: true,
                         canDelete: true,
+                        keyRecorder: true,
+                        // Действие и язык перевода выбираются для каждой записи
+                        actions: [
+                            { value: 'translate_selected', label: 'Перевести выделенное в окне' },
+                            { value: 'open_translator', label: 'Открыть переводчик с буфером обмена' },
+                            { value: 'replace_selected', label: 'Перевести и заменить выделенное' },
+                            { value: 'translate_clipboard', label: QuickTranslateService.getClipboardActionLabel() }
+                        ],
+                        languages: [{ value: '', label: 'Язык из контекста' }, ...languageOptions],
+                        defaultItem: { action: 'translate_selected', params: {} },
                         columns: [
                             { key: 'name', label: 'Действие', width: '60%' },
                             { key: 'key', label: 'Сочетание', width: '40%' }
@@ -359,6 +686,11 @@ class SettingsManager {
                 };
             }
 
+            // Участников цепочки (с их ключами) знает только хранилище
+            if (provider === 'chain') {
+                config = { ...config, members: this.store.getChainMembers(config.providers) };
+            }
+
             const result = await this.translationManager.testProviderConnection(provider, apiKey, config);
             return result;
 
@@ -387,6 +719,30 @@ class SettingsManager {
         return true;
     }
 
+    async clearTranslationCache() {
+        if (!this.translationManager) {
+            return false;
+        }
+        this.translationManager.clearCache();
+        return true;
+    }
+
+    async clearGlossary() {
+        if (!this.translationManager) {
+            return false;
+        }
+        this.translationManager.clearGlossary();
+        return true;
+    }
+
+    async clearTranslationMemory() {
+        if (!this.translationManager) {
+            return false;
+        }
+        this.translationManager.clearTranslationMemory();
+        return true;
+    }
+
     getSettings() {
         return this.store.getAll();
     }
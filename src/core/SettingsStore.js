@@ -4,6 +4,30 @@ const fs = require('fs').promises;
 const path = require('path');
 const Logger = require('../utils/Logger');
 
+// Действия горячих клавиш, появившиеся в версии настроек
+const HOTKEY_MIGRATIONS = [
+    { version: '2.3.0', ids: ['replace_selected'] },
+    { version: '2.4.0', ids: ['translate_clipboard'] }
+];
+
+// До версии 2.6.0 ключи этих провайдеров хранились в provider.config.<name>.apiKey
+const CONFIG_API_KEY_PROVIDERS = ['libretranslate', 'llm'];
+
+/**
+ * Сравнивает версии вида 2.3.0; отсутствующая версия считается самой старой
+ */
+function compareVersions(a, b) {
+    const left = String(a || '0').split('.').map(Number);
+    const right = String(b || '0').split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) return difference;
+    }
+
+    return 0;
+}
+
 /**
  * Хранилище настроек с поддержкой реактивности
  */
@@ -41,18 +65,50 @@ class SettingsStore extends EventEmitter {
      */
     getDefaultSettings() {
         return {
-            version: '2.2.0',
+            version: '2.6.0',
             provider: {
                 name: 'mock',
                 apiKey: '',
+                // Ключи, введенные для каждого провайдера (нужны цепочке провайдеров)
+                apiKeys: {},
                 config: {
                     mock: {},
                     yandex: {
+                        authMode: 'apiKey',
                         folderId: ''
                     },
                     google: {
+                        authMode: 'apiKeyV2',
                         projectId: '',
                         location: 'global'
+                    },
+                    azure: {
+                        region: '',
+                        endpoint: ''
+                    },
+                    deepl: {
+                        plan: 'free',
+                        formality: 'default',
+                        apiUrl: ''
+                    },
+                    libretranslate: {
+                        baseUrl: 'http://localhost:5000'
+                    },
+                    llm: {
+                        baseUrl: 'http://localhost:11434/v1',
+                        model: '',
+                        systemPrompt: ''
+                    },
+                    http: {
+                        url: '',
+                        method: 'POST',
+                        headers: '',
+                        bodyTemplate: '',
+                        translationPath: '',
+                        detectedLanguagePath: ''
+                    },
+                    chain: {
+                        providers: ''
                     }
                 }
             },
@@ -61,11 +117,32 @@ class SettingsStore extends EventEmitter {
                 liveTranslation: true,
                 translationHistory: true,
                 cacheTranslations: true,
+                cache: {
+                    maxEntries: 1000,
+                    maxSizeMb: 5,
+                    ttlHours: 168
+                },
+                translationMemory: {
+                    enabled: true,
+                    fuzzyThreshold: 75,
+                    maxSuggestions: 3
+                },
                 hotkeys: [
-                    { id: 'translate_selected', name: 'Перевод выделенного текста', key: 'Ctrl+Alt+Q' },
-                    { id: 'open_translator', name: 'Открыть переводчик', key: 'Ctrl+C+C' }
+                    // action — выполняемое действие, params.targetLang — язык перевода вместо пары из контекста
+                    { id: 'translate_selected', name: 'Перевод выделенного текста', key: 'Ctrl+Alt+Q', action: 'translate_selected', params: {} },
+                    { id: 'open_translator', name: 'Открыть переводчик', key: 'Ctrl+C+C', action: 'open_translator', params: {} },
+                    { id: 'replace_selected', name: 'Перевести и заменить выделенное', key: 'Ctrl+Alt+R', action: 'replace_selected', params: {} },
+                    { id: 'translate_clipboard', name: 'Перевести буфер обмена в уведомлении', key: 'Ctrl+Alt+C', action: 'translate_clipboard', params: {} }
                 ]
             },
+            glossary: {
+                enabled: true
+            },
+            export: {
+                historyFormat: 'csv',
+                historyPeriod: 'all',
+                historyPair: ''
+            },
             customization: {
                 theme: 'light',
                 themeColor: 'indigo',
@@ -77,6 +154,22 @@ class SettingsStore extends EventEmitter {
                 primaryLanguage: 'ru',
                 secondLanguage: 'en',
                 sessionTimeout: 60,
+                protectMarkup: true,
+                // Длинные тексты переводятся частями не длиннее лимита провайдера
+                chunking: {
+                    concurrency: 3
+                },
+                // Повтор при временных ошибках (паузы в мс)
+                retry: {
+                    attempts: 3,
+                    baseDelay: 500,
+                    maxDelay: 15000
+                },
+                // Отключение провайдера после серии сбоев подряд (пауза в секундах)
+                circuitBreaker: {
+                    failureThreshold: 5,
+                    cooldown: 30
+                },
 
                 // Старые настройки (fallback)
                 autoDetectLanguage: true,
@@ -130,6 +223,14 @@ class SettingsStore extends EventEmitter {
         }
     }
 
+    /**
+     * Путь к файлу данных приложения рядом с settings.json (кэш, история и т.п.)
+     * @param {string} fileName - Имя файла
+     */
+    getDataPath(fileName) {
+        return path.join(path.dirname(this.settingsPath), fileName);
+    }
+
     /**
      * Получает значение настройки по пути (например, 'provider.name')
      */
@@ -183,9 +284,40 @@ class SettingsStore extends EventEmitter {
 
     getProviderConfig(providerName) {
         const config = this.get(`provider.config.${providerName}`, {});
+
+        if (providerName === 'chain') {
+            return { ...config, members: this.getChainMembers(config.providers) };
+        }
+
         return { ...config };
     }
 
+    /**
+     * Возвращает ключ API, сохраненный для конкретного провайдера
+     */
+    getProviderApiKey(providerName) {
+        const savedKey = this.get(`provider.apiKeys.${providerName}`, '');
+        if (savedKey) return savedKey;
+
+        return providerName === this.get('provider.name') ? this.get('provider.apiKey', '') : '';
+    }
+
+    /**
+     * Собирает участников цепочки провайдеров с их ключами и конфигурацией
+     * @param {string} providers - Имена провайдеров через запятую
+     */
+    getChainMembers(providers = '') {
+        return String(providers || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(name => name && name !== 'chain')
+            .map(name => ({
+                name,
+                apiKey: this.getProviderApiKey(name),
+                config: this.getProviderConfig(name)
+            }));
+    }
+
     getCurrentProviderConfig() {
         const providerName = this.get('provider.name', 'mock');
         return this.getProviderConfig(providerName);
@@ -228,8 +360,76 @@ class SettingsStore extends EventEmitter {
         return target;
     }
 
+    /**
+     * Приводит настройки из файла к текущей версии
+     * Список app.hotkeys из файла целиком заменяет значение по умолчанию,
+     * поэтому новые действия добавляются в него здесь.
+     * До версии 2.5.0 действие определялось по id записи, теперь оно хранится в поле action.
+     * С версии 2.6.0 ключи всех провайдеров хранятся в provider.apiKeys.
+     */
     migrateSettings(oldSettings) {
-        return oldSettings;
+        const defaults = this.getDefaultSettings();
+
+        if (oldSettings.provider && compareVersions(oldSettings.version, '2.6.0') < 0) {
+            this.migrateProviderApiKeys(oldSettings.provider);
+        }
+        let hotkeys = oldSettings.app && oldSettings.app.hotkeys;
+
+        if (Array.isArray(hotkeys)) {
+            if (compareVersions(oldSettings.version, '2.5.0') < 0) {
+                const actions = defaults.app.hotkeys.map(hotkey => hotkey.action);
+                hotkeys = hotkeys.map(hotkey => hotkey.action || !actions.includes(hotkey.id)
+                    ? hotkey
+                    : { ...hotkey, action: hotkey.id, params: hotkey.params || {} });
+                oldSettings.app.hotkeys = hotkeys;
+            }
+
+            const addedHotkeys = HOTKEY_MIGRATIONS
+                .filter(migration => compareVersions(oldSettings.version, migration.version) < 0)
+                .flatMap(migration => migration.ids)
+                .filter(id => !hotkeys.some(hotkey => hotkey.id === id))
+                .map(id => defaults.app.hotkeys.find(hotkey => hotkey.id === id))
+                .filter(Boolean)
+                // Сочетание, уже занятое пользователем, не переназначается
+                .map(hotkey => hotkeys.some(existing => existing.key === hotkey.key) ? { ...hotkey, key: '' } : hotkey);
+
+            if (addedHotkeys.length > 0) {
+                oldSettings.app.hotkeys = [...hotkeys, ...addedHotkeys];
+                this.logger.info(`Added hotkeys: ${addedHotkeys.map(hotkey => hotkey.id).join(', ')}`);
+            }
+        }
+
+        return { ...oldSettings, version: defaults.version };
+    }
+
+    /**
+     * Переносит ключи из конфигов провайдеров в provider.apiKeys
+     * Ключ текущего провайдера, введенный до появления apiKeys, тоже запоминается за ним.
+     */
+    migrateProviderApiKeys(provider) {
+        const apiKeys = { ...provider.apiKeys };
+        const configs = provider.config || {};
+
+        if (provider.name && provider.apiKey && !apiKeys[provider.name]) {
+            apiKeys[provider.name] = provider.apiKey;
+        }
+
+        CONFIG_API_KEY_PROVIDERS.forEach(name => {
+            const config = configs[name];
+            if (!config || !('apiKey' in config)) return;
+
+            const { apiKey, ...rest } = config;
+            configs[name] = rest;
+
+            if (apiKey && !apiKeys[name]) {
+                apiKeys[name] = apiKey;
+            }
+        });
+
+        provider.apiKeys = apiKeys;
+        if (provider.name) {
+            provider.apiKey = apiKeys[provider.name] || '';
+        }
     }
 
     cleanup() {
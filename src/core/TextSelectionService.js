@@ -17,9 +17,11 @@ class TextSelectionService {
 
     /**
      * Получает выделенный текст из активного приложения
+     * @param {Object} options
+     * @param {boolean} [options.trim] - Убрать пробелы и переводы строк по краям
      * @returns {Promise<string|null>} Выделенный текст или null
      */
-    async getSelectedText() {
+    async getSelectedText({ trim = true } = {}) {
         if (this.isGettingText) {
             this.logger.warn('Already getting text, skipping');
             return null;
@@ -39,13 +41,14 @@ class TextSelectionService {
             await this.delay(150);
 
             // Читаем выделенный текст
-            const selectedText = clipboard.readText().trim();
+            const copiedText = clipboard.readText();
+            const selectedText = trim ? copiedText.trim() : copiedText;
 
             // Восстанавливаем оригинальный буфер обмена
             this.scheduleClipboardRestore();
 
             this.logger.debug('Selected text retrieved:', selectedText?.substring(0, 50));
-            return selectedText || null;
+            return selectedText.trim() ? selectedText : null;
 
         } catch (error) {
             this.logger.error('Failed to get selected text:', error);
@@ -56,6 +59,44 @@ class TextSelectionService {
         }
     }
 
+    /**
+     * Заменяет выделение в активном приложении текстом через буфер обмена
+     * Буфер восстанавливается после вставки, в том числе если он еще не восстановлен после getSelectedText.
+     * @param {string} text
+     */
+    async replaceSelection(text) {
+        try {
+            if (this.clipboardBackup === null) {
+                this.clipboardBackup = clipboard.readText();
+            }
+            if (this.restoreTimeout) {
+                clearTimeout(this.restoreTimeout);
+                this.restoreTimeout = null;
+            }
+
+            clipboard.writeText(text);
+            await this.simulatePasteCommand();
+
+            // Приложение читает буфер не сразу после нажатия
+            this.scheduleClipboardRestore();
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to replace selection:', error);
+            this.restoreClipboard();
+            return false;
+        }
+    }
+
+    /**
+     * Имитирует команду вставки в зависимости от ОС
+     */
+    async simulatePasteCommand() {
+        const modifier = Platform.isMac() ? 'command' : 'control';
+        robot.keyTap('v', modifier);
+
+        await this.delay(50);
+    }
+
     /**
      * Имитирует команду копирования в зависимости от ОС
      */
@@ -1,12 +1,15 @@
 const { Tray, Menu, app } = require('electron');
 const path = require('path');
 const Logger = require('../utils/Logger');
+const QuickTranslateService = require('./QuickTranslateService');
 
 class TrayManager {
-    constructor({ windowManager, settingsManager } = {}) {
+    constructor({ windowManager, settingsManager, exportService, quickTranslateService } = {}) {
         this.logger = new Logger('TrayManager');
         this.windowManager = windowManager;
         this.settingsManager = settingsManager;
+        this.exportService = exportService;
+        this.quickTranslateService = quickTranslateService;
         this.tray = null;
     }
 
@@ -78,6 +81,11 @@ class TrayManager {
                     }
                 }
             },
+            {
+                label: QuickTranslateService.getClipboardActionLabel(),
+                enabled: !!this.quickTranslateService,
+                click: () => this.quickTranslateService.translateClipboard()
+            },
             {
                 label: 'Настройки',
                 click: () => {
@@ -88,6 +96,15 @@ class TrayManager {
                     }
                 }
             },
+            {
+                label: 'Экспорт истории',
+                enabled: !!this.exportService,
+                submenu: [
+                    { label: 'CSV', click: () => this.exportHistory('csv') },
+                    { label: 'TMX', click: () => this.exportHistory('tmx') },
+                    { label: 'Anki', click: () => this.exportHistory('anki') }
+                ]
+            },
             { type: 'separator' },
             {
                 label: 'Выход',
@@ -100,6 +117,16 @@ class TrayManager {
         this.tray.setContextMenu(contextMenu);
     }
 
+    /**
+     * Период и языковая пара берутся из настроек экспорта
+     */
+    async exportHistory(format) {
+        const result = await this.exportService.exportHistory({ format });
+        if (result.error) {
+            this.logger.warn('History export failed:', result.error);
+        }
+    }
+
     setupTrayClickHandler() {
         if (!this.tray) return;
 
@@ -1,10 +1,17 @@
 const { BrowserWindow, screen, ipcMain } = require('electron');
+const { EventEmitter } = require('events');
 const path = require('path');
 const Logger = require('../utils/Logger');
 const Platform = require('../utils/Platform');
 
-class WindowManager {
+/**
+ * Менеджер главного окна
+ * Событие 'input-interrupted' означает, что окно перестало принимать ввод
+ * (потеря фокуса, скрытие, закрытие, перезагрузка или падение рендерера)
+ */
+class WindowManager extends EventEmitter {
     constructor() {
+        super();
         this.logger = new Logger('WindowManager');
         this.mainWindow = null;
         this.isPinned = false;
@@ -135,6 +142,14 @@ class WindowManager {
             this.logger.debug('Window hidden');
             this.mainWindow?.webContents.send('window-hidden');
         });
+
+        // Рендерер может не успеть завершить начатое (например, запись сочетания в настройках)
+        const interrupt = () => this.emit('input-interrupted');
+        this.mainWindow.on('blur', interrupt);
+        this.mainWindow.on('hide', interrupt);
+        this.mainWindow.on('closed', interrupt);
+        this.mainWindow.webContents.on('did-start-loading', interrupt);
+        this.mainWindow.webContents.on('render-process-gone', interrupt);
     }
 
     setupIpcHandlers() {
@@ -145,8 +160,12 @@ class WindowManager {
 
     /**
      * Показ окна
+     * @param {string} textToInsert - Текст для перевода
+     * @param {boolean} fromHotkey
+     * @param {Object} options
+     * @param {string} [options.targetLang] - Язык перевода для этого текста
      */
-    showWindow(textToInsert = '', fromHotkey = false) {
+    showWindow(textToInsert = '', fromHotkey = false, { targetLang = null } = {}) {
         if (!this.mainWindow) {
             this.logger.warn('Main window is not initialized');
             return;
@@ -173,7 +192,7 @@ class WindowManager {
             setTimeout(() => {
                 if (textToInsert && textToInsert.trim()) {
                     this.logger.debug('Sending text to already pinned window');
-                    this.mainWindow?.webContents.send('translate-text', textToInsert.trim());
+                    this.mainWindow?.webContents.send('translate-text', textToInsert.trim(), { targetLang });
                 } else {
                     this.logger.debug('Focusing input in already pinned window');
                     this.mainWindow?.webContents.send('focus-input');
@@ -193,7 +212,7 @@ class WindowManager {
 
             setTimeout(() => {
                 if (textToInsert && textToInsert.trim()) {
-                    this.mainWindow?.webContents.send('translate-text', textToInsert.trim());
+                    this.mainWindow?.webContents.send('translate-text', textToInsert.trim(), { targetLang });
                 } else {
                     this.mainWindow?.webContents.send('focus-input');
                 }
@@ -229,7 +248,7 @@ class WindowManager {
         setTimeout(() => {
             if (textToInsert && textToInsert.trim()) {
                 this.logger.debug('Sending text to newly shown window');
-                this.mainWindow?.webContents.send('translate-text', textToInsert.trim());
+                this.mainWindow?.webContents.send('translate-text', textToInsert.trim(), { targetLang });
             } else {
                 this.logger.debug('Focusing input in newly shown window');
                 this.mainWindow?.webContents.send('focus-input');
@@ -0,0 +1,67 @@
+// File: src/core/translation/CircuitBreaker.js
+const Logger = require('../../utils/Logger');
+
+/**
+ * Временное отключение провайдера после серии сбоев
+ * После failureThreshold неудачных переводов подряд провайдер считается недоступным
+ * на cooldown мс. Затем пропускается пробный запрос: при новой ошибке провайдер
+ * снова отключается, при успехе счетчик сбрасывается.
+ */
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, cooldown = 30000 } = {}) {
+        this.logger = new Logger('CircuitBreaker');
+        this.states = new Map();
+        this.updateConfig({ failureThreshold, cooldown });
+    }
+
+    updateConfig({ failureThreshold, cooldown } = {}) {
+        if (Number(failureThreshold) > 0) this.failureThreshold = Number(failureThreshold);
+        if (Number(cooldown) > 0) this.cooldown = Number(cooldown);
+    }
+
+    /**
+     * @returns {number|null} Время (мс), до которого провайдер отключен
+     */
+    getRetryAt(name) {
+        const state = this.states.get(name);
+        return state && state.openUntil > Date.now() ? state.openUntil : null;
+    }
+
+    isOpen(name) {
+        return this.getRetryAt(name) !== null;
+    }
+
+    recordSuccess(name) {
+        if (this.states.has(name)) {
+            this.logger.info(`Provider ${name} is healthy again`);
+            this.states.delete(name);
+        }
+    }
+
+    /**
+     * @param {string} name - Имя провайдера
+     * @param {number|null} retryAfter - Пауза, заданная сервером: провайдер отключается на нее сразу
+     */
+    recordFailure(name, retryAfter = null) {
+        const state = this.states.get(name) || { failures: 0, openUntil: 0 };
+        state.failures++;
+
+        const pause = Math.max(
+            state.failures >= this.failureThreshold ? this.cooldown : 0,
+            retryAfter || 0
+        );
+
+        if (pause > 0) {
+            state.openUntil = Date.now() + pause;
+            this.logger.warn(`Provider ${name} marked unavailable for ${Math.ceil(pause / 1000)}s after ${state.failures} failures`);
+        }
+
+        this.states.set(name, state);
+    }
+
+    reset() {
+        this.states.clear();
+    }
+}
+
+module.exports = CircuitBreaker;
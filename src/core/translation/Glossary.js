@@ -0,0 +1,260 @@
+// File: src/core/translation/Glossary.js
+const crypto = require('crypto');
+const JsonFileWriter = require('../../utils/JsonFileWriter');
+const Csv = require('../../utils/Csv');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Глоссарий: обязательные переводы терминов для языковой пары
+ * Найденные термины маскируются перед отправкой провайдеру и заменяются
+ * заданным переводом; пустой перевод означает «оставить как есть».
+ */
+class Glossary {
+    constructor({ filePath = null } = {}) {
+        this.logger = new Logger('Glossary');
+        this.writer = new JsonFileWriter(() => ({ version: 1, entries: this.entries }), { name: 'Glossary' });
+        this.writer.filePath = filePath;
+        this.entries = [];
+        // Скомпилированные выражения поиска терминов, сбрасываются при изменениях
+        this.patterns = new Map();
+    }
+
+    get filePath() {
+        return this.writer.filePath;
+    }
+
+    set filePath(filePath) {
+        this.writer.filePath = filePath;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    async load() {
+        const data = await this.writer.read();
+        if (!data) return;
+
+        this.entries = (data.entries || []).filter(entry => entry && entry.id && entry.source);
+        this.logger.info(`Glossary loaded: ${this.entries.length} terms`);
+    }
+
+    /**
+     * Добавляет термин; повтор термина в той же паре обновляет перевод
+     * @returns {Object} Сохраненная запись
+     */
+    add(term) {
+        const entry = this.put(term);
+        this.changed();
+        return entry;
+    }
+
+    /**
+     * @param {Array<{sourceLang, targetLang, source, target}>} terms
+     * @returns {{added: number, updated: number}}
+     */
+    import(terms) {
+        const sizeBefore = this.entries.length;
+
+        terms.forEach(term => this.put(term));
+        this.changed();
+
+        const added = this.entries.length - sizeBefore;
+        return { added, updated: terms.length - added };
+    }
+
+    put({ sourceLang, targetLang, source, target = '', caseSensitive = false }) {
+        const term = String(source || '').trim();
+        if (!term) {
+            throw new Error('Термин не может быть пустым');
+        }
+        if (!sourceLang || !targetLang) {
+            throw new Error('Для термина нужно указать языковую пару');
+        }
+
+        const pair = {
+            sourceLang: Glossary.normalizeLang(sourceLang),
+            targetLang: Glossary.normalizeLang(targetLang)
+        };
+
+        const existing = this.entries.find(entry =>
+            entry.sourceLang === pair.sourceLang && entry.targetLang === pair.targetLang &&
+            entry.source.toLocaleLowerCase() === term.toLocaleLowerCase()
+        );
+
+        if (existing) {
+            Object.assign(existing, { source: term, target: String(target || '').trim(), caseSensitive: Boolean(caseSensitive) });
+            return existing;
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            ...pair,
+            source: term,
+            target: String(target || '').trim(),
+            caseSensitive: Boolean(caseSensitive),
+            createdAt: Date.now()
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * @returns {Object|null} Обновленная запись
+     */
+    update(id, changes = {}) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) return null;
+
+        ['source', 'target'].forEach(field => {
+            if (typeof changes[field] === 'string') {
+                entry[field] = changes[field].trim();
+            }
+        });
+        ['sourceLang', 'targetLang'].forEach(field => {
+            if (changes[field]) {
+                entry[field] = Glossary.normalizeLang(changes[field]);
+            }
+        });
+        if (changes.caseSensitive !== undefined) {
+            entry.caseSensitive = Boolean(changes.caseSensitive);
+        }
+
+        if (!entry.source) {
+            throw new Error('Термин не может быть пустым');
+        }
+
+        this.changed();
+        return entry;
+    }
+
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        this.changed();
+        return true;
+    }
+
+    clear() {
+        this.entries = [];
+        this.changed();
+    }
+
+    /**
+     * @param {Object} filters
+     * @param {string} [filters.query] - Подстрока в термине или переводе
+     * @param {string} [filters.sourceLang]
+     * @param {string} [filters.targetLang]
+     */
+    list({ query = '', sourceLang, targetLang } = {}) {
+        const needle = query.trim().toLocaleLowerCase();
+
+        return this.entries.filter(entry => {
+            if (sourceLang && entry.sourceLang !== Glossary.normalizeLang(sourceLang)) return false;
+            if (targetLang && entry.targetLang !== Glossary.normalizeLang(targetLang)) return false;
+            if (!needle) return true;
+
+            return entry.source.toLocaleLowerCase().includes(needle) ||
+                entry.target.toLocaleLowerCase().includes(needle);
+        });
+    }
+
+    /**
+     * Находит термины глоссария в тексте
+     * При неизвестном исходном языке ('auto') проверяются все термины с нужным языком перевода.
+     * @returns {Array<{start, end, replacement, meta}>} Фрагменты для TextMasker, длинные термины первыми
+     */
+    findSpans(text, sourceLang, targetLang) {
+        const target = Glossary.normalizeLang(targetLang);
+        const source = sourceLang && sourceLang !== 'auto' ? Glossary.normalizeLang(sourceLang) : null;
+
+        const terms = this.entries
+            .filter(entry => entry.targetLang === target && (source ? entry.sourceLang === source : entry.sourceLang !== target))
+            .sort((a, b) => b.source.length - a.source.length);
+
+        const spans = [];
+        terms.forEach(entry => {
+            for (const match of text.matchAll(this.getPattern(entry))) {
+                spans.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    replacement: entry.target || match[0],
+                    meta: { type: 'glossary', id: entry.id, source: entry.source, target: entry.target || match[0] }
+                });
+            }
+        });
+
+        return spans;
+    }
+
+    getPattern(entry) {
+        const key = `${entry.caseSensitive ? 's' : 'i'}:${entry.source}`;
+
+        if (!this.patterns.has(key)) {
+            const escaped = entry.source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            // Термин должен быть отдельным словом, а не частью другого
+            this.patterns.set(key, new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, entry.caseSensitive ? 'gu' : 'giu'));
+        }
+
+        return this.patterns.get(key);
+    }
+
+    changed() {
+        this.patterns.clear();
+        this.writer.schedule();
+    }
+
+    flush() {
+        this.writer.flush();
+    }
+
+    /**
+     * Термины из CSV с заголовком
+     * Поддерживаются два вида: колонки source,target,source_lang,target_lang
+     * или коды языков в заголовке (en,ru,de) — тогда первая колонка переводится в остальные.
+     * @returns {Array<{sourceLang, targetLang, source, target}>}
+     */
+    static parseCsv(text) {
+        const [header, ...rows] = Csv.parse(text);
+        if (!header) return [];
+
+        const columns = header.map(name => name.trim().toLowerCase());
+        const column = (...names) => columns.findIndex(name => names.includes(name));
+
+        const sourceIndex = column('source', 'term', 'source_term');
+        const targetIndex = column('target', 'translation', 'target_term');
+        const sourceLangIndex = column('source_lang', 'sourcelang', 'source_language');
+        const targetLangIndex = column('target_lang', 'targetlang', 'target_language');
+
+        if ([sourceIndex, targetIndex, sourceLangIndex, targetLangIndex].every(index => index !== -1)) {
+            return rows
+                .map(row => ({
+                    sourceLang: (row[sourceLangIndex] || '').trim(),
+                    targetLang: (row[targetLangIndex] || '').trim(),
+                    source: (row[sourceIndex] || '').trim(),
+                    target: (row[targetIndex] || '').trim()
+                }))
+                .filter(term => term.source && term.sourceLang && term.targetLang);
+        }
+
+        if (!columns.every(name => /^[a-z]{2,3}([-_][a-z0-9]+)?$/.test(name))) {
+            throw new Error('Заголовок CSV должен содержать source, target, source_lang, target_lang или коды языков');
+        }
+
+        return rows.flatMap(row => columns.slice(1).map((lang, offset) => ({
+            sourceLang: columns[0],
+            targetLang: lang,
+            source: (row[0] || '').trim(),
+            target: (row[offset + 1] || '').trim()
+        }))).filter(term => term.source);
+    }
+
+    static normalizeLang(code) {
+        return String(code || '').toLowerCase().split(/[-_]/)[0];
+    }
+}
+
+module.exports = Glossary;
@@ -17,6 +17,14 @@ class ITranslationProvider {
         throw new Error('Getter "name" must be implemented');
     }
 
+    /**
+     * Максимальная длина текста в одном запросе (символов)
+     * Более длинные тексты TranslationManager делит на части.
+     */
+    get maxTextLength() {
+        return 5000;
+    }
+
     /**
      * Инициализация провайдера
      * @param {string} apiKey - API ключ
@@ -31,12 +39,50 @@ class ITranslationProvider {
      * @param {string} text - Текст для перевода
      * @param {string} sourceLang - Исходный язык (код)
      * @param {string} targetLang - Целевой язык (код)
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Отмена запроса (передается в axios)
      * @returns {Promise<TranslationResult>}
      */
-    async translate(text, sourceLang, targetLang) {
+    async translate(text, sourceLang, targetLang, options = {}) {
         throw new Error('Method "translate" must be implemented');
     }
 
+    /**
+     * Результат запроса, отмененного через options.signal
+     */
+    createCancelledResult(sourceLang, targetLang) {
+        return new TranslationResult({
+            text: '',
+            sourceLang,
+            targetLang,
+            provider: this.name,
+            error: new TranslationError({
+                type: TranslationErrorType.CANCELLED,
+                message: 'Перевод отменен',
+                retryable: false
+            })
+        });
+    }
+
+    /**
+     * Пауза, которую сервер просит выдержать перед повтором (заголовок Retry-After)
+     * @param {Error} error - Ошибка axios
+     * @returns {number|null} Миллисекунды или null, если заголовка нет
+     */
+    getRetryAfter(error) {
+        const header = error.response?.headers?.['retry-after'];
+        if (!header) return null;
+
+        // Retry-After задается в секундах или HTTP-датой
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
     /**
      * Получение списка поддерживаемых языков
      * @returns {Promise<Language[]>}
@@ -127,23 +173,29 @@ class ValidationResult {
  */
 const TranslationErrorType = {
     INVALID_API_KEY: 'INVALID_API_KEY',
+    // Квота исчерпана: не повторяется (retryable = false), цепочка переходит к следующему провайдеру
     QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
     UNSUPPORTED_LANGUAGE: 'UNSUPPORTED_LANGUAGE',
     NETWORK_ERROR: 'NETWORK_ERROR',
     PROVIDER_ERROR: 'PROVIDER_ERROR',
     INVALID_REQUEST: 'INVALID_REQUEST',
-    RATE_LIMITED: 'RATE_LIMITED'
+    RATE_LIMITED: 'RATE_LIMITED',
+    CANCELLED: 'CANCELLED',
+    // Провайдер временно отключен после серии сбоев
+    PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE'
 };
 
 /**
  * Ошибка перевода
  */
 class TranslationError {
-    constructor({ type = TranslationErrorType.PROVIDER_ERROR, message = '', details = null, retryable = false } = {}) {
+    constructor({ type = TranslationErrorType.PROVIDER_ERROR, message = '', details = null, retryable = false, retryAfter = null } = {}) {
         this.type = type;
         this.message = message;
         this.details = details;
         this.retryable = retryable;
+        // Пауза перед повтором в мс, если ее указал сервер
+        this.retryAfter = retryAfter;
         this.timestamp = Date.now();
     }
 }
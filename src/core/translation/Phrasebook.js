@@ -0,0 +1,164 @@
+// File: src/core/translation/Phrasebook.js
+const crypto = require('crypto');
+const JsonFileWriter = require('../../utils/JsonFileWriter');
+const Csv = require('../../utils/Csv');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Разговорник: избранные переводы с тегами и заметками
+ * Хранится отдельно от истории и не вытесняется.
+ */
+class Phrasebook {
+    constructor({ filePath = null } = {}) {
+        this.logger = new Logger('Phrasebook');
+        this.writer = new JsonFileWriter(() => ({ version: 1, entries: this.entries }), { name: 'Phrasebook' });
+        this.writer.filePath = filePath;
+        this.entries = [];
+    }
+
+    get filePath() {
+        return this.writer.filePath;
+    }
+
+    set filePath(filePath) {
+        this.writer.filePath = filePath;
+    }
+
+    async load() {
+        const data = await this.writer.read();
+        if (!data) return;
+
+        this.entries = (data.entries || []).filter(entry => entry && entry.id && entry.text);
+        this.logger.info(`Phrasebook loaded: ${this.entries.length} entries`);
+    }
+
+    /**
+     * Добавляет перевод в избранное; повторное добавление возвращает существующую запись
+     */
+    add({ text, result, sourceLang, targetLang, provider = null, tags = [], note = '' }) {
+        if (!text || !text.trim()) {
+            throw new Error('Пустой текст нельзя добавить в разговорник');
+        }
+
+        const existing = this.find(text, sourceLang, targetLang);
+        if (existing && existing.result === result) {
+            return existing;
+        }
+
+        const now = Date.now();
+        const entry = {
+            id: crypto.randomUUID(),
+            text,
+            result: result || '',
+            sourceLang,
+            targetLang,
+            provider,
+            tags: this.normalizeTags(tags),
+            note: note || '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.entries.unshift(entry);
+        this.writer.schedule();
+        return entry;
+    }
+
+    /**
+     * Изменяет текст, перевод, теги или заметку
+     * @returns {Object|null} Обновленная запись
+     */
+    update(id, changes = {}) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        ['text', 'result', 'sourceLang', 'targetLang', 'note'].forEach(field => {
+            if (typeof changes[field] === 'string') {
+                entry[field] = changes[field];
+            }
+        });
+
+        if (changes.tags !== undefined) {
+            entry.tags = this.normalizeTags(changes.tags);
+        }
+
+        entry.updatedAt = Date.now();
+        this.writer.schedule();
+        return entry;
+    }
+
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        this.writer.schedule();
+        return true;
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    find(text, sourceLang, targetLang) {
+        return this.entries.find(entry =>
+            entry.text === text && entry.sourceLang === sourceLang && entry.targetLang === targetLang
+        ) || null;
+    }
+
+    /**
+     * Список записей с фильтрами
+     * @param {Object} filters
+     * @param {string} [filters.query] - Подстрока в тексте, переводе или заметке
+     * @param {string} [filters.tag] - Тег
+     * @returns {Object[]}
+     */
+    list({ query = '', tag = '' } = {}) {
+        const needle = query.trim().toLocaleLowerCase();
+
+        return this.entries.filter(entry => {
+            if (tag && !entry.tags.includes(tag)) return false;
+            if (!needle) return true;
+
+            return [entry.text, entry.result, entry.note]
+                .some(value => (value || '').toLocaleLowerCase().includes(needle));
+        });
+    }
+
+    getTags() {
+        return [...new Set(this.entries.flatMap(entry => entry.tags))].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Теги принимаются массивом или строкой через запятую
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    /**
+     * Сериализует разговорник для экспорта
+     * @param {'csv'|'json'} format
+     * @returns {string}
+     */
+    export(format = 'csv') {
+        if (format === 'json') {
+            return JSON.stringify(this.entries, null, 2);
+        }
+
+        const rows = [['source_lang', 'target_lang', 'text', 'translation', 'tags', 'note']];
+        this.entries.forEach(entry => {
+            rows.push([entry.sourceLang, entry.targetLang, entry.text, entry.result, entry.tags.join(', '), entry.note]);
+        });
+
+        // BOM нужен, чтобы Excel открыл кириллицу в UTF-8
+        return '\uFEFF' + Csv.stringify(rows);
+    }
+
+    flush() {
+        this.writer.flush();
+    }
+}
+
+module.exports = Phrasebook;
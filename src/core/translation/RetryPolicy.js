@@ -0,0 +1,85 @@
+// File: src/core/translation/RetryPolicy.js
+/**
+ * Повтор запроса к провайдеру при временных сбоях
+ * Повторяются только ошибки с retryable = true. Пауза растет экспоненциально
+ * со случайным разбросом; пауза из Retry-After соблюдается, а если она длиннее
+ * maxDelay, повтор не выполняется.
+ */
+class RetryPolicy {
+    /**
+     * @param {Object} config
+     * @param {number} [config.attempts] - Количество повторов после первой попытки
+     * @param {number} [config.baseDelay] - Пауза перед первым повтором (мс)
+     * @param {number} [config.maxDelay] - Максимальная пауза (мс)
+     */
+    constructor({ attempts = 3, baseDelay = 500, maxDelay = 15000 } = {}) {
+        this.attempts = RetryPolicy.toNumber(attempts, 3);
+        this.baseDelay = RetryPolicy.toNumber(baseDelay, 500);
+        this.maxDelay = RetryPolicy.toNumber(maxDelay, 15000);
+    }
+
+    /**
+     * @param {Function} task - () => Promise<TranslationResult>
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Прерывает паузу и отменяет дальнейшие повторы
+     * @param {Function} [options.onRetry] - ({attempt, attempts, delay, error}) перед паузой
+     * @returns {Promise<TranslationResult>} Результат последней попытки
+     */
+    async execute(task, { signal, onRetry } = {}) {
+        let result = await task();
+
+        for (let attempt = 1; attempt <= this.attempts && result.error && result.error.retryable; attempt++) {
+            const delay = this.getDelay(attempt, result.error);
+            if (delay === null || (signal && signal.aborted)) break;
+
+            if (onRetry) onRetry({ attempt, attempts: this.attempts, delay, error: result.error });
+
+            await RetryPolicy.wait(delay, signal);
+            if (signal && signal.aborted) break;
+
+            result = await task();
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {number|null} Пауза в мс или null, если ждать дольше maxDelay
+     */
+    getDelay(attempt, error) {
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= this.maxDelay ? error.retryAfter : null;
+        }
+
+        // Разброс от половины до полной паузы, чтобы повторы разных запросов не совпадали
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    static wait(ms, signal) {
+        return new Promise(resolve => {
+            if (signal && signal.aborted) {
+                resolve();
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    static toNumber(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? number : fallback;
+    }
+}
+
+module.exports = RetryPolicy;
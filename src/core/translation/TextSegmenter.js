@@ -0,0 +1,92 @@
+// File: src/core/translation/TextSegmenter.js
+/**
+ * Деление длинного текста на части для перевода
+ * Границы выбираются по абзацам и предложениям, длинные предложения делятся по словам.
+ * Пробелы и переводы строк на краях частей не отправляются провайдеру,
+ * а возвращаются при сборке, поэтому структура документа сохраняется.
+ */
+class TextSegmenter {
+    /**
+     * @param {string} text - Исходный текст
+     * @param {number} maxLength - Максимальная длина части
+     * @returns {Array<{leading: string, content: string, trailing: string}>} Части; склейка leading + content + trailing
+     *          по всем частям дает исходный текст
+     */
+    static split(text, maxLength) {
+        const chunks = [];
+        let current = '';
+
+        for (const piece of TextSegmenter.splitPieces(text, maxLength)) {
+            // Абзац начинает новую часть, если текущая заполнена больше чем наполовину
+            const startsParagraph = /^\s*\n/.test(piece) || /\n\s*$/.test(current);
+
+            if (current && (current.length + piece.length > maxLength || (startsParagraph && current.length > maxLength / 2))) {
+                chunks.push(current);
+                current = '';
+            }
+            current += piece;
+        }
+
+        if (current) {
+            chunks.push(current);
+        }
+
+        return chunks.map(chunk => {
+            const [, leading, content, trailing] = chunk.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return { leading, content, trailing };
+        });
+    }
+
+    static join(chunks) {
+        return chunks.map(chunk => chunk.leading + chunk.content + chunk.trailing).join('');
+    }
+
+    /**
+     * Предложения (с пробелами после них), каждое не длиннее maxLength
+     */
+    static splitPieces(text, maxLength) {
+        return TextSegmenter.splitSentences(text).flatMap(sentence =>
+            sentence.length <= maxLength ? [sentence] : TextSegmenter.splitWords(sentence, maxLength)
+        );
+    }
+
+    static splitSentences(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+            return Array.from(segmenter.segment(text), segment => segment.segment);
+        }
+
+        return text.match(/[^.!?…\n]*(?:[.!?…]+|\n|$)\s*/g).filter(Boolean);
+    }
+
+    /**
+     * Делит слишком длинное предложение по пробелам, а сплошной текст — по длине
+     */
+    static splitWords(sentence, maxLength) {
+        const pieces = [];
+        let current = '';
+
+        for (const word of sentence.match(/\S+\s*|\s+/g)) {
+            if (current && current.length + word.length > maxLength) {
+                pieces.push(current);
+                current = '';
+            }
+
+            if (word.length > maxLength) {
+                for (let i = 0; i < word.length; i += maxLength) {
+                    pieces.push(word.slice(i, i + maxLength));
+                }
+            } else {
+                current += word;
+            }
+        }
+
+        if (current) {
+            pieces.push(current);
+        }
+
+        return pieces;
+    }
+}
+
+module.exports = TextSegmenter;
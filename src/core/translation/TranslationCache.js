@@ -0,0 +1,167 @@
+// File: src/core/translation/TranslationCache.js
+const JsonFileWriter = require('../../utils/JsonFileWriter');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Персистентный LRU-кэш переводов
+ * Map хранит записи в порядке использования: при чтении запись переносится в конец,
+ * при переполнении (по числу записей или размеру) вытесняются записи из начала.
+ */
+class TranslationCache {
+    constructor({ filePath = null, maxEntries = 1000, maxBytes = 5 * 1024 * 1024, ttl = 7 * 24 * 60 * 60 * 1000 } = {}) {
+        this.logger = new Logger('TranslationCache');
+        this.writer = new JsonFileWriter(() => ({ version: 1, entries: [...this.entries] }), { name: 'TranslationCache' });
+        this.writer.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.ttl = ttl;
+
+        this.entries = new Map();
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0 };
+        // Порядок записей после чтений сохраняется только при выходе, чтобы попадания не переписывали файл
+        this.orderChanged = false;
+    }
+
+    /**
+     * Загружает кэш с диска (отсутствие файла — не ошибка)
+     */
+    async load() {
+        const data = await this.writer.read();
+        if (!data) return;
+
+        this.entries.clear();
+        this.totalBytes = 0;
+
+        for (const [key, entry] of data.entries || []) {
+            if (this.isExpired(entry)) continue;
+            this.entries.set(key, entry);
+            this.totalBytes += entry.size;
+        }
+
+        this.evict();
+        this.logger.info(`Translation cache loaded: ${this.entries.size} entries`);
+    }
+
+    get filePath() {
+        return this.writer.filePath;
+    }
+
+    set filePath(filePath) {
+        this.writer.filePath = filePath;
+    }
+
+    /**
+     * Применяет новые ограничения и сразу вытесняет лишнее
+     */
+    configure({ maxEntries, maxBytes, ttl } = {}) {
+        if (maxEntries > 0) this.maxEntries = maxEntries;
+        if (maxBytes > 0) this.maxBytes = maxBytes;
+        if (ttl > 0) this.ttl = ttl;
+
+        if (this.evict()) {
+            this.scheduleSave();
+        }
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || this.isExpired(entry)) {
+            if (entry) this.delete(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        // Переносим в конец: запись становится самой свежей
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        this.orderChanged = true;
+
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (this.entries.has(key)) {
+            this.delete(key);
+        }
+
+        const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+        if (size > this.maxBytes) return;
+
+        this.entries.set(key, { value, size, timestamp: Date.now() });
+        this.totalBytes += size;
+
+        this.evict();
+        this.scheduleSave();
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.totalBytes -= entry.size;
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.totalBytes = 0;
+        this.stats = { hits: 0, misses: 0 };
+        this.scheduleSave();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    getStats() {
+        return {
+            size: this.entries.size,
+            bytes: this.totalBytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            ttl: this.ttl,
+            hits: this.stats.hits,
+            misses: this.stats.misses
+        };
+    }
+
+    isExpired(entry) {
+        return !entry.timestamp || (Date.now() - entry.timestamp) >= this.ttl;
+    }
+
+    /**
+     * Вытесняет наименее используемые записи, пока кэш не уложится в лимиты
+     * @returns {boolean} Было ли что-то удалено
+     */
+    evict() {
+        let evicted = false;
+
+        while (this.entries.size > 0 && (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes)) {
+            this.delete(this.entries.keys().next().value);
+            evicted = true;
+        }
+
+        return evicted;
+    }
+
+    scheduleSave() {
+        // Отложенная запись сериализует текущий порядок записей
+        this.orderChanged = false;
+        this.writer.schedule();
+    }
+
+    /**
+     * Синхронно сохраняет несохраненные изменения (при выходе из приложения), включая порядок использования
+     */
+    flush() {
+        if (this.orderChanged) {
+            this.scheduleSave();
+        }
+        this.writer.flush();
+    }
+}
+
+module.exports = TranslationCache;
@@ -0,0 +1,156 @@
+// File: src/core/translation/TranslationHistory.js
+const crypto = require('crypto');
+const JsonFileWriter = require('../../utils/JsonFileWriter');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Персистентная история переводов с поиском
+ * Записи хранятся от новых к старым; при переполнении удаляются самые старые.
+ */
+class TranslationHistory {
+    constructor({ filePath = null, maxEntries = 1000 } = {}) {
+        this.logger = new Logger('TranslationHistory');
+        this.writer = new JsonFileWriter(() => ({ version: 1, entries: this.entries }), { name: 'TranslationHistory' });
+        this.writer.filePath = filePath;
+        this.maxEntries = maxEntries;
+        this.entries = [];
+    }
+
+    get filePath() {
+        return this.writer.filePath;
+    }
+
+    set filePath(filePath) {
+        this.writer.filePath = filePath;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    async load() {
+        const data = await this.writer.read();
+        if (!data) return;
+
+        this.entries = (data.entries || []).filter(entry => entry && entry.text);
+        this.trim();
+        this.logger.info(`Translation history loaded: ${this.entries.length} entries`);
+    }
+
+    /**
+     * Добавляет перевод; повтор того же текста и пары поднимает запись наверх
+     * @returns {Object} Сохраненная запись
+     */
+    add({ text, result, sourceLang, targetLang, provider, timestamp = Date.now() }) {
+        const existingIndex = this.entries.findIndex(entry =>
+            entry.text === text && entry.sourceLang === sourceLang && entry.targetLang === targetLang
+        );
+
+        const existing = existingIndex !== -1 ? this.entries.splice(existingIndex, 1)[0] : null;
+        const entry = {
+            ...existing,
+            id: existing ? existing.id : crypto.randomUUID(),
+            text,
+            result,
+            sourceLang,
+            targetLang,
+            provider,
+            timestamp
+        };
+
+        this.entries.unshift(entry);
+        this.trim();
+        this.writer.schedule();
+
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    getRecent(limit = 10) {
+        return this.entries.slice(0, limit);
+    }
+
+    /**
+     * Поиск по истории
+     * @param {Object} filters
+     * @param {string} [filters.query] - Подстрока в исходном тексте или переводе (без учета регистра)
+     * @param {string} [filters.sourceLang] - Исходный язык
+     * @param {string} [filters.targetLang] - Язык перевода
+     * @param {string} [filters.provider] - Провайдер
+     * @param {number} [filters.from] - Начало периода (timestamp)
+     * @param {number} [filters.to] - Конец периода (timestamp)
+     * @param {number} [filters.limit=50] - Размер страницы
+     * @param {number} [filters.offset=0] - Смещение
+     * @returns {{items: Object[], total: number}}
+     */
+    search({ query, sourceLang, targetLang, provider, from, to, limit = 50, offset = 0 } = {}) {
+        // Из IPC может прийти null
+        const needle = String(query ?? '').trim().toLocaleLowerCase();
+
+        const matches = this.entries.filter(entry => {
+            if (sourceLang && entry.sourceLang !== sourceLang) return false;
+            if (targetLang && entry.targetLang !== targetLang) return false;
+            if (provider && entry.provider !== provider) return false;
+            if (from && entry.timestamp < from) return false;
+            if (to && entry.timestamp > to) return false;
+
+            if (needle) {
+                return entry.text.toLocaleLowerCase().includes(needle) ||
+                    (entry.result || '').toLocaleLowerCase().includes(needle);
+            }
+            return true;
+        });
+
+        return {
+            items: matches.slice(offset, offset + limit),
+            total: matches.length
+        };
+    }
+
+    /**
+     * Значения для фильтров: языковые пары и провайдеры, встречающиеся в истории
+     */
+    getFacets() {
+        const pairs = new Map();
+        const providers = new Set();
+
+        for (const entry of this.entries) {
+            pairs.set(`${entry.sourceLang}-${entry.targetLang}`, { sourceLang: entry.sourceLang, targetLang: entry.targetLang });
+            if (entry.provider) providers.add(entry.provider);
+        }
+
+        return {
+            languagePairs: [...pairs.values()],
+            providers: [...providers]
+        };
+    }
+
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        this.writer.schedule();
+        return true;
+    }
+
+    clear() {
+        this.entries = [];
+        this.writer.schedule();
+    }
+
+    trim() {
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(0, this.maxEntries);
+        }
+    }
+
+    flush() {
+        this.writer.flush();
+    }
+}
+
+module.exports = TranslationHistory;
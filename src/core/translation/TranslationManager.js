@@ -1,34 +1,152 @@
 // File: src/core/translation/TranslationManager.js
 const TranslationProviderFactory = require('./TranslationProviderFactory');
 const TranslationContext = require('./TranslationContext');
+const TranslationCache = require('./TranslationCache');
+const TranslationHistory = require('./TranslationHistory');
+const Phrasebook = require('./Phrasebook');
+const TranslationMemory = require('./TranslationMemory');
+const Glossary = require('./Glossary');
+const Tmx = require('../../utils/Tmx');
+const Tbx = require('../../utils/Tbx');
+const TextMasker = require('../../utils/TextMasker');
+const TextSegmenter = require('./TextSegmenter');
+const RetryPolicy = require('./RetryPolicy');
+const CircuitBreaker = require('./CircuitBreaker');
+const { TranslationResult, TranslationError, TranslationErrorType } = require('./ITranslationProvider');
+const ProtectedText = require('../../utils/ProtectedText');
+const Logger = require('../../utils/Logger');
+
+const CACHE_FILE_NAME = 'translation-cache.json';
+const HISTORY_FILE_NAME = 'translation-history.json';
+const PHRASEBOOK_FILE_NAME = 'phrasebook.json';
+const MEMORY_FILE_NAME = 'translation-memory.json';
+const GLOSSARY_FILE_NAME = 'glossary.json';
+
+// Перевод при наборе попадает в историю, если за это время не появился следующий
+const LIVE_HISTORY_DELAY_MS = 3000;
+
+/**
+ * Выполняет задачи для элементов массива, не больше limit одновременно
+ * @returns {Promise<Array>} Результаты в исходном порядке
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await task(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
 
 class TranslationManager {
     constructor() {
+        this.logger = new Logger('TranslationManager');
         this.providerFactory = new TranslationProviderFactory();
         this.activeProvider = null;
         this.apiKey = null;
+        // Почему не удалось создать выбранный провайдер; переводы возвращают эту ошибку
+        this.providerError = null;
+
+        this.cache = new TranslationCache();
 
-        this.cache = new Map();
-        this.maxCacheSize = 100;
-        this.cacheTTL = 24 * 60 * 60 * 1000;
+        this.history = new TranslationHistory();
+        // Последний перевод при наборе, еще не записанный в историю: { translation, timer }
+        this.pendingHistory = null;
+        this.phrasebook = new Phrasebook();
+        this.memory = new TranslationMemory();
+        this.glossary = new Glossary();
 
-        this.history = [];
-        this.maxHistorySize = 50;
+        // Провайдеры, временно отключенные после серии сбоев
+        this.circuitBreaker = new CircuitBreaker();
 
         this.settingsStore = null;
         this.context = null;
+
+        // Экземпляр провайдера -> ключ, с которым он уже инициализирован (для сравнения)
+        this.initializedProviders = new WeakMap();
     }
 
     async initialize(providerName, apiKey, config = {}) {
-        this.activeProvider = this.providerFactory.createProvider(providerName, config);
+        this.activeProvider = this.createProvider(providerName, config);
         this.apiKey = apiKey;
-        await this.activeProvider.initialize(apiKey);
+        if (this.activeProvider) {
+            await this.activeProvider.initialize(apiKey);
+        }
         this.initializeContext();
     }
 
+    /**
+     * Создает провайдер через фабрику; ошибку создания (например, сломанного плагина) запоминает в providerError
+     * @returns {ITranslationProvider|null}
+     */
+    createProvider(providerName, config) {
+        try {
+            const provider = this.providerFactory.createProvider(providerName, config);
+            this.providerError = null;
+            return provider;
+        } catch (error) {
+            this.logger.error(`Provider ${providerName} is unavailable:`, error.message);
+            this.providerError = error.message;
+            return null;
+        }
+    }
+
     setSettingsStore(store) {
         this.settingsStore = store;
         this.initializeContext();
+        this.configureCache();
+    }
+
+    /**
+     * Подключает файлы кэша, истории, разговорника, памяти переводов и глоссария в папке данных приложения и загружает их
+     */
+    async initializeStorage() {
+        if (!this.settingsStore) return;
+
+        this.cache.filePath = this.settingsStore.getDataPath(CACHE_FILE_NAME);
+        this.configureCache();
+
+        if (this.isCacheEnabled()) {
+            await this.cache.load();
+        }
+
+        this.history.filePath = this.settingsStore.getDataPath(HISTORY_FILE_NAME);
+        await this.history.load();
+
+        this.phrasebook.filePath = this.settingsStore.getDataPath(PHRASEBOOK_FILE_NAME);
+        await this.phrasebook.load();
+
+        this.memory.filePath = this.settingsStore.getDataPath(MEMORY_FILE_NAME);
+        await this.memory.load();
+
+        this.glossary.filePath = this.settingsStore.getDataPath(GLOSSARY_FILE_NAME);
+        await this.glossary.load();
+    }
+
+    configureCache() {
+        if (!this.settingsStore) return;
+
+        const settings = this.settingsStore.get('app.cache', {}) || {};
+        this.cache.configure({
+            maxEntries: Number(settings.maxEntries),
+            maxBytes: Number(settings.maxSizeMb) * 1024 * 1024,
+            ttl: Number(settings.ttlHours) * 60 * 60 * 1000
+        });
+
+        // Выключенный кэш не должен хранить переводы на диске
+        if (!this.isCacheEnabled() && this.cache.size > 0) {
+            this.cache.clear();
+        }
+    }
+
+    isCacheEnabled() {
+        return !this.settingsStore || this.settingsStore.get('app.cacheTranslations', true) !== false;
     }
 
     initializeContext() {
@@ -46,16 +164,32 @@ class TranslationManager {
         }
     }
 
-    async translate(text, sourceLang, targetLang) {
+    /**
+     * @param {string} text
+     * @param {string} sourceLang - Код языка или 'auto'
+     * @param {string} targetLang
+     * @param {Object} options
+     * @param {Function} [options.onProgress] - ({completed, total}) при переводе длинного текста по частям
+     * @param {AbortSignal} [options.signal] - Отмена перевода; отмененный перевод не кэшируется и не попадает в историю
+     * @param {Function} [options.onRetry] - ({attempt, attempts, delay, error}) перед повтором после временной ошибки
+     * @param {boolean} [options.explicitTarget] - targetLang выбран для этого перевода (например, горячей клавишей):
+     *   пара не переворачивается по определенному языку и общий контекст не меняется
+     * @param {boolean} [options.live] - Перевод при наборе текста: в историю попадает только последний из серии
+     */
+    async translate(text, sourceLang, targetLang, { onProgress, signal, onRetry, explicitTarget = false, live = false } = {}) {
         if (!text || !text.trim()) {
             return { translatedText: '', error: 'Empty text' };
         }
 
         if (!this.activeProvider) {
+            if (this.providerError) {
+                return { translatedText: '', error: this.providerError, errorType: TranslationErrorType.PROVIDER_ERROR };
+            }
             await this.initialize('mock', 'mock-key');
         }
 
         const settings = this.settingsStore ? this.settingsStore.getAll().translation : {};
+        const keepTarget = Boolean(explicitTarget && targetLang);
 
         if (this.context) {
             this.context.checkTimeout();
@@ -68,32 +202,44 @@ class TranslationManager {
         let requestSource = (!sourceLang || sourceLang === 'auto') ? 'auto' : sourceLang;
         let assumedSource = requestSource === 'auto' ? (this.context ? this.context.currentSource : 'en') : requestSource;
 
+        // Память переводов проверяется раньше кэша и провайдера
+        let memory = this.lookupMemory(text, requestSource, finalTarget);
+        if (memory.exact) {
+            return this.createMemoryResponse(text, memory.exact, requestSource, { explicitTarget: keepTarget, live });
+        }
+
         let cacheKey = this.getCacheKey(text, assumedSource, finalTarget);
-        let cached = this.cache.get(cacheKey);
+        let cached = this.getFromCache(cacheKey);
 
-        if (cached && this.isCacheValid(cached)) {
-            return { ...cached, fromCache: true };
+        if (cached) {
+            return { ...cached, fromCache: true, memoryMatches: memory.matches };
         }
 
         try {
-            let result = await this.activeProvider.translate(text, requestSource, finalTarget);
+            let result = await this.translateSegmented(this.activeProvider, text, requestSource, finalTarget, { onProgress, signal, onRetry });
             if (result.error) throw result.error;
 
             let detectedLang = result.detectedLanguage || result.sourceLang || assumedSource;
 
-            if (this.context && requestSource === 'auto') {
+            if (this.context && requestSource === 'auto' && !keepTarget) {
                 const isInverted = this.context.updateFromApiResult(detectedLang);
 
                 if (isInverted) {
                     finalTarget = this.context.currentTarget;
+
+                    memory = this.lookupMemory(text, detectedLang, finalTarget);
+                    if (memory.exact) {
+                        return this.createMemoryResponse(text, memory.exact, detectedLang, { live });
+                    }
+
                     cacheKey = this.getCacheKey(text, detectedLang, finalTarget);
-                    cached = this.cache.get(cacheKey);
+                    cached = this.getFromCache(cacheKey);
 
-                    if (cached && this.isCacheValid(cached)) {
-                        return { ...cached, fromCache: true };
+                    if (cached) {
+                        return { ...cached, fromCache: true, memoryMatches: memory.matches };
                     }
 
-                    result = await this.activeProvider.translate(text, 'auto', finalTarget);
+                    result = await this.translateSegmented(this.activeProvider, text, 'auto', finalTarget, { onProgress, signal, onRetry });
                     if (result.error) throw result.error;
 
                     detectedLang = result.detectedLanguage || result.sourceLang || detectedLang;
@@ -105,7 +251,10 @@ class TranslationManager {
                 sourceLang: detectedLang,
                 targetLang: finalTarget,
                 detectedLanguage: detectedLang,
-                provider: this.activeProvider.name,
+                // Составной провайдер сообщает, кто из участников ответил
+                provider: result.provider || this.activeProvider.name,
+                fallbackFrom: result.fallbackFrom || [],
+                glossaryViolations: result.glossaryViolations || [],
                 timestamp: Date.now()
             };
 
@@ -117,22 +266,407 @@ class TranslationManager {
                 sourceLang: response.sourceLang,
                 targetLang: response.targetLang,
                 result: response.translatedText,
-                provider: this.activeProvider.name,
+                provider: response.provider,
                 timestamp: Date.now()
-            });
+            }, { live });
 
-            return response;
+            // Подсказки не кэшируются: память может пополниться
+            return { ...response, memoryMatches: memory.matches };
 
         } catch (error) {
             return {
                 translatedText: '',
                 error: error.message,
                 provider: this.activeProvider.name,
-                errorType: error.type
+                errorType: error.type,
+                cancelled: error.type === TranslationErrorType.CANCELLED,
+                // Время, когда отключенный после сбоев провайдер снова будет доступен
+                retryAt: error.type === TranslationErrorType.PROVIDER_UNAVAILABLE ? error.details.retryAt : null
             };
         }
     }
 
+    /**
+     * Перевод длинного текста по частям
+     * Части не длиннее лимита провайдера переводятся параллельно (не больше translation.chunking.concurrency);
+     * язык, определенный по первой части, используется для остальных.
+     */
+    async translateSegmented(provider, text, sourceLang, targetLang, { onProgress, signal, onRetry } = {}) {
+        const chunks = TextSegmenter.split(text, provider.maxTextLength || 5000);
+        const pending = chunks.filter(chunk => chunk.content);
+
+        if (pending.length <= 1) {
+            return this.translateWithProvider(provider, text, sourceLang, targetLang, { signal, onRetry });
+        }
+
+        let completed = 0;
+        const report = () => {
+            if (onProgress) onProgress({ completed, total: pending.length });
+        };
+
+        const translateChunk = async (chunk, source) => {
+            // После отмены оставшиеся части не отправляются
+            if (signal && signal.aborted) {
+                return provider.createCancelledResult(source, targetLang);
+            }
+
+            const result = await this.translateWithProvider(provider, chunk.content, source, targetLang, { signal, onRetry });
+            completed++;
+            report();
+            return result;
+        };
+
+        report();
+
+        const first = await translateChunk(pending[0], sourceLang);
+        if (first.error) return first;
+
+        const detectedSource = sourceLang === 'auto' ? (first.detectedLanguage || first.sourceLang || 'auto') : sourceLang;
+        const rest = await mapWithConcurrency(pending.slice(1), this.getChunkConcurrency(), chunk => translateChunk(chunk, detectedSource));
+
+        const results = [first, ...rest];
+        const failed = results.find(result => result.error);
+        if (failed) return failed;
+
+        const translations = new Map(pending.map((chunk, index) => [chunk, results[index].text]));
+        first.text = TextSegmenter.join(chunks.map(chunk => ({
+            ...chunk,
+            content: translations.has(chunk) ? translations.get(chunk) : chunk.content
+        })));
+        first.glossaryViolations = results.flatMap(result => result.glossaryViolations || []);
+
+        return first;
+    }
+
+    getChunkConcurrency() {
+        const configured = this.settingsStore ? Number(this.settingsStore.get('translation.chunking.concurrency')) : NaN;
+        return Number.isFinite(configured) && configured > 0 ? configured : 3;
+    }
+
+    getRetryPolicy() {
+        return new RetryPolicy(this.settingsStore ? this.settingsStore.get('translation.retry') || {} : {});
+    }
+
+    /**
+     * Учитывает результат запроса в состоянии провайдера
+     * Сбоями считаются только временные ошибки: неверный ключ или язык не говорят о недоступности.
+     */
+    recordProviderHealth(provider, error) {
+        const config = this.settingsStore ? this.settingsStore.get('translation.circuitBreaker') || {} : {};
+        this.circuitBreaker.updateConfig({
+            failureThreshold: config.failureThreshold,
+            cooldown: Number(config.cooldown) * 1000
+        });
+
+        if (!error) {
+            this.circuitBreaker.recordSuccess(provider.name);
+        } else if (error.retryable) {
+            this.circuitBreaker.recordFailure(provider.name, error.retryAfter);
+        }
+    }
+
+    createUnavailableResult(provider, sourceLang, targetLang, retryAt) {
+        return new TranslationResult({
+            text: '',
+            sourceLang,
+            targetLang,
+            provider: provider.name,
+            error: new TranslationError({
+                type: TranslationErrorType.PROVIDER_UNAVAILABLE,
+                message: `Провайдер ${provider.name} временно недоступен после серии ошибок`,
+                details: { retryAt },
+                retryable: false
+            })
+        });
+    }
+
+    /**
+     * Перевод одним провайдером с защитой фрагментов текста
+     * Код, ссылки, разметка, плейсхолдеры и термины глоссария заменяются маркерами
+     * до отправки и восстанавливаются в ответе; потерянные провайдером термины глоссария
+     * попадают в glossaryViolations. Временные ошибки повторяются по translation.retry,
+     * а отключенный после сбоев провайдер не вызывается до конца паузы.
+     */
+    async translateWithProvider(provider, text, sourceLang, targetLang, { signal, onRetry } = {}) {
+        const retryAt = this.circuitBreaker.getRetryAt(provider.name);
+        if (retryAt) {
+            return this.createUnavailableResult(provider, sourceLang, targetLang, retryAt);
+        }
+
+        const spans = this.getMaskSpans(text, sourceLang, targetLang);
+        const masked = spans.length > 0 ? TextMasker.mask(text, spans) : null;
+
+        const result = await this.getRetryPolicy().execute(
+            () => provider.translate(masked ? masked.text : text, sourceLang, targetLang, { signal }),
+            { signal, onRetry }
+        );
+
+        // Провайдер мог не поддерживать отмену и вернуть уже ненужный ответ
+        if (signal && signal.aborted) {
+            return provider.createCancelledResult(sourceLang, targetLang);
+        }
+
+        this.recordProviderHealth(provider, result.error);
+        if (!masked || result.error) return result;
+
+        const restored = TextMasker.unmask(result.text, masked.tokens);
+        const translated = restored.text.toLocaleLowerCase();
+
+        const lostFragments = restored.missing.filter(token => token.meta && token.meta.type !== 'glossary');
+        if (lostFragments.length > 0) {
+            this.logger.warn(`Provider ${provider.name} dropped protected fragments: ${lostFragments.map(token => token.original).join(', ')}`);
+        }
+
+        result.text = restored.text;
+        result.glossaryViolations = restored.missing
+            .filter(token => token.meta && token.meta.type === 'glossary')
+            // Провайдер мог перевести маркер вместе с текстом и все же вставить нужный термин
+            .filter(token => !translated.includes(token.meta.target.toLocaleLowerCase()))
+            .map(token => ({ source: token.meta.source, target: token.meta.target }));
+
+        return result;
+    }
+
+    /**
+     * Защищенные фрагменты идут первыми: термин внутри ссылки или кода не заменяется
+     */
+    getMaskSpans(text, sourceLang, targetLang) {
+        return [
+            ...(this.isProtectionEnabled() ? ProtectedText.findSpans(text) : []),
+            ...(this.isGlossaryEnabled() ? this.glossary.findSpans(text, sourceLang, targetLang) : [])
+        ];
+    }
+
+    isProtectionEnabled() {
+        return !this.settingsStore || this.settingsStore.get('translation.protectMarkup', true) !== false;
+    }
+
+    isGlossaryEnabled() {
+        return !this.settingsStore || this.settingsStore.get('glossary.enabled', true) !== false;
+    }
+
+    getGlossary(filters = {}) {
+        return { items: this.glossary.list(filters), total: this.glossary.size };
+    }
+
+    addGlossaryTerm(term) {
+        const entry = this.glossary.add(term);
+        this.onGlossaryChanged();
+        return entry;
+    }
+
+    updateGlossaryTerm(id, changes) {
+        const entry = this.glossary.update(id, changes);
+        this.onGlossaryChanged();
+        return entry;
+    }
+
+    removeGlossaryTerm(id) {
+        const removed = this.glossary.remove(id);
+        this.onGlossaryChanged();
+        return removed;
+    }
+
+    clearGlossary() {
+        this.glossary.clear();
+        this.onGlossaryChanged();
+    }
+
+    /**
+     * Импортирует термины из CSV или TBX
+     * @param {string} content - Содержимое файла
+     * @param {string} fileName - Имя файла (формат определяется по расширению)
+     * @returns {{added: number, updated: number, total: number}}
+     */
+    importGlossary(content, fileName) {
+        const terms = /\.(tbx|xml)$/i.test(fileName) ? Tbx.parse(content) : Glossary.parseCsv(content);
+        if (terms.length === 0) {
+            throw new Error('В файле нет терминов');
+        }
+
+        const result = this.glossary.import(terms);
+        this.onGlossaryChanged();
+        return { ...result, total: this.glossary.size };
+    }
+
+    /**
+     * Кэш хранит переводы, сделанные со старыми терминами
+     */
+    onGlossaryChanged() {
+        this.clearCache();
+    }
+
+    isMemoryEnabled() {
+        return !this.settingsStore || this.settingsStore.get('app.translationMemory.enabled', true) !== false;
+    }
+
+    /**
+     * @returns {{exact: Object|null, matches: Array<{source, target, similarity}>}}
+     */
+    lookupMemory(text, sourceLang, targetLang) {
+        if (!this.isMemoryEnabled() || this.memory.size === 0) {
+            return { exact: null, matches: [] };
+        }
+
+        const settings = this.settingsStore ? this.settingsStore.get('app.translationMemory', {}) || {} : {};
+        const threshold = Number(settings.fuzzyThreshold);
+        const limit = Number(settings.maxSuggestions);
+
+        return this.memory.lookup(text, sourceLang, targetLang, {
+            threshold: Number.isFinite(threshold) ? threshold / 100 : 0.75,
+            limit: Number.isFinite(limit) ? limit : 3
+        });
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.explicitTarget] - Язык перевода задан явно: общий контекст не меняется
+     * @param {boolean} [options.live] - Перевод при наборе текста (см. addToHistory)
+     */
+    createMemoryResponse(text, unit, requestSource, { explicitTarget = false, live = false } = {}) {
+        if (this.context && requestSource === 'auto' && !explicitTarget) {
+            this.context.updateFromApiResult(unit.sourceLang);
+        }
+
+        const response = {
+            translatedText: unit.target,
+            sourceLang: unit.sourceLang,
+            targetLang: unit.targetLang,
+            detectedLanguage: unit.sourceLang,
+            provider: 'memory',
+            fromMemory: true,
+            fallbackFrom: [],
+            memoryMatches: [],
+            timestamp: Date.now()
+        };
+
+        this.addToHistory({
+            text,
+            sourceLang: response.sourceLang,
+            targetLang: response.targetLang,
+            result: response.translatedText,
+            provider: response.provider,
+            timestamp: response.timestamp
+        }, { live });
+
+        return response;
+    }
+
+    /**
+     * Загружает единицы перевода из содержимого TMX-файла
+     * @param {string} xml - Содержимое файла
+     * @param {string} origin - Имя файла (для статистики)
+     * @returns {{added: number, updated: number, total: number}}
+     */
+    importTranslationMemory(xml, origin) {
+        const units = Tmx.parse(xml);
+        if (units.length === 0) {
+            throw new Error('В файле нет пар сегментов');
+        }
+
+        return { ...this.memory.import(units, origin), total: this.memory.size };
+    }
+
+    getTranslationMemoryStats() {
+        return { ...this.memory.getStats(), enabled: this.isMemoryEnabled() };
+    }
+
+    clearTranslationMemory() {
+        this.memory.clear();
+    }
+
+    /**
+     * Переводит текст всеми настроенными провайдерами параллельно
+     * Не меняет контекст, кэш и историю: это инструмент сравнения.
+     * @returns {Promise<Array<{provider, label, translatedText, detectedLanguage, latency, error}>>}
+     */
+    async translateWithAll(text, sourceLang, targetLang) {
+        if (!text || !text.trim()) {
+            return [];
+        }
+
+        const finalTarget = targetLang || (this.context ? this.context.currentTarget : 'ru');
+        const requestSource = (!sourceLang || sourceLang === 'auto') ? 'auto' : sourceLang;
+
+        const providers = this.getConfiguredProviders();
+
+        return Promise.all(providers.map(async (info) => {
+            const startTime = Date.now();
+            try {
+                const provider = await this.getInitializedProvider(info.name);
+                const result = await this.translateSegmented(provider, text, requestSource, finalTarget);
+
+                return {
+                    provider: info.name,
+                    label: info.label,
+                    translatedText: result.text || '',
+                    glossaryViolations: result.glossaryViolations || [],
+                    detectedLanguage: result.detectedLanguage || result.sourceLang || null,
+                    targetLang: finalTarget,
+                    latency: Date.now() - startTime,
+                    error: result.error ? result.error.message : null
+                };
+            } catch (error) {
+                return {
+                    provider: info.name,
+                    label: info.label,
+                    translatedText: '',
+                    detectedLanguage: null,
+                    targetLang: finalTarget,
+                    latency: Date.now() - startTime,
+                    error: error.message
+                };
+            }
+        }));
+    }
+
+    /**
+     * Провайдеры, для которых заданы ключ и обязательные поля конфигурации
+     * Цепочка не участвует (ее участники и так в списке), mock — только если активен.
+     */
+    getConfiguredProviders() {
+        const activeName = this.activeProvider ? this.activeProvider.name : null;
+
+        if (!this.settingsStore) {
+            return activeName ? [this.providerFactory.getProviderInfo(activeName)] : [];
+        }
+
+        return this.getAvailableProviders().filter(info => {
+            if (info.name === 'chain') return false;
+            if (info.name === 'mock') return activeName === 'mock';
+
+            if (info.requiresApiKey && !this.settingsStore.getProviderApiKey(info.name)) {
+                return false;
+            }
+
+            const config = this.settingsStore.getProviderConfig(info.name);
+            return (info.configFields || [])
+                .filter(field => field.required)
+                .every(field => config[field.id] && String(config[field.id]).trim());
+        });
+    }
+
+    /**
+     * Провайдер для сравнения: активный используется как есть, остальные инициализируются по настройкам
+     * Фабрика кэширует экземпляры, поэтому без этой проверки сравнение повторно инициализировало бы активный провайдер.
+     */
+    async getInitializedProvider(providerName) {
+        if (this.activeProvider && this.activeProvider.name === providerName) {
+            return this.activeProvider;
+        }
+
+        const apiKey = this.settingsStore ? this.settingsStore.getProviderApiKey(providerName) : this.apiKey;
+        const config = this.settingsStore ? this.settingsStore.getProviderConfig(providerName) : {};
+        const provider = this.providerFactory.createProvider(providerName, config);
+
+        if (this.initializedProviders.get(provider) !== apiKey) {
+            await provider.initialize(apiKey);
+            this.initializedProviders.set(provider, apiKey);
+        }
+
+        return provider;
+    }
+
     getLocalizedLanguageName(code) {
         try {
             // Используем нативный Intl API для локализации названия языка под текущую ОС
@@ -201,7 +735,14 @@ class TranslationManager {
 
     async switchProvider(providerName, apiKey, config = {}) {
         try {
-            const newProvider = this.providerFactory.createProvider(providerName, config);
+            const newProvider = this.createProvider(providerName, config);
+            if (!newProvider) {
+                // Выбранный провайдер не создан: переводы должны сообщать об ошибке, а не идти через прежний
+                this.activeProvider = null;
+                this.clearCache();
+                return false;
+            }
+
             await newProvider.initialize(apiKey);
             this.activeProvider = newProvider;
             this.apiKey = apiKey;
@@ -224,12 +765,69 @@ class TranslationManager {
         return this.providerFactory.getAvailableProviders();
     }
 
+    /**
+     * Подключает сторонние провайдеры из папки плагинов
+     * Вызывается до инициализации настроек, чтобы их поля попали в структуру настроек.
+     */
+    loadProviderPlugins(directory) {
+        this.providerFactory.clearCache();
+        return this.providerFactory.loadPlugins(directory);
+    }
+
+    getProviderPluginsStatus() {
+        return this.providerFactory.getPluginsStatus();
+    }
+
     getTranslationHistory(limit = 10) {
-        return this.history.slice(0, limit);
+        return this.history.getRecent(limit);
+    }
+
+    searchHistory(filters = {}) {
+        return this.history.search(filters);
+    }
+
+    getHistoryFacets() {
+        return this.history.getFacets();
+    }
+
+    removeHistoryEntry(id) {
+        return this.history.remove(id);
     }
 
     clearHistory() {
-        this.history = [];
+        this.discardPendingHistory();
+        this.history.clear();
+    }
+
+    addToPhrasebook(entry) {
+        return this.phrasebook.add(entry);
+    }
+
+    updatePhrasebookEntry(id, changes) {
+        return this.phrasebook.update(id, changes);
+    }
+
+    removePhrasebookEntry(id) {
+        return this.phrasebook.remove(id);
+    }
+
+    getPhrasebook(filters = {}) {
+        return {
+            items: this.phrasebook.list(filters),
+            tags: this.phrasebook.getTags()
+        };
+    }
+
+    findPhrasebookEntry(text, sourceLang, targetLang) {
+        return this.phrasebook.find(text, sourceLang, targetLang);
+    }
+
+    exportPhrasebook(format) {
+        return this.phrasebook.export(format);
+    }
+
+    isHistoryEnabled() {
+        return !this.settingsStore || this.settingsStore.get('app.translationHistory', true) !== false;
     }
 
     clearCache() {
@@ -238,8 +836,8 @@ class TranslationManager {
 
     getCacheStats() {
         return {
-            size: this.cache.size,
-            maxSize: this.maxCacheSize,
+            ...this.cache.getStats(),
+            enabled: this.isCacheEnabled(),
             historySize: this.history.length
         };
     }
@@ -249,29 +847,63 @@ class TranslationManager {
         return `${providerName}:${text}:${sourceLang}:${targetLang}`;
     }
 
-    isCacheValid(cacheEntry) {
-        if (!cacheEntry.timestamp) return false;
-        return (Date.now() - cacheEntry.timestamp) < this.cacheTTL;
+    getFromCache(key) {
+        return this.isCacheEnabled() ? this.cache.get(key) : null;
     }
 
     addToCache(key, result) {
-        if (this.cache.size >= this.maxCacheSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+        if (!this.isCacheEnabled()) return;
+        this.cache.set(key, result);
+    }
+
+    /**
+     * @param {Object} translation
+     * @param {Object} options
+     * @param {boolean} [options.live] - Перевод при наборе текста: записывается через LIVE_HISTORY_DELAY_MS,
+     *   если до этого не пришел следующий такой перевод (промежуточные результаты в историю не попадают)
+     */
+    addToHistory(translation, { live = false } = {}) {
+        if (!this.isHistoryEnabled()) return;
+
+        if (!live) {
+            this.history.add(translation);
+            return;
         }
-        this.cache.set(key, {
-            ...result,
-            timestamp: Date.now()
-        });
+
+        this.discardPendingHistory();
+        this.pendingHistory = {
+            translation,
+            timer: setTimeout(() => this.commitPendingHistory(), LIVE_HISTORY_DELAY_MS)
+        };
     }
 
-    addToHistory(translation) {
-        this.history.unshift(translation);
-        if (this.history.length > this.maxHistorySize) {
-            this.history = this.history.slice(0, this.maxHistorySize);
+    commitPendingHistory() {
+        if (!this.pendingHistory) return;
+
+        const { translation } = this.pendingHistory;
+        this.discardPendingHistory();
+
+        if (this.isHistoryEnabled()) {
+            this.history.add(translation);
         }
     }
 
+    discardPendingHistory() {
+        if (!this.pendingHistory) return;
+
+        clearTimeout(this.pendingHistory.timer);
+        this.pendingHistory = null;
+    }
+
+    cleanup() {
+        this.commitPendingHistory();
+        this.cache.flush();
+        this.history.flush();
+        this.phrasebook.flush();
+        this.memory.flush();
+        this.glossary.flush();
+    }
+
     getDefaultLanguages() {
         return [
             { code: 'en' }, { code: 'ru' }, { code: 'es' },
@@ -0,0 +1,326 @@
+// File: src/core/translation/TranslationMemory.js
+const JsonFileWriter = require('../../utils/JsonFileWriter');
+const Logger = require('../../utils/Logger');
+
+// Нечеткий поиск — O(n·m) на кандидата, длинные тексты (запрос и единицы памяти) сравниваются только точно
+const MAX_FUZZY_LENGTH = 500;
+
+// Сколько самых похожих по n-граммам кандидатов сравнивается по Левенштейну
+const MAX_FUZZY_CANDIDATES = 50;
+
+// Длина n-грамм для отбора кандидатов: при пороге 75% биграммы еще отсекают непохожие тексты, триграммы — нет
+const GRAM_SIZE = 2;
+
+/**
+ * Память переводов (translation memory)
+ * Хранит утвержденные пары сегментов, например импортированные из TMX.
+ * Точное совпадение заменяет машинный перевод, похожие сегменты показываются как подсказки.
+ */
+class TranslationMemory {
+    constructor({ filePath = null } = {}) {
+        this.logger = new Logger('TranslationMemory');
+        this.writer = new JsonFileWriter(() => ({ version: 1, units: this.units }), { name: 'TranslationMemory' });
+        this.writer.filePath = filePath;
+        this.units = [];
+        // "src|tgt|нормализованный текст" -> единица
+        this.exactIndex = new Map();
+        // "src|tgt" -> записи { unit, text, grams } этой пары; text — нормализованный исходный текст
+        this.pairIndex = new Map();
+        // Пары, в которые добавлены записи: перед нечетким поиском их записи сортируются по длине
+        this.unsortedPairs = new Set();
+    }
+
+    get filePath() {
+        return this.writer.filePath;
+    }
+
+    set filePath(filePath) {
+        this.writer.filePath = filePath;
+    }
+
+    get size() {
+        return this.units.length;
+    }
+
+    async load() {
+        const data = await this.writer.read();
+        if (!data) return;
+
+        this.units = (data.units || []).filter(unit => unit && unit.source && unit.target);
+        this.rebuildIndex();
+        this.logger.info(`Translation memory loaded: ${this.units.length} units`);
+    }
+
+    /**
+     * Добавляет пару сегментов; существующий сегмент получает новый перевод
+     * @returns {boolean} true, если сегмент новый
+     */
+    add(unit) {
+        const added = this.put(unit);
+        this.writer.schedule();
+        return added;
+    }
+
+    /**
+     * Импортирует набор пар (например, из Tmx.parse)
+     * @param {Array<{sourceLang, targetLang, source, target, timestamp?}>} units
+     * @param {string} origin - Откуда пришли данные (имя файла)
+     * @returns {{added: number, updated: number}}
+     */
+    import(units, origin = 'import') {
+        let added = 0;
+        let updated = 0;
+
+        units.forEach(unit => {
+            if (this.put({ ...unit, origin })) {
+                added++;
+            } else {
+                updated++;
+            }
+        });
+
+        this.writer.schedule();
+        this.logger.info(`Imported ${units.length} units from ${origin}: ${added} new, ${updated} updated`);
+        return { added, updated };
+    }
+
+    put({ sourceLang, targetLang, source, target, origin = 'user', timestamp = Date.now() }) {
+        const unit = {
+            sourceLang: TranslationMemory.normalizeLang(sourceLang),
+            targetLang: TranslationMemory.normalizeLang(targetLang),
+            source: source.trim(),
+            target: target.trim(),
+            origin,
+            timestamp: timestamp || Date.now()
+        };
+
+        const key = this.getExactKey(unit.sourceLang, unit.targetLang, unit.source);
+        const existing = this.exactIndex.get(key);
+
+        if (existing) {
+            Object.assign(existing, unit);
+            return false;
+        }
+
+        this.units.push(unit);
+        this.indexUnit(unit, key);
+        return true;
+    }
+
+    /**
+     * Ищет перевод в памяти
+     * @param {string} text - Исходный текст
+     * @param {string} sourceLang - Исходный язык или 'auto' (любой)
+     * @param {string} targetLang - Язык перевода
+     * @param {Object} options
+     * @param {number} options.threshold - Минимальная похожесть нечеткого совпадения (0..1)
+     * @param {number} options.limit - Максимум подсказок
+     * @returns {{exact: Object|null, matches: Array<Object>}} Подсказки содержат поле similarity (0..1)
+     */
+    lookup(text, sourceLang, targetLang, { threshold = 0.75, limit = 3 } = {}) {
+        const normalized = TranslationMemory.normalizeText(text);
+        const target = TranslationMemory.normalizeLang(targetLang);
+        const sources = this.getSourceLangs(sourceLang, target);
+
+        for (const source of sources) {
+            const exact = this.exactIndex.get(`${source}|${target}|${normalized}`);
+            if (exact) {
+                return { exact, matches: [] };
+            }
+        }
+
+        if (!normalized || normalized.length > MAX_FUZZY_LENGTH || limit <= 0) {
+            return { exact: null, matches: [] };
+        }
+
+        const grams = TranslationMemory.getGrams(normalized);
+        const matches = [];
+        for (const source of sources) {
+            for (const entry of this.getFuzzyCandidates(`${source}|${target}`, normalized, grams, threshold)) {
+                const similarity = TranslationMemory.similarity(normalized, entry.text, threshold);
+                if (similarity >= threshold) {
+                    matches.push({ ...entry.unit, similarity });
+                }
+            }
+        }
+
+        matches.sort((a, b) => b.similarity - a.similarity);
+        return { exact: null, matches: matches.slice(0, limit) };
+    }
+
+    /**
+     * Отбирает записи, которые могут быть похожи на текст не меньше threshold
+     * Похожесть ограничивает разницу длин, поэтому просматривается только диапазон
+     * отсортированных по длине записей. Каждая правка затрагивает не больше GRAM_SIZE
+     * n-грамм, и у текста в пределах d правок общих с запросом различных n-грамм
+     * не меньше grams.length - GRAM_SIZE * d; остальные записи отбрасываются.
+     * Поиск выполняется в основном процессе при каждом переводе, поэтому по Левенштейну
+     * сравниваются только MAX_FUZZY_CANDIDATES записей с наибольшей долей общих n-грамм.
+     */
+    getFuzzyCandidates(pair, text, grams, threshold) {
+        const entries = this.getEntriesByLength(pair);
+        const minLength = Math.ceil(text.length * threshold);
+        const maxLength = threshold > 0 ? Math.min(MAX_FUZZY_LENGTH, Math.floor(text.length / threshold)) : MAX_FUZZY_LENGTH;
+        const candidates = [];
+
+        const queryGrams = new Uint8Array(0x10000);
+        grams.forEach(gram => { queryGrams[gram] = 1; });
+
+        for (let i = TranslationMemory.findFirstByLength(entries, minLength); i < entries.length && entries[i].text.length <= maxLength; i++) {
+            const entry = entries[i];
+            const maxDistance = Math.floor((1 - threshold) * Math.max(text.length, entry.text.length));
+
+            let shared = 0;
+            for (let j = 0; j < entry.grams.length; j++) {
+                shared += queryGrams[entry.grams[j]];
+            }
+
+            if (shared >= grams.length - GRAM_SIZE * maxDistance) {
+                candidates.push({ entry, score: shared / (grams.length + entry.grams.length) });
+            }
+        }
+
+        return candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_FUZZY_CANDIDATES)
+            .map(candidate => candidate.entry);
+    }
+
+    getEntriesByLength(pair) {
+        const entries = this.pairIndex.get(pair) || [];
+
+        if (this.unsortedPairs.has(pair)) {
+            entries.sort((a, b) => a.text.length - b.text.length);
+            this.unsortedPairs.delete(pair);
+        }
+
+        return entries;
+    }
+
+    getSourceLangs(sourceLang, targetLang) {
+        if (sourceLang && sourceLang !== 'auto') {
+            return [TranslationMemory.normalizeLang(sourceLang)];
+        }
+
+        return [...this.pairIndex.keys()]
+            .map(pair => pair.split('|'))
+            .filter(([, target]) => target === targetLang)
+            .map(([source]) => source);
+    }
+
+    getStats() {
+        return {
+            size: this.units.length,
+            languagePairs: [...this.pairIndex.keys()]
+        };
+    }
+
+    clear() {
+        this.units = [];
+        this.rebuildIndex();
+        this.writer.schedule();
+    }
+
+    rebuildIndex() {
+        this.exactIndex.clear();
+        this.pairIndex.clear();
+        this.unsortedPairs.clear();
+        this.units.forEach(unit => this.indexUnit(unit, this.getExactKey(unit.sourceLang, unit.targetLang, unit.source)));
+    }
+
+    indexUnit(unit, key) {
+        this.exactIndex.set(key, unit);
+
+        const pair = `${unit.sourceLang}|${unit.targetLang}`;
+        if (!this.pairIndex.has(pair)) {
+            this.pairIndex.set(pair, []);
+        }
+
+        // Исходный текст единицы не меняется: put() обновляет у существующей только перевод
+        const text = TranslationMemory.normalizeText(unit.source);
+        this.pairIndex.get(pair).push({ unit, text, grams: TranslationMemory.getGrams(text) });
+        this.unsortedPairs.add(pair);
+    }
+
+    getExactKey(sourceLang, targetLang, text) {
+        return `${sourceLang}|${targetLang}|${TranslationMemory.normalizeText(text)}`;
+    }
+
+    flush() {
+        this.writer.flush();
+    }
+
+    /**
+     * Региональные варианты (en-US, en_GB) сводятся к основному коду языка
+     */
+    static normalizeLang(code) {
+        return String(code || '').toLowerCase().split(/[-_]/)[0];
+    }
+
+    static normalizeText(text) {
+        return String(text || '').trim().replace(/\s+/g, ' ').toLocaleLowerCase();
+    }
+
+    /**
+     * Различные биграммы текста в виде 16-битных хэшей (младшие байты обоих символов)
+     * Оценка общих n-грамм верна и для хэшей: совпадение хэшей разных биграмм может
+     * лишь пропустить лишнего кандидата, но не отбросить нужного.
+     * @returns {Uint16Array}
+     */
+    static getGrams(text) {
+        const grams = new Set();
+        for (let i = 0; i + GRAM_SIZE <= text.length; i++) {
+            grams.add(((text.charCodeAt(i) & 0xFF) << 8) | (text.charCodeAt(i + 1) & 0xFF));
+        }
+        return Uint16Array.from(grams);
+    }
+
+    /**
+     * Индекс первой записи длиной не меньше length (записи отсортированы по длине)
+     */
+    static findFirstByLength(entries, length) {
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (entries[middle].text.length < length) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Похожесть строк по расстоянию Левенштейна: 1 — совпадают, 0 — ничего общего
+     * Подсчет прерывается, как только результат заведомо ниже порога.
+     */
+    static similarity(a, b, threshold = 0) {
+        const maxLength = Math.max(a.length, b.length);
+        if (maxLength === 0) return 1;
+
+        const maxDistance = Math.floor((1 - threshold) * maxLength);
+        if (Math.abs(a.length - b.length) > maxDistance) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > maxDistance) return 0;
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / maxLength;
+    }
+}
+
+module.exports = TranslationMemory;
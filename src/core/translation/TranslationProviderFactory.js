@@ -2,7 +2,19 @@
 const MockTranslationProvider = require('./providers/MockTranslationProvider');
 const YandexTranslationProvider = require('./providers/YandexTranslationProvider');
 const GoogleTranslationProvider = require('./providers/GoogleTranslationProvider');
+const DeepLTranslationProvider = require('./providers/DeepLTranslationProvider');
+const LibreTranslateProvider = require('./providers/LibreTranslateProvider');
+const LLMTranslationProvider = require('./providers/LLMTranslationProvider');
+const AzureTranslationProvider = require('./providers/AzureTranslationProvider');
+const ChainTranslationProvider = require('./providers/ChainTranslationProvider');
+const CustomHttpTranslationProvider = require('./providers/CustomHttpTranslationProvider');
+const ProviderSdk = require('./ITranslationProvider');
 const Logger = require('../../utils/Logger');
+const fs = require('fs');
+const path = require('path');
+
+// Имя плагина становится частью пути настроек (provider.config.<name>)
+const PLUGIN_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
 
 /**
  * Фабрика для создания экземпляров провайдеров перевода
@@ -11,11 +23,122 @@ class TranslationProviderFactory {
     constructor() {
         this.logger = new Logger('TranslationProviderFactory');
         this.providerCache = new Map();
+
+        // Сторонние провайдеры: имя -> { ProviderClass, metadata, file }
+        this.plugins = new Map();
+        this.pluginErrors = [];
+    }
+
+    /**
+     * Загружает сторонние провайдеры из папки
+     * Модуль плагина экспортирует либо класс-наследник ITranslationProvider,
+     * либо функцию (sdk) => класс; метаданные для UI — в статическом поле metadata.
+     * Ошибка одного плагина не мешает загрузке остальных и запуску приложения.
+     * @param {string} directory - Папка с плагинами (<userData>/providers)
+     * @returns {{loaded: string[], errors: Array<{file: string, error: string}>}}
+     */
+    loadPlugins(directory) {
+        this.plugins.clear();
+        this.pluginErrors = [];
+
+        let entries = [];
+        try {
+            if (!fs.existsSync(directory)) {
+                this.logger.debug(`Plugin directory not found: ${directory}`);
+                return this.getPluginsStatus();
+            }
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+            this.logger.error('Failed to read plugin directory:', error.message);
+            this.pluginErrors.push({ file: directory, error: error.message });
+            return this.getPluginsStatus();
+        }
+
+        for (const entry of entries) {
+            const isModuleFile = entry.isFile() && entry.name.endsWith('.js');
+            if (!isModuleFile && !entry.isDirectory()) continue;
+
+            try {
+                const plugin = this.loadPlugin(path.join(directory, entry.name));
+                this.plugins.set(plugin.metadata.name, plugin);
+                this.logger.info(`Provider plugin "${plugin.metadata.name}" loaded from ${entry.name}`);
+            } catch (error) {
+                this.logger.error(`Failed to load provider plugin ${entry.name}:`, error.message);
+                this.pluginErrors.push({ file: entry.name, error: error.message });
+            }
+        }
+
+        return this.getPluginsStatus();
+    }
+
+    loadPlugin(file) {
+        const resolved = require.resolve(file);
+        delete require.cache[resolved];
+
+        let exported = require(resolved);
+        if (exported && exported.__esModule && exported.default) {
+            exported = exported.default;
+        }
+
+        // Плагин лежит вне приложения и не может сделать require базового класса — передаем SDK
+        if (typeof exported === 'function' && !(exported.prototype instanceof ProviderSdk.ITranslationProvider)) {
+            exported = exported({ ...ProviderSdk, Logger, axios: require('axios') });
+        }
+
+        const ProviderClass = exported;
+        if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof ProviderSdk.ITranslationProvider)) {
+            throw new Error('Модуль должен экспортировать наследника ITranslationProvider или функцию, возвращающую его');
+        }
+
+        const metadata = ProviderClass.metadata || {};
+        const name = metadata.name || path.basename(file, '.js');
+
+        if (!PLUGIN_NAME_PATTERN.test(name)) {
+            throw new Error(`Недопустимое имя провайдера "${name}"`);
+        }
+
+        if (this.getAvailableProviders().some(provider => provider.name === name)) {
+            throw new Error(`Провайдер с именем "${name}" уже существует`);
+        }
+
+        return {
+            ProviderClass,
+            file,
+            metadata: {
+                name,
+                label: metadata.label || name,
+                description: metadata.description || 'Сторонний провайдер',
+                icon: metadata.icon || 'fas fa-puzzle-piece',
+                requiresApiKey: Boolean(metadata.requiresApiKey),
+                apiKeyOptional: Boolean(metadata.apiKeyOptional),
+                configFields: Array.isArray(metadata.configFields) ? metadata.configFields : [],
+                plugin: true
+            }
+        };
+    }
+
+    /**
+     * Значения по умолчанию для полей плагина (у встроенных они заданы в SettingsStore)
+     */
+    getPluginDefaults(plugin) {
+        return plugin.metadata.configFields.reduce((defaults, field) => {
+            if (field.defaultValue !== undefined) {
+                defaults[field.id] = field.defaultValue;
+            }
+            return defaults;
+        }, {});
+    }
+
+    getPluginsStatus() {
+        return {
+            loaded: [...this.plugins.keys()],
+            errors: [...this.pluginErrors]
+        };
     }
 
     /**
      * Создает экземпляр провайдера по имени
-     * @param {string} providerName - Имя провайдера (mock, yandex, google)
+     * @param {string} providerName - Имя провайдера (mock, yandex, google, azure, deepl, libretranslate, llm, http, chain или имя плагина)
      * @param {Object} config - Конфигурация провайдера
      * @returns {ITranslationProvider}
      */
@@ -42,7 +165,36 @@ class TranslationProviderFactory {
                     provider = new GoogleTranslationProvider(config);
                     break;
 
+                case 'azure':
+                    provider = new AzureTranslationProvider(config);
+                    break;
+
+                case 'deepl':
+                    provider = new DeepLTranslationProvider(config);
+                    break;
+
+                case 'libretranslate':
+                    provider = new LibreTranslateProvider(config);
+                    break;
+
+                case 'llm':
+                    provider = new LLMTranslationProvider(config);
+                    break;
+
+                case 'http':
+                    provider = new CustomHttpTranslationProvider(config);
+                    break;
+
+                case 'chain':
+                    provider = new ChainTranslationProvider(config, this);
+                    break;
+
                 default:
+                    if (this.plugins.has(providerName)) {
+                        const plugin = this.plugins.get(providerName);
+                        provider = new plugin.ProviderClass({ ...this.getPluginDefaults(plugin), ...config });
+                        break;
+                    }
                     this.logger.warn(`Unknown provider "${providerName}", falling back to mock`);
                     provider = new MockTranslationProvider(config);
             }
@@ -52,15 +204,28 @@ class TranslationProviderFactory {
             return provider;
         } catch (error) {
             this.logger.error(`Failed to create provider ${providerName}:`, error);
+
+            // Сломанный плагин не подменяется mock-провайдером: пользователь должен увидеть ошибку
+            if (this.plugins.has(providerName)) {
+                this.addPluginError(path.basename(this.plugins.get(providerName).file), error.message);
+                throw new Error(`Не удалось создать провайдер "${providerName}": ${error.message}`);
+            }
+
             return new MockTranslationProvider(config);
         }
     }
 
+    addPluginError(file, message) {
+        if (!this.pluginErrors.some(entry => entry.file === file && entry.error === message)) {
+            this.pluginErrors.push({ file, error: message });
+        }
+    }
+
     /**
      * Получает список доступных провайдеров и их настройки для UI
      */
     getAvailableProviders() {
-        return [
+        const builtIn = [
             {
                 name: 'mock',
                 label: 'Mock Переводчик',
@@ -72,10 +237,22 @@ class TranslationProviderFactory {
             {
                 name: 'yandex',
                 label: 'Yandex Translate',
-                description: 'Yandex Cloud (требуется Service Account Key)',
+                description: 'Yandex Cloud (API-ключ, IAM-токен или авторизованный ключ)',
                 icon: 'fab fa-yandex',
                 requiresApiKey: true,
                 configFields: [
+                    {
+                        id: 'authMode',
+                        type: 'select',
+                        label: 'Способ авторизации',
+                        description: 'Что указано в поле ключа: API-ключ, IAM-токен или JSON авторизованного ключа (или путь к файлу)',
+                        defaultValue: 'apiKey',
+                        options: [
+                            { value: 'apiKey', label: 'API-ключ' },
+                            { value: 'iamToken', label: 'IAM-токен' },
+                            { value: 'serviceAccountKey', label: 'Авторизованный ключ (JSON)' }
+                        ]
+                    },
                     {
                         id: 'folderId',
                         type: 'text',
@@ -93,24 +270,224 @@ class TranslationProviderFactory {
                 icon: 'fab fa-google',
                 requiresApiKey: true,
                 configFields: [
+                    {
+                        id: 'authMode',
+                        type: 'select',
+                        label: 'Способ авторизации',
+                        description: 'v2 — ключ API; v3 — JSON-ключ сервисного аккаунта (или путь к файлу) в поле ключа',
+                        defaultValue: 'apiKeyV2',
+                        options: [
+                            { value: 'apiKeyV2', label: 'Basic (v2), ключ API' },
+                            { value: 'serviceAccountV3', label: 'Advanced (v3), сервисный аккаунт' }
+                        ]
+                    },
                     {
                         id: 'projectId',
                         type: 'text',
                         label: 'Project ID',
-                        description: 'Google Cloud Project ID',
+                        description: 'Только для v3; по умолчанию берется из ключа',
                         placeholder: 'my-project-123456'
                     },
                     {
                         id: 'location',
                         type: 'text',
                         label: 'Location',
-                        description: 'Локация (обычно global)',
+                        description: 'Только для v3: локация (обычно global)',
                         placeholder: 'global',
                         defaultValue: 'global'
                     }
                 ]
+            },
+            {
+                name: 'azure',
+                label: 'Azure Translator',
+                description: 'Microsoft Azure AI Translator',
+                icon: 'fab fa-microsoft',
+                requiresApiKey: true,
+                configFields: [
+                    {
+                        id: 'region',
+                        type: 'text',
+                        label: 'Регион',
+                        description: 'Регион ресурса (пусто для глобального ресурса)',
+                        placeholder: 'westeurope'
+                    },
+                    {
+                        id: 'endpoint',
+                        type: 'text',
+                        label: 'Endpoint',
+                        description: 'Необязательно: свой адрес (custom domain или прокси)',
+                        placeholder: 'https://api.cognitive.microsofttranslator.com'
+                    }
+                ]
+            },
+            {
+                name: 'deepl',
+                label: 'DeepL',
+                description: 'DeepL API (Free или Pro)',
+                icon: 'fas fa-language',
+                requiresApiKey: true,
+                configFields: [
+                    {
+                        id: 'plan',
+                        type: 'select',
+                        label: 'Тариф',
+                        description: 'Free-ключи оканчиваются на ":fx"',
+                        defaultValue: 'free',
+                        options: [
+                            { value: 'free', label: 'DeepL API Free' },
+                            { value: 'pro', label: 'DeepL API Pro' }
+                        ]
+                    },
+                    {
+                        id: 'formality',
+                        type: 'select',
+                        label: 'Формальность',
+                        description: 'Тон перевода (для языков, где DeepL это поддерживает)',
+                        defaultValue: 'default',
+                        options: [
+                            { value: 'default', label: 'По умолчанию' },
+                            { value: 'prefer_more', label: 'Более формально' },
+                            { value: 'prefer_less', label: 'Менее формально' }
+                        ]
+                    },
+                    {
+                        id: 'apiUrl',
+                        type: 'text',
+                        label: 'Адрес API',
+                        description: 'Необязательно: свой адрес вместо стандартного (прокси, заглушка)',
+                        placeholder: 'https://api-free.deepl.com/v2'
+                    }
+                ]
+            },
+            {
+                name: 'libretranslate',
+                label: 'LibreTranslate',
+                description: 'Собственный сервер LibreTranslate',
+                icon: 'fas fa-server',
+                requiresApiKey: false,
+                // Ключ нужен, только если сервер запущен с --api-keys
+                apiKeyOptional: true,
+                configFields: [
+                    {
+                        id: 'baseUrl',
+                        type: 'text',
+                        label: 'Адрес сервера',
+                        description: 'URL вашего инстанса LibreTranslate',
+                        placeholder: 'http://localhost:5000',
+                        required: true
+                    }
+                ]
+            },
+            {
+                name: 'llm',
+                label: 'LLM (OpenAI API)',
+                description: 'Локальная или облачная модель с OpenAI-совместимым API',
+                icon: 'fas fa-robot',
+                requiresApiKey: false,
+                // Ключ нужен только облачным сервисам
+                apiKeyOptional: true,
+                configFields: [
+                    {
+                        id: 'baseUrl',
+                        type: 'text',
+                        label: 'Адрес API',
+                        description: 'Базовый URL, к которому добавляется /chat/completions',
+                        placeholder: 'http://localhost:11434/v1',
+                        required: true
+                    },
+                    {
+                        id: 'model',
+                        type: 'text',
+                        label: 'Модель',
+                        description: 'Имя модели на сервере (для llama.cpp можно оставить пустым)',
+                        placeholder: 'qwen2.5:7b-instruct'
+                    },
+                    {
+                        id: 'systemPrompt',
+                        type: 'textarea',
+                        label: 'Системный промпт',
+                        description: 'Инструкция модели: стиль, тон, терминология',
+                        placeholder: 'You are a professional translator...'
+                    }
+                ]
+            },
+            {
+                name: 'http',
+                label: 'Свой HTTP API',
+                description: 'Любой REST API: шаблон запроса и JSONPath для ответа',
+                icon: 'fas fa-code',
+                requiresApiKey: false,
+                configFields: [
+                    {
+                        id: 'url',
+                        type: 'text',
+                        label: 'Адрес запроса',
+                        description: 'Можно использовать {{text}}, {{source}} и {{target}} (значения кодируются для URL)',
+                        placeholder: 'https://mt.example.com/api/translate',
+                        required: true
+                    },
+                    {
+                        id: 'method',
+                        type: 'select',
+                        label: 'Метод',
+                        defaultValue: 'POST',
+                        options: [
+                            { value: 'POST', label: 'POST' },
+                            { value: 'GET', label: 'GET' },
+                            { value: 'PUT', label: 'PUT' }
+                        ]
+                    },
+                    {
+                        id: 'headers',
+                        type: 'textarea',
+                        label: 'Заголовки',
+                        description: 'По одному на строку ("Имя: значение") или JSON-объект',
+                        placeholder: 'Authorization: Bearer <token>'
+                    },
+                    {
+                        id: 'bodyTemplate',
+                        type: 'textarea',
+                        label: 'Шаблон тела запроса',
+                        description: 'Плейсхолдеры {{text}}, {{source}}, {{target}} экранируются под JSON или form-urlencoded. Для автоопределения source = auto',
+                        placeholder: '{"q": "{{text}}", "source": "{{source}}", "target": "{{target}}"}'
+                    },
+                    {
+                        id: 'translationPath',
+                        type: 'text',
+                        label: 'Путь к переводу (JSONPath)',
+                        description: 'Пусто, если API возвращает перевод простым текстом',
+                        placeholder: '$.translations[0].text'
+                    },
+                    {
+                        id: 'detectedLanguagePath',
+                        type: 'text',
+                        label: 'Путь к определенному языку (JSONPath)',
+                        description: 'Необязательно',
+                        placeholder: '$.detected_language'
+                    }
+                ]
+            },
+            {
+                name: 'chain',
+                label: 'Цепочка провайдеров',
+                description: 'Резервирование: при сбое или исчерпании квоты — следующий провайдер',
+                icon: 'fas fa-link',
+                requiresApiKey: false,
+                configFields: [
+                    {
+                        id: 'providers',
+                        type: 'text',
+                        label: 'Порядок провайдеров',
+                        description: 'Имена через запятую. Используются ключи и настройки, заданные для каждого провайдера',
+                        placeholder: 'google, yandex, libretranslate',
+                        required: true
+                    }
+                ]
             }
         ];
+
+        return builtIn.concat([...this.plugins.values()].map(plugin => plugin.metadata));
     }
 
     /**
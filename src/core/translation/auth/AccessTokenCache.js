@@ -0,0 +1,59 @@
+// File: src/core/translation/auth/AccessTokenCache.js
+
+/**
+ * Кэш короткоживущего токена доступа (IAM / OAuth)
+ * Обновляет токен заранее, до истечения срока, и не допускает параллельных обновлений.
+ */
+class AccessTokenCache {
+    /**
+     * @param {Function} fetchToken - async () => ({ token: string, expiresAt: number })
+     * @param {Object} options
+     * @param {number} options.refreshMarginMs - За сколько до истечения обновлять токен
+     */
+    constructor(fetchToken, { refreshMarginMs = 5 * 60 * 1000 } = {}) {
+        this.fetchToken = fetchToken;
+        this.refreshMarginMs = refreshMarginMs;
+        this.token = null;
+        this.expiresAt = 0;
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Возвращает действующий токен, при необходимости обновляя его
+     * @returns {Promise<string>}
+     */
+    async getToken() {
+        if (this.token && this.expiresAt - Date.now() > this.refreshMarginMs) {
+            return this.token;
+        }
+
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.refresh().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+
+        return this.pendingRefresh;
+    }
+
+    async refresh() {
+        const { token, expiresAt } = await this.fetchToken();
+        if (!token) {
+            throw new Error('Сервер авторизации не вернул токен');
+        }
+
+        this.token = token;
+        this.expiresAt = expiresAt || Date.now() + 60 * 60 * 1000;
+        return this.token;
+    }
+
+    /**
+     * Сбрасывает токен (например, после ответа 401), следующий запрос получит новый
+     */
+    invalidate() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+}
+
+module.exports = AccessTokenCache;
@@ -0,0 +1,84 @@
+// File: src/core/translation/auth/ServiceAccountCredentials.js
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Утилиты для ключей сервисных аккаунтов (Yandex Cloud, Google Cloud)
+ * Ключ можно передать содержимым JSON-файла или путем к нему.
+ */
+class ServiceAccountCredentials {
+    /**
+     * Загружает JSON-ключ сервисного аккаунта
+     * @param {string} value - Содержимое JSON или путь к файлу
+     * @returns {Object}
+     */
+    static load(value) {
+        if (!value || !value.trim()) {
+            throw new Error('Ключ сервисного аккаунта не указан');
+        }
+
+        const trimmed = value.trim();
+        let raw = trimmed;
+
+        if (!trimmed.startsWith('{')) {
+            try {
+                raw = fs.readFileSync(trimmed, 'utf8');
+            } catch (error) {
+                throw new Error(`Не удалось прочитать файл ключа: ${trimmed}`);
+            }
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw new Error('Файл ключа сервисного аккаунта не является корректным JSON');
+        }
+    }
+
+    /**
+     * Извлекает PEM приватного ключа
+     * Yandex добавляет перед PEM служебную строку — отбрасываем все до BEGIN.
+     */
+    static extractPrivateKey(privateKey) {
+        if (typeof privateKey !== 'string') {
+            throw new Error('В ключе сервисного аккаунта нет private_key');
+        }
+
+        const begin = privateKey.indexOf('-----BEGIN');
+        if (begin === -1) {
+            throw new Error('private_key не содержит PEM-ключ');
+        }
+
+        return privateKey.slice(begin);
+    }
+
+    /**
+     * Подписывает JWT
+     * @param {Object} header - Заголовок JWT (alg: RS256 или PS256)
+     * @param {Object} payload - Полезная нагрузка
+     * @param {string} privateKey - PEM приватного ключа
+     * @returns {string}
+     */
+    static signJwt(header, payload, privateKey) {
+        const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+        const signingInput = `${encode(header)}.${encode(payload)}`;
+
+        const keyOptions = { key: this.extractPrivateKey(privateKey) };
+
+        switch (header.alg) {
+            case 'RS256':
+                break;
+            case 'PS256':
+                keyOptions.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+                keyOptions.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+                break;
+            default:
+                throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+        }
+
+        const signature = crypto.sign('sha256', Buffer.from(signingInput), keyOptions);
+        return `${signingInput}.${signature.toString('base64url')}`;
+    }
+}
+
+module.exports = ServiceAccountCredentials;
@@ -0,0 +1,354 @@
+// File: src/core/translation/providers/AzureTranslationProvider.js
+const axios = require('axios');
+const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const Logger = require('../../../utils/Logger');
+
+const DEFAULT_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+const API_VERSION = '3.0';
+
+/**
+ * Microsoft Azure AI Translator провайдер
+ * Документация: https://learn.microsoft.com/azure/ai-services/translator/reference/v3-0-reference
+ */
+class AzureTranslationProvider extends ITranslationProvider {
+    constructor(config = {}) {
+        super(config);
+        this.logger = new Logger('AzureTranslationProvider');
+        this.apiKey = null;
+        // Регион обязателен для региональных и multi-service ресурсов
+        this.region = (config.region || '').trim();
+        // Endpoint можно переопределить (custom domain, частное облако, локальная заглушка)
+        this.apiBaseUrl = ((config.endpoint || '').trim() || DEFAULT_ENDPOINT).replace(/\/+$/, '');
+        this.supportedLanguages = null;
+    }
+
+    get name() {
+        return 'azure';
+    }
+
+    // Azure принимает до 50 000 символов, но длинные запросы заметно медленнее
+    get maxTextLength() {
+        return 10000;
+    }
+
+    async initialize(apiKey) {
+        this.apiKey = apiKey ? apiKey.trim() : null;
+        this.logger.info(`Azure translation provider initialized (${this.region || 'global'})`);
+        await this.loadSupportedLanguages();
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
+        try {
+            const params = {
+                'api-version': API_VERSION,
+                to: this.toAzureCode(targetLang)
+            };
+
+            if (sourceLang && sourceLang !== 'auto') {
+                params.from = this.toAzureCode(sourceLang);
+            }
+
+            const response = await this.makeRequest('translate', [{ Text: text }], params, { signal });
+
+            const item = response?.[0];
+            const translation = item?.translations?.[0];
+            if (!translation) {
+                throw new Error('Не удалось получить перевод');
+            }
+
+            const detected = item.detectedLanguage ?
+                this.fromAzureCode(item.detectedLanguage.language) :
+                null;
+
+            return new TranslationResult({
+                text: translation.text,
+                sourceLang: detected || sourceLang,
+                targetLang,
+                provider: this.name,
+                detectedLanguage: detected,
+                confidence: item.detectedLanguage ? item.detectedLanguage.score : null
+            });
+
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
+            this.logger.error('Azure translation error:', error.message);
+
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: this.name,
+                error: this.mapAzureError(error)
+            });
+        }
+    }
+
+    async getSupportedLanguages() {
+        if (this.supportedLanguages) {
+            return this.supportedLanguages;
+        }
+        return await this.loadSupportedLanguages();
+    }
+
+    async testConnection() {
+        try {
+            const startTime = Date.now();
+
+            const testResult = await this.translate('Hello', 'en', 'ru');
+            const responseTime = Date.now() - startTime;
+
+            const success = !testResult.error && testResult.text.length > 0;
+
+            return new ConnectionTestResult({
+                success,
+                message: success ?
+                    'Azure Translator доступен' :
+                    (testResult.error?.message || 'Не удалось выполнить тестовый перевод'),
+                responseTime,
+                details: {
+                    provider: 'Azure Translator',
+                    endpoint: this.apiBaseUrl,
+                    region: this.region || null,
+                    testResult: success ? 'Успешно' : 'Ошибка'
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('Azure connection test failed:', error);
+
+            return new ConnectionTestResult({
+                success: false,
+                message: this.getErrorMessage(error),
+                responseTime: 0,
+                details: {
+                    error: error.response?.status || error.code,
+                    provider: 'Azure Translator'
+                }
+            });
+        }
+    }
+
+    async validateApiKey(apiKey) {
+        try {
+            // Список языков доступен без ключа, поэтому проверяем ключ через /detect
+            const response = await axios({
+                method: 'POST',
+                url: `${this.apiBaseUrl}/detect`,
+                params: { 'api-version': API_VERSION },
+                headers: this.buildHeaders(apiKey),
+                data: [{ Text: 'Hello' }],
+                timeout: 10000
+            });
+
+            const isValid = Array.isArray(response.data);
+
+            return new ValidationResult({
+                valid: isValid,
+                message: isValid ? 'Ключ API действителен' : 'Неверный ключ API',
+                details: {
+                    provider: 'Azure Translator',
+                    validation: 'api_call',
+                    region: this.region || null
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('Azure API key validation failed:', error.message);
+
+            return new ValidationResult({
+                valid: false,
+                message: this.getErrorMessage(error),
+                details: {
+                    error: error.response?.status,
+                    provider: 'Azure Translator'
+                }
+            });
+        }
+    }
+
+    // Вспомогательные методы
+
+    buildHeaders(apiKey) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Ocp-Apim-Subscription-Key': apiKey
+        };
+
+        if (this.region) {
+            headers['Ocp-Apim-Subscription-Region'] = this.region;
+        }
+
+        return headers;
+    }
+
+    async makeRequest(endpoint, data = [], params = {}, { signal } = {}) {
+        const config = {
+            method: 'POST',
+            url: `${this.apiBaseUrl}/${endpoint}`,
+            headers: this.buildHeaders(this.apiKey),
+            data,
+            params,
+            timeout: 10000,
+            signal
+        };
+
+        const response = await axios(config);
+        return response.data;
+    }
+
+    async loadSupportedLanguages() {
+        try {
+            const response = await axios.get(`${this.apiBaseUrl}/languages`, {
+                params: { 'api-version': API_VERSION, scope: 'translation' },
+                timeout: 10000
+            });
+
+            const languages = response.data?.translation || {};
+
+            this.supportedLanguages = Object.entries(languages).map(([code, lang]) =>
+                new Language({
+                    code: this.fromAzureCode(code),
+                    name: lang.name,
+                    nativeName: lang.nativeName,
+                    direction: lang.dir || 'ltr'
+                })
+            );
+
+            return this.supportedLanguages;
+
+        } catch (error) {
+            this.logger.error('Failed to load Azure supported languages:', error.message);
+            return this.getDefaultLanguages();
+        }
+    }
+
+    /**
+     * Azure использует коды письменности для китайского (zh-Hans / zh-Hant)
+     */
+    toAzureCode(lang) {
+        return lang === 'zh' ? 'zh-Hans' : lang;
+    }
+
+    fromAzureCode(code) {
+        return code === 'zh-Hans' ? 'zh' : code;
+    }
+
+    mapAzureError(error) {
+        const status = error.response?.status;
+        const azureError = error.response?.data?.error;
+        const code = azureError?.code;
+        const message = azureError?.message || error.message;
+
+        if (error.request && !error.response) {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: 'Azure Translator недоступен',
+                details: message,
+                retryable: true
+            });
+        }
+
+        switch (status) {
+            case 400:
+                // 400035 / 400036 — неизвестный исходный или целевой язык
+                if (code === 400035 || code === 400036) {
+                    return new TranslationError({
+                        type: TranslationErrorType.UNSUPPORTED_LANGUAGE,
+                        message: 'Язык не поддерживается',
+                        details: message,
+                        retryable: false
+                    });
+                }
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_REQUEST,
+                    message: 'Неверный запрос',
+                    details: message,
+                    retryable: false
+                });
+
+            case 401:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Неверный ключ или регион',
+                    details: message,
+                    retryable: false
+                });
+
+            case 403:
+                // 403001 — исчерпана бесплатная квота F0
+                if (code === 403001) {
+                    return new TranslationError({
+                        type: TranslationErrorType.QUOTA_EXCEEDED,
+                        message: 'Превышена квота API',
+                        details: message,
+                        retryable: false
+                    });
+                }
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Доступ запрещен',
+                    details: message,
+                    retryable: false
+                });
+
+            case 429:
+                return new TranslationError({
+                    type: TranslationErrorType.RATE_LIMITED,
+                    message: 'Превышен лимит запросов',
+                    details: message,
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+
+            default:
+                return new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: `Ошибка Azure Translator: ${message || 'Неизвестная ошибка'}`,
+                    details: { status, code, message },
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+        }
+    }
+
+    getErrorMessage(error) {
+        if (error.response) {
+            const azureError = error.response.data?.error;
+
+            switch (error.response.status) {
+                case 401:
+                    return 'Неверный ключ или регион ресурса';
+                case 403:
+                    return azureError?.code === 403001 ? 'Превышена квота бесплатного тарифа' : 'Доступ запрещен';
+                case 429:
+                    return 'Превышен лимит запросов';
+                default:
+                    return azureError?.message || `Ошибка API: ${error.response.status}`;
+            }
+        }
+        return error.message || 'Неизвестная ошибка';
+    }
+
+    getDefaultLanguages() {
+        return [
+            new Language({ code: 'en', name: 'English', nativeName: 'English' }),
+            new Language({ code: 'ru', name: 'Russian', nativeName: 'Русский' }),
+            new Language({ code: 'es', name: 'Spanish', nativeName: 'Español' }),
+            new Language({ code: 'fr', name: 'French', nativeName: 'Français' }),
+            new Language({ code: 'de', name: 'German', nativeName: 'Deutsch' }),
+            new Language({ code: 'zh', name: 'Chinese Simplified', nativeName: '中文 (简体)' }),
+            new Language({ code: 'ja', name: 'Japanese', nativeName: '日本語' }),
+            new Language({ code: 'ko', name: 'Korean', nativeName: '한국어' }),
+            new Language({ code: 'ar', name: 'Arabic', nativeName: 'العربية', direction: 'rtl' }),
+            new Language({ code: 'pt', name: 'Portuguese', nativeName: 'Português' }),
+            new Language({ code: 'it', name: 'Italian', nativeName: 'Italiano' }),
+            new Language({ code: 'tr', name: 'Turkish', nativeName: 'Türkçe' })
+        ];
+    }
+}
+
+module.exports = AzureTranslationProvider;
@@ -0,0 +1,178 @@
+// File: src/core/translation/providers/ChainTranslationProvider.js
+const { ITranslationProvider, TranslationResult, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const Logger = require('../../../utils/Logger');
+
+// Ошибки, при которых имеет смысл попробовать следующего провайдера, даже если retryable = false
+const FAILOVER_ERROR_TYPES = [
+    TranslationErrorType.NETWORK_ERROR,
+    TranslationErrorType.QUOTA_EXCEEDED
+];
+
+/**
+ * Составной провайдер: перебирает участников цепочки по порядку
+ * и переключается на следующего, если текущий недоступен.
+ * config.members — [{ name, apiKey, config }], собирается в SettingsStore.getProviderConfig('chain').
+ * В результате поле provider содержит имя участника, который ответил,
+ * а fallbackFrom — имена пропущенных участников.
+ */
+class ChainTranslationProvider extends ITranslationProvider {
+    constructor(config = {}, providerFactory) {
+        super(config);
+        this.logger = new Logger('ChainTranslationProvider');
+        this.providerFactory = providerFactory;
+        this.memberConfigs = (config.members || []).filter(member => member.name !== 'chain');
+        this.members = [];
+        this.unavailable = [];
+    }
+
+    get name() {
+        return 'chain';
+    }
+
+    // Текст должен поместиться в запрос любого участника
+    get maxTextLength() {
+        if (this.members.length === 0) {
+            return super.maxTextLength;
+        }
+        return Math.min(...this.members.map(member => member.provider.maxTextLength));
+    }
+
+    async initialize() {
+        this.members = [];
+        this.unavailable = [];
+
+        for (const member of this.memberConfigs) {
+            try {
+                const provider = this.providerFactory.createProvider(member.name, member.config || {});
+                await provider.initialize(member.apiKey);
+                this.members.push({ name: member.name, provider });
+            } catch (error) {
+                this.logger.warn(`Chain member "${member.name}" is unavailable:`, error.message);
+                this.unavailable.push({ name: member.name, error: error.message });
+            }
+        }
+
+        if (this.members.length === 0) {
+            throw new Error('Ни один провайдер цепочки не инициализирован');
+        }
+
+        this.logger.info(`Chain provider initialized: ${this.members.map(m => m.name).join(' → ')}`);
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, options = {}) {
+        const skipped = [];
+        let lastResult = null;
+
+        for (const member of this.members) {
+            const result = await this.translateWithMember(member, text, sourceLang, targetLang, options);
+            result.provider = member.name;
+
+            if (!result.error) {
+                if (skipped.length > 0) {
+                    this.logger.info(`Translated by "${member.name}" after failover from: ${skipped.join(', ')}`);
+                    result.fallbackFrom = skipped;
+                }
+                return result;
+            }
+
+            lastResult = result;
+
+            if (!this.shouldFailOver(result.error)) {
+                return result;
+            }
+
+            this.logger.warn(`Chain member "${member.name}" failed (${result.error.type}), trying next`);
+            skipped.push(member.name);
+        }
+
+        if (lastResult) {
+            lastResult.fallbackFrom = skipped;
+            return lastResult;
+        }
+
+        return new TranslationResult({
+            text: '',
+            sourceLang,
+            targetLang,
+            provider: this.name,
+            error: new TranslationError({
+                type: TranslationErrorType.PROVIDER_ERROR,
+                message: 'В цепочке нет доступных провайдеров',
+                retryable: false
+            })
+        });
+    }
+
+    async translateWithMember(member, text, sourceLang, targetLang, options) {
+        try {
+            return await member.provider.translate(text, sourceLang, targetLang, options);
+        } catch (error) {
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: member.name,
+                error: new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: error.message,
+                    retryable: true
+                })
+            });
+        }
+    }
+
+    shouldFailOver(error) {
+        return Boolean(error.retryable) || FAILOVER_ERROR_TYPES.includes(error.type);
+    }
+
+    async getSupportedLanguages() {
+        // Языки определяет основной (первый доступный) провайдер
+        return this.members[0].provider.getSupportedLanguages();
+    }
+
+    async testConnection() {
+        const startTime = Date.now();
+        const results = [];
+
+        for (const member of this.members) {
+            try {
+                const result = await member.provider.testConnection();
+                results.push({ name: member.name, success: result.success, message: result.message });
+            } catch (error) {
+                results.push({ name: member.name, success: false, message: error.message });
+            }
+        }
+
+        for (const member of this.unavailable) {
+            results.push({ name: member.name, success: false, message: member.error });
+        }
+
+        const available = results.filter(r => r.success).length;
+        const summary = results.map(r => `${r.name} ${r.success ? '✓' : '✗'}`).join(', ');
+
+        return new ConnectionTestResult({
+            success: available > 0,
+            message: `Доступно ${available} из ${results.length}: ${summary}`,
+            responseTime: Date.now() - startTime,
+            details: {
+                provider: 'Chain',
+                members: results
+            }
+        });
+    }
+
+    async validateApiKey() {
+        // У цепочки нет собственного ключа: ключи участников проверяются их провайдерами
+        return new ValidationResult({
+            valid: true,
+            message: 'Цепочка использует ключи своих провайдеров',
+            details: {
+                provider: 'Chain',
+                validation: 'not_required'
+            }
+        });
+    }
+}
+
+module.exports = ChainTranslationProvider;
@@ -0,0 +1,312 @@
+// File: src/core/translation/providers/CustomHttpTranslationProvider.js
+const axios = require('axios');
+const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const JsonPath = require('../../../utils/JsonPath');
+const Logger = require('../../../utils/Logger');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(text|source|target)\s*\}\}/g;
+
+/**
+ * Провайдер для произвольного REST API, описанного в настройках
+ * Запрос собирается из шаблонов с плейсхолдерами {{text}}, {{source}}, {{target}},
+ * перевод и определенный язык извлекаются из ответа выражениями JSONPath.
+ */
+class CustomHttpTranslationProvider extends ITranslationProvider {
+    constructor(config = {}) {
+        super(config);
+        this.logger = new Logger('CustomHttpTranslationProvider');
+        this.url = (config.url || '').trim();
+        this.method = (config.method || 'POST').toUpperCase();
+        this.headers = this.parseHeaders(config.headers);
+        this.bodyTemplate = config.bodyTemplate || '';
+        this.translationPath = (config.translationPath || '').trim();
+        this.detectedLanguagePath = (config.detectedLanguagePath || '').trim();
+    }
+
+    get name() {
+        return 'http';
+    }
+
+    async initialize() {
+        if (!this.url) {
+            this.logger.warn('Request URL is missing. Custom HTTP requests will fail.');
+        }
+
+        this.logger.info(`Custom HTTP provider initialized (${this.method} ${this.url || 'no URL'})`);
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
+        try {
+            if (!this.url) throw new Error('Provider config error: missing request URL');
+
+            const values = {
+                text,
+                source: sourceLang || 'auto',
+                target: targetLang
+            };
+
+            const config = {
+                method: this.method,
+                url: this.fillTemplate(this.url, values, encodeURIComponent),
+                headers: { ...this.headers },
+                timeout: 15000,
+                signal
+            };
+
+            if (this.method !== 'GET' && this.bodyTemplate.trim()) {
+                const body = this.buildBody(values);
+                config.data = body.data;
+                if (body.contentType) {
+                    config.headers['Content-Type'] = body.contentType;
+                }
+            }
+
+            const response = await axios(config);
+            const parsed = this.extractResult(response.data);
+            const detected = (sourceLang && sourceLang !== 'auto') ? null : parsed.detectedLanguage;
+
+            return new TranslationResult({
+                text: parsed.translation,
+                sourceLang: detected || sourceLang,
+                targetLang,
+                provider: this.name,
+                detectedLanguage: detected,
+                confidence: detected ? 0.8 : null
+            });
+
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
+            this.logger.error('Custom HTTP translation error:', error.message);
+
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: this.name,
+                error: this.mapHttpError(error)
+            });
+        }
+    }
+
+    async getSupportedLanguages() {
+        // Произвольный API не сообщает список языков — предлагаем распространенные
+        return this.getDefaultLanguages();
+    }
+
+    async testConnection() {
+        try {
+            if (!this.url) throw new Error('Не указан адрес запроса');
+
+            const startTime = Date.now();
+            const testResult = await this.translate('Hello', 'en', 'ru');
+            const success = !testResult.error && testResult.text.length > 0;
+
+            return new ConnectionTestResult({
+                success,
+                message: success ?
+                    `API доступен, перевод: "${testResult.text}"` :
+                    (testResult.error?.message || 'Не удалось выполнить тестовый перевод'),
+                responseTime: Date.now() - startTime,
+                details: {
+                    provider: 'Custom HTTP',
+                    url: this.url,
+                    testResult: success ? 'Успешно' : 'Ошибка'
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('Custom HTTP connection test failed:', error.message);
+
+            return new ConnectionTestResult({
+                success: false,
+                message: error.message || 'Неизвестная ошибка',
+                responseTime: 0,
+                details: {
+                    provider: 'Custom HTTP'
+                }
+            });
+        }
+    }
+
+    async validateApiKey() {
+        // Авторизация, если нужна, задается заголовками запроса
+        return new ValidationResult({
+            valid: true,
+            message: 'Авторизация задается заголовками запроса',
+            details: {
+                provider: 'Custom HTTP',
+                validation: 'not_required'
+            }
+        });
+    }
+
+    // Вспомогательные методы
+
+    /**
+     * Заголовки задаются построчно ("Name: value") или JSON-объектом
+     */
+    parseHeaders(value) {
+        const source = (value || '').trim();
+        if (!source) return {};
+
+        if (source.startsWith('{')) {
+            try {
+                return JSON.parse(source);
+            } catch (error) {
+                this.logger.warn('Headers look like JSON but cannot be parsed, reading them line by line');
+            }
+        }
+
+        return source.split(/\r?\n/).reduce((headers, line) => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+            return headers;
+        }, {});
+    }
+
+    getHeader(name) {
+        const key = Object.keys(this.headers).find(header => header.toLowerCase() === name.toLowerCase());
+        return key ? String(this.headers[key]) : '';
+    }
+
+    fillTemplate(template, values, escape) {
+        return template.replace(PLACEHOLDER_PATTERN, (match, key) => escape(String(values[key])));
+    }
+
+    /**
+     * Подставляет значения в шаблон тела с экранированием под его формат
+     * @returns {{data: string, contentType: string|null}} contentType — если его нужно выставить
+     */
+    buildBody(values) {
+        const contentType = this.getHeader('Content-Type').toLowerCase();
+        const template = this.bodyTemplate.trim();
+
+        if (contentType.includes('application/x-www-form-urlencoded')) {
+            return { data: this.fillTemplate(template, values, encodeURIComponent), contentType: null };
+        }
+
+        const isJson = contentType.includes('json') || (!contentType && /^[[{]/.test(template));
+        if (isJson) {
+            // Плейсхолдер стоит внутри кавычек шаблона: подставляем экранированное содержимое строки
+            return {
+                data: this.fillTemplate(template, values, value => JSON.stringify(value).slice(1, -1)),
+                contentType: contentType ? null : 'application/json'
+            };
+        }
+
+        return { data: this.fillTemplate(template, values, value => value), contentType: null };
+    }
+
+    extractResult(data) {
+        let payload = data;
+        if (typeof payload === 'string' && /^\s*[[{]/.test(payload)) {
+            try {
+                payload = JSON.parse(payload);
+            } catch (error) {
+                // Не JSON — остается строкой
+            }
+        }
+
+        // Без выражения ответ считается готовым переводом (text/plain API)
+        if (!this.translationPath) {
+            if (typeof payload !== 'string') {
+                throw new Error('Не указан путь к переводу в ответе (JSONPath)');
+            }
+            return { translation: payload.trim(), detectedLanguage: null };
+        }
+
+        const translation = JsonPath.first(payload, this.translationPath);
+        if (translation === undefined || translation === null || typeof translation === 'object') {
+            throw Object.assign(new Error(`В ответе нет перевода по пути ${this.translationPath}`), { isResponseFormatError: true });
+        }
+
+        let detectedLanguage = null;
+        if (this.detectedLanguagePath) {
+            const detected = JsonPath.first(payload, this.detectedLanguagePath);
+            if (typeof detected === 'string' && detected.trim()) {
+                detectedLanguage = detected.trim().toLowerCase();
+            }
+        }
+
+        return { translation: String(translation), detectedLanguage };
+    }
+
+    mapHttpError(error) {
+        const status = error.response?.status;
+        const data = error.response?.data;
+        const message = data?.error?.message || data?.message ||
+            (typeof data?.error === 'string' ? data.error : null) || error.message;
+
+        if (error.request && !error.response) {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: 'API недоступен',
+                details: message,
+                retryable: true
+            });
+        }
+
+        if (error.isResponseFormatError) {
+            return new TranslationError({
+                type: TranslationErrorType.PROVIDER_ERROR,
+                message: error.message,
+                details: data,
+                retryable: false
+            });
+        }
+
+        switch (status) {
+            case 400:
+            case 404:
+            case 422:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_REQUEST,
+                    message: 'Неверный запрос (проверьте адрес и шаблон тела)',
+                    details: message,
+                    retryable: false
+                });
+
+            case 401:
+            case 403:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Доступ запрещен (проверьте заголовки авторизации)',
+                    details: message,
+                    retryable: false
+                });
+
+            case 429:
+                return new TranslationError({
+                    type: TranslationErrorType.RATE_LIMITED,
+                    message: 'Превышен лимит запросов',
+                    details: message,
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+
+            default:
+                return new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: status ? `Ошибка API: ${status}` : message,
+                    details: { status, message },
+                    retryable: Boolean(status),
+                    retryAfter: this.getRetryAfter(error)
+                });
+        }
+    }
+
+    getDefaultLanguages() {
+        return [
+            'en', 'ru', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'pl', 'uk', 'tr',
+            'zh', 'ja', 'ko', 'ar'
+        ].map(code => new Language({ code, name: code }));
+    }
+}
+
+module.exports = CustomHttpTranslationProvider;
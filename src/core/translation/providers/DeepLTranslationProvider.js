@@ -0,0 +1,346 @@
+// File: src/core/translation/providers/DeepLTranslationProvider.js
+const axios = require('axios');
+const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const Logger = require('../../../utils/Logger');
+
+/**
+ * DeepL API провайдер
+ * Поддерживает бесплатный (api-free.deepl.com) и платный (api.deepl.com) тарифы.
+ * Документация: https://developers.deepl.com/docs/api-reference/translate
+ */
+class DeepLTranslationProvider extends ITranslationProvider {
+    constructor(config = {}) {
+        super(config);
+        this.logger = new Logger('DeepLTranslationProvider');
+        this.apiKey = null;
+        this.plan = config.plan === 'pro' ? 'pro' : 'free';
+        this.formality = config.formality || 'default';
+        // Адрес можно переопределить (прокси или локальная заглушка)
+        this.apiBaseUrl = (config.apiUrl && config.apiUrl.trim()) ?
+            config.apiUrl.trim().replace(/\/+$/, '') :
+            DeepLTranslationProvider.ENDPOINTS[this.plan];
+        this.supportedLanguages = null;
+    }
+
+    static get ENDPOINTS() {
+        return {
+            free: 'https://api-free.deepl.com/v2',
+            pro: 'https://api.deepl.com/v2'
+        };
+    }
+
+    get name() {
+        return 'deepl';
+    }
+
+    // DeepL ограничивает размер запроса 128 КБ
+    get maxTextLength() {
+        return 30000;
+    }
+
+    async initialize(apiKey) {
+        if (!apiKey) {
+            throw new Error('API ключ не предоставлен');
+        }
+        this.apiKey = apiKey.trim();
+
+        if (this.plan === 'pro' && this.apiKey.endsWith(':fx')) {
+            this.logger.warn('Key looks like a DeepL Free key, but the Pro endpoint is selected');
+        }
+
+        this.logger.info(`DeepL translation provider initialized (${this.plan})`);
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
+        try {
+            if (!this.apiKey) throw new Error('Provider not initialized: missing API key');
+
+            const body = {
+                text: [text],
+                target_lang: this.toTargetCode(targetLang)
+            };
+
+            if (sourceLang && sourceLang !== 'auto') {
+                body.source_lang = this.toSourceCode(sourceLang);
+            }
+
+            if (this.formality && this.formality !== 'default') {
+                body.formality = this.formality;
+            }
+
+            const response = await this.makeRequest('translate', body, 'POST', { signal });
+
+            const translation = response.translations?.[0];
+            if (!translation) {
+                throw new Error('Не удалось получить перевод');
+            }
+
+            const detected = translation.detected_source_language ?
+                translation.detected_source_language.toLowerCase() :
+                null;
+
+            return new TranslationResult({
+                text: translation.text,
+                sourceLang: detected || sourceLang,
+                targetLang,
+                provider: this.name,
+                detectedLanguage: detected,
+                confidence: detected ? 0.99 : null
+            });
+
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
+            this.logger.error('DeepL translation error:', error.message);
+
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: this.name,
+                error: this.mapDeepLError(error)
+            });
+        }
+    }
+
+    async getSupportedLanguages() {
+        if (this.supportedLanguages && this.supportedLanguages.length > 0) {
+            return this.supportedLanguages;
+        }
+        return await this.loadSupportedLanguages();
+    }
+
+    async testConnection() {
+        try {
+            const startTime = Date.now();
+
+            const testResult = await this.translate('Hello', 'en', 'de');
+            const responseTime = Date.now() - startTime;
+
+            const success = !testResult.error && testResult.text.length > 0;
+
+            return new ConnectionTestResult({
+                success,
+                message: success ?
+                    'DeepL API доступен' :
+                    (testResult.error?.message || 'Не удалось выполнить тестовый перевод'),
+                responseTime,
+                details: {
+                    provider: 'DeepL',
+                    plan: this.plan,
+                    endpoint: this.apiBaseUrl,
+                    testResult: success ? 'Успешно' : 'Ошибка'
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('DeepL connection test failed:', error);
+
+            return new ConnectionTestResult({
+                success: false,
+                message: this.getErrorMessage(error),
+                responseTime: 0,
+                details: {
+                    error: error.response?.status || error.code,
+                    provider: 'DeepL'
+                }
+            });
+        }
+    }
+
+    async validateApiKey(apiKey) {
+        try {
+            // /usage — самый дешевый запрос, требующий авторизации
+            const response = await axios.get(`${this.apiBaseUrl}/usage`, {
+                headers: { 'Authorization': `DeepL-Auth-Key ${apiKey}` },
+                timeout: 10000
+            });
+
+            const isValid = typeof response.data?.character_count === 'number';
+
+            return new ValidationResult({
+                valid: isValid,
+                message: isValid ? 'Ключ API действителен' : 'Неверный ключ API',
+                details: {
+                    provider: 'DeepL',
+                    validation: 'api_call',
+                    characterCount: response.data?.character_count,
+                    characterLimit: response.data?.character_limit
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('DeepL API key validation failed:', error.message);
+
+            return new ValidationResult({
+                valid: false,
+                message: this.getErrorMessage(error),
+                details: {
+                    error: error.response?.status,
+                    provider: 'DeepL'
+                }
+            });
+        }
+    }
+
+    // Вспомогательные методы
+
+    async makeRequest(endpoint, data = {}, method = 'POST', { signal } = {}) {
+        const config = {
+            method,
+            url: `${this.apiBaseUrl}/${endpoint}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+            },
+            timeout: 10000,
+            signal
+        };
+
+        if (method === 'POST') {
+            config.data = data;
+        } else {
+            config.params = data;
+        }
+
+        const response = await axios(config);
+        return response.data;
+    }
+
+    async loadSupportedLanguages() {
+        try {
+            if (!this.apiKey) {
+                return this.getDefaultLanguages();
+            }
+
+            const languages = await this.makeRequest('languages', { type: 'source' }, 'GET');
+
+            this.supportedLanguages = (languages || []).map(lang =>
+                new Language({
+                    code: lang.language.toLowerCase(),
+                    name: lang.name
+                })
+            );
+
+            return this.supportedLanguages;
+
+        } catch (error) {
+            this.logger.error('Failed to load DeepL supported languages:', error.message);
+            return this.getDefaultLanguages();
+        }
+    }
+
+    /**
+     * DeepL ожидает коды в верхнем регистре, без региона для исходного языка
+     */
+    toSourceCode(lang) {
+        return lang.split('-')[0].toUpperCase();
+    }
+
+    /**
+     * Для английского и португальского целевой язык должен содержать регион
+     */
+    toTargetCode(lang) {
+        const code = lang.toUpperCase();
+        const regional = { EN: 'EN-US', PT: 'PT-PT' };
+        return regional[code] || code;
+    }
+
+    mapDeepLError(error) {
+        const status = error.response?.status;
+        const message = error.response?.data?.message || error.message;
+
+        if (error.request && !error.response) {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: 'DeepL API недоступен',
+                details: message,
+                retryable: true
+            });
+        }
+
+        switch (status) {
+            case 400:
+            case 413:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_REQUEST,
+                    message: 'Неверный запрос',
+                    details: message,
+                    retryable: false
+                });
+
+            case 401:
+            case 403:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Неверный API ключ или выбран не тот тариф (Free/Pro)',
+                    details: message,
+                    retryable: false
+                });
+
+            case 456:
+                return new TranslationError({
+                    type: TranslationErrorType.QUOTA_EXCEEDED,
+                    message: 'Исчерпан лимит символов DeepL',
+                    details: message,
+                    retryable: false
+                });
+
+            case 429:
+                return new TranslationError({
+                    type: TranslationErrorType.RATE_LIMITED,
+                    message: 'Превышен лимит запросов',
+                    details: message,
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+
+            default:
+                return new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: `Ошибка DeepL API: ${message || 'Неизвестная ошибка'}`,
+                    details: { status, message },
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+        }
+    }
+
+    getErrorMessage(error) {
+        if (error.response) {
+            switch (error.response.status) {
+                case 403:
+                    return 'Доступ запрещен. Проверьте API ключ и тариф';
+                case 456:
+                    return 'Исчерпан лимит символов';
+                case 429:
+                    return 'Превышен лимит запросов';
+                default:
+                    return error.response.data?.message || `Ошибка API: ${error.response.status}`;
+            }
+        }
+        return error.message || 'Неизвестная ошибка';
+    }
+
+    getDefaultLanguages() {
+        return [
+            new Language({ code: 'en', name: 'English' }),
+            new Language({ code: 'de', name: 'German' }),
+            new Language({ code: 'fr', name: 'French' }),
+            new Language({ code: 'es', name: 'Spanish' }),
+            new Language({ code: 'it', name: 'Italian' }),
+            new Language({ code: 'nl', name: 'Dutch' }),
+            new Language({ code: 'pl', name: 'Polish' }),
+            new Language({ code: 'pt', name: 'Portuguese' }),
+            new Language({ code: 'ru', name: 'Russian' }),
+            new Language({ code: 'ja', name: 'Japanese' }),
+            new Language({ code: 'zh', name: 'Chinese' }),
+            new Language({ code: 'uk', name: 'Ukrainian' })
+        ];
+    }
+}
+
+module.exports = DeepLTranslationProvider;
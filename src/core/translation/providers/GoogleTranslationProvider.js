@@ -1,9 +1,18 @@
 const axios = require('axios');
 const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationError } = require('../ITranslationProvider');
+const AccessTokenCache = require('../auth/AccessTokenCache');
+const ServiceAccountCredentials = require('../auth/ServiceAccountCredentials');
 const Logger = require('../../../utils/Logger'); // Исправленный путь
 
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const TRANSLATION_SCOPE = 'https://www.googleapis.com/auth/cloud-translation';
+
 /**
  * Google Cloud Translation API провайдер
+ * Режимы авторизации (config.authMode):
+ *  - apiKeyV2 — Basic API (v2) с простым API-ключом;
+ *  - serviceAccountV3 — Advanced API (v3) с JSON-ключом сервисного аккаунта:
+ *    OAuth-токен выпускается локально (JWT) и обновляется до истечения срока.
  * Документация: https://cloud.google.com/translate/docs/reference/rest
  */
 class GoogleTranslationProvider extends ITranslationProvider {
@@ -11,9 +20,13 @@ class GoogleTranslationProvider extends ITranslationProvider {
         super(config);
         this.logger = new Logger('GoogleTranslationProvider');
         this.apiKey = null;
+        this.authMode = config.authMode === 'serviceAccountV3' ? 'serviceAccountV3' : 'apiKeyV2';
         this.projectId = config.projectId || '';
         this.location = config.location || 'global';
+        this.apiBaseUrlV2 = 'https://translation.googleapis.com/language/translate/v2';
         this.apiBaseUrl = 'https://translation.googleapis.com/v3';
+        this.credentials = null;
+        this.tokenCache = null;
         this.supportedLanguages = null;
     }
 
@@ -21,62 +34,48 @@ class GoogleTranslationProvider extends ITranslationProvider {
         return 'google';
     }
 
+    get isV3() {
+        return this.authMode === 'serviceAccountV3';
+    }
+
     async initialize(apiKey) {
         this.apiKey = apiKey;
-        this.logger.info('Google translation provider initialized');
+
+        if (this.isV3) {
+            this.credentials = this.loadCredentials(apiKey);
+            this.projectId = this.projectId || this.credentials.project_id || '';
+            this.tokenCache = new AccessTokenCache(() => this.fetchAccessToken(this.credentials));
+        }
+
+        this.logger.info(`Google translation provider initialized (${this.getModeLabel()})`);
         await this.loadSupportedLanguages();
         return Promise.resolve();
     }
 
-    async translate(text, sourceLang, targetLang) {
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
         try {
-            const parent = this.projectId ?
-                `projects/${this.projectId}/locations/${this.location}` :
-                null;
-
-            const body = {
-                contents: [text],
-                targetLanguageCode: targetLang,
-                mimeType: 'text/plain'
-            };
+            const translation = this.isV3 ?
+                await this.translateV3(text, sourceLang, targetLang, signal) :
+                await this.translateV2(text, sourceLang, targetLang, signal);
 
-            // Если язык не auto, добавляем source language
-            if (sourceLang && sourceLang !== 'auto') {
-                body.sourceLanguageCode = sourceLang;
-            }
-
-            // Параметры запроса
-            const params = {
-                key: this.apiKey
-            };
-
-            if (parent) {
-                body.parent = parent;
-            }
-
-            // Запрос к API
-            const endpoint = parent ?
-                `${this.apiBaseUrl}/${parent}:translateText` :
-                `${this.apiBaseUrl}:translateText`;
-
-            const response = await this.makeRequest(endpoint, body, params);
-
-            // Обработка ответа
-            const translation = response.translations?.[0];
             if (!translation) {
                 throw new Error('Не удалось получить перевод');
             }
 
             return new TranslationResult({
-                text: translation.translatedText,
-                sourceLang: translation.detectedLanguageCode || sourceLang,
+                text: translation.text,
+                sourceLang: translation.detectedLanguage || sourceLang,
                 targetLang,
                 provider: this.name,
-                detectedLanguage: translation.detectedLanguageCode || null,
-                confidence: translation.detectedLanguageCode ? 0.99 : null
+                detectedLanguage: translation.detectedLanguage || null,
+                confidence: translation.detectedLanguage ? 0.99 : null
             });
 
         } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
             this.logger.error('Google translation error:', error);
 
             const googleError = this.mapGoogleError(error);
@@ -91,6 +90,57 @@ class GoogleTranslationProvider extends ITranslationProvider {
         }
     }
 
+    /**
+     * Basic API (v2): POST /language/translate/v2?key=...
+     */
+    async translateV2(text, sourceLang, targetLang, signal) {
+        const body = {
+            q: text,
+            target: targetLang,
+            format: 'text'
+        };
+
+        if (sourceLang && sourceLang !== 'auto') {
+            body.source = sourceLang;
+        }
+
+        const response = await this.makeRequest(this.apiBaseUrlV2, body, {}, 'POST', { signal });
+        const translation = response.data?.translations?.[0];
+
+        return translation ? {
+            text: translation.translatedText,
+            detectedLanguage: translation.detectedSourceLanguage || null
+        } : null;
+    }
+
+    /**
+     * Advanced API (v3): POST /v3/projects/{id}/locations/{location}:translateText
+     */
+    async translateV3(text, sourceLang, targetLang, signal) {
+        if (!this.projectId) {
+            throw new Error('Provider config error: missing Project ID');
+        }
+
+        const body = {
+            contents: [text],
+            targetLanguageCode: targetLang,
+            mimeType: 'text/plain'
+        };
+
+        // Если язык не auto, добавляем source language
+        if (sourceLang && sourceLang !== 'auto') {
+            body.sourceLanguageCode = sourceLang;
+        }
+
+        const response = await this.makeRequest(`${this.apiBaseUrl}/${this.getParent()}:translateText`, body, {}, 'POST', { signal });
+        const translation = response.translations?.[0];
+
+        return translation ? {
+            text: translation.translatedText,
+            detectedLanguage: translation.detectedLanguageCode || null
+        } : null;
+    }
+
     async getSupportedLanguages() {
         if (this.supportedLanguages) {
             return this.supportedLanguages;
@@ -108,13 +158,17 @@ class GoogleTranslationProvider extends ITranslationProvider {
             const responseTime = Date.now() - startTime;
 
             const success = !testResult.error && testResult.text.length > 0;
+            const failure = testResult.error?.message || 'Не удалось выполнить тестовый перевод';
 
             return new ConnectionTestResult({
                 success,
-                message: success ? 'Google Translate API доступен' : 'Не удалось выполнить тестовый перевод',
+                message: success ?
+                    `Google Translate API доступен (${this.getModeLabel()})` :
+                    `${this.getModeLabel()}: ${failure}`,
                 responseTime,
                 details: {
                     provider: 'Google Cloud Translation',
+                    authMode: this.authMode,
                     projectId: this.projectId,
                     location: this.location,
                     testResult: success ? 'Успешно' : 'Ошибка'
@@ -126,10 +180,11 @@ class GoogleTranslationProvider extends ITranslationProvider {
 
             return new ConnectionTestResult({
                 success: false,
-                message: this.getErrorMessage(error),
+                message: `${this.getModeLabel()}: ${this.getErrorMessage(error)}`,
                 responseTime: 0,
                 details: {
                     error: error.response?.status || error.code,
+                    authMode: this.authMode,
                     provider: 'Google Cloud Translation'
                 }
             });
@@ -138,44 +193,50 @@ class GoogleTranslationProvider extends ITranslationProvider {
 
     async validateApiKey(apiKey) {
         try {
-            // Сохраняем текущий ключ
-            const originalKey = this.apiKey;
-            this.apiKey = apiKey;
-
-            // Пытаемся получить список поддерживаемых языков
-            const params = {
-                key: apiKey,
-                displayLanguageCode: 'ru'
-            };
-
-            if (this.projectId) {
-                params.parent = `projects/${this.projectId}/locations/${this.location}`;
+            // Пытаемся получить список поддерживаемых языков с переданными учетными данными
+            let languages;
+
+            if (this.isV3) {
+                const credentials = this.loadCredentials(apiKey);
+                const { token } = await this.fetchAccessToken(credentials);
+                const projectId = this.projectId || credentials.project_id;
+                const response = await axios.get(
+                    `${this.apiBaseUrl}/projects/${projectId}/locations/${this.location}/supportedLanguages`,
+                    { headers: { 'Authorization': `Bearer ${token}` }, timeout: 10000 }
+                );
+                languages = response.data?.languages;
+            } else {
+                const response = await axios.get(`${this.apiBaseUrlV2}/languages`, {
+                    params: { key: apiKey },
+                    timeout: 10000
+                });
+                languages = response.data?.data?.languages;
             }
 
-            const response = await axios.get(`${this.apiBaseUrl}:supportedLanguages`, { params });
-            const isValid = Array.isArray(response.data?.languages);
-
-            // Восстанавливаем ключ
-            this.apiKey = originalKey;
+            const isValid = Array.isArray(languages);
 
             return new ValidationResult({
                 valid: isValid,
-                message: isValid ? 'Ключ API действителен' : 'Неверный ключ API',
+                message: isValid ?
+                    `Учетные данные действительны (${this.getModeLabel()})` :
+                    `Неверные учетные данные (${this.getModeLabel()})`,
                 details: {
                     provider: 'Google Cloud Translation',
+                    authMode: this.authMode,
                     validation: 'api_call',
-                    languagesCount: response.data?.languages?.length || 0
+                    languagesCount: languages?.length || 0
                 }
             });
 
         } catch (error) {
-            this.logger.error('Google API key validation failed:', error);
+            this.logger.error('Google API key validation failed:', error.message);
 
             return new ValidationResult({
                 valid: false,
-                message: this.getErrorMessage(error),
+                message: `${this.getModeLabel()}: ${this.getErrorMessage(error)}`,
                 details: {
                     error: error.response?.status,
+                    authMode: this.authMode,
                     provider: 'Google Cloud Translation'
                 }
             });
@@ -184,43 +245,121 @@ class GoogleTranslationProvider extends ITranslationProvider {
 
     // Вспомогательные методы
 
-    async makeRequest(url, data = {}, params = {}) {
+    async makeRequest(url, data = {}, params = {}, method = 'POST', { signal } = {}) {
         const config = {
-            method: 'POST',
+            method,
             url,
             headers: {
                 'Content-Type': 'application/json'
             },
-            data,
-            params,
-            timeout: 10000
+            params: { ...params },
+            timeout: 10000,
+            signal
         };
 
-        const response = await axios(config);
-        return response.data;
+        // v2 авторизуется ключом в query, v3 — OAuth-токеном сервисного аккаунта
+        if (this.isV3) {
+            config.headers['Authorization'] = `Bearer ${await this.tokenCache.getToken()}`;
+        } else {
+            config.params.key = this.apiKey;
+        }
+
+        if (method === 'POST') {
+            config.data = data;
+        }
+
+        try {
+            const response = await axios(config);
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 401 && this.tokenCache) {
+                this.tokenCache.invalidate();
+            }
+            throw error;
+        }
     }
 
-    async loadSupportedLanguages() {
+    loadCredentials(value) {
+        const credentials = ServiceAccountCredentials.load(value);
+        if (!credentials.client_email || !credentials.private_key) {
+            throw new Error('JSON-ключ должен содержать client_email и private_key');
+        }
+        return credentials;
+    }
+
+    /**
+     * Выпускает OAuth access token по JWT сервисного аккаунта
+     * Документация: https://developers.google.com/identity/protocols/oauth2/service-account#httprest
+     */
+    async fetchAccessToken(credentials) {
+        const tokenUrl = credentials.token_uri || GOOGLE_TOKEN_URL;
+        const now = Math.floor(Date.now() / 1000);
+
+        const assertion = ServiceAccountCredentials.signJwt(
+            { alg: 'RS256', typ: 'JWT', kid: credentials.private_key_id },
+            {
+                iss: credentials.client_email,
+                scope: TRANSLATION_SCOPE,
+                aud: tokenUrl,
+                iat: now,
+                exp: now + 3600
+            },
+            credentials.private_key
+        );
+
         try {
-            const params = {
-                key: this.apiKey,
-                displayLanguageCode: 'ru'
+            const response = await axios.post(tokenUrl, new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion
+            }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: 10000
+            });
+
+            return {
+                token: response.data.access_token,
+                expiresAt: Date.now() + (response.data.expires_in || 3600) * 1000
             };
+        } catch (error) {
+            error.isAuthError = true;
+            throw error;
+        }
+    }
 
-            if (this.projectId) {
-                params.parent = `projects/${this.projectId}/locations/${this.location}`;
-            }
+    getParent() {
+        return `projects/${this.projectId}/locations/${this.location}`;
+    }
 
-            const response = await axios.get(`${this.apiBaseUrl}:supportedLanguages`, { params });
+    getModeLabel() {
+        return this.isV3 ? 'v3, сервисный аккаунт' : 'v2, ключ API';
+    }
 
-            this.supportedLanguages = (response.data.languages || []).map(lang =>
-                new Language({
-                    code: lang.languageCode,
-                    name: lang.displayName,
-                    supportSource: lang.supportSource || false,
-                    supportTarget: lang.supportTarget || false
-                })
-            );
+    async loadSupportedLanguages() {
+        try {
+            if (this.isV3) {
+                const response = await this.makeRequest(
+                    `${this.apiBaseUrl}/${this.getParent()}/supportedLanguages`,
+                    {},
+                    { displayLanguageCode: 'ru' },
+                    'GET'
+                );
+
+                this.supportedLanguages = (response.languages || []).map(lang =>
+                    new Language({
+                        code: lang.languageCode,
+                        name: lang.displayName
+                    })
+                );
+            } else {
+                const response = await this.makeRequest(`${this.apiBaseUrlV2}/languages`, {}, { target: 'ru' }, 'GET');
+
+                this.supportedLanguages = (response.data?.languages || []).map(lang =>
+                    new Language({
+                        code: lang.language,
+                        name: lang.name
+                    })
+                );
+            }
 
             return this.supportedLanguages;
 
@@ -236,6 +375,16 @@ class GoogleTranslationProvider extends ITranslationProvider {
         const status = error.response?.status;
         const message = error.response?.data?.error?.message || error.message;
 
+        // Ошибка обмена JWT на токен (OAuth отвечает { error, error_description })
+        if (error.isAuthError) {
+            return new TranslationError({
+                type: 'INVALID_API_KEY',
+                message: 'Не удалось получить токен сервисного аккаунта',
+                details: error.response?.data?.error_description || error.message,
+                retryable: !error.response
+            });
+        }
+
         switch (status) {
             case 400:
                 if (message?.includes('API key')) {
@@ -253,6 +402,14 @@ class GoogleTranslationProvider extends ITranslationProvider {
                     retryable: false
                 });
 
+            case 401:
+                return new TranslationError({
+                    type: 'INVALID_API_KEY',
+                    message: 'Требуется аутентификация',
+                    details: message,
+                    retryable: false
+                });
+
             case 403:
                 if (message?.includes('disabled')) {
                     return new TranslationError({
@@ -267,7 +424,7 @@ class GoogleTranslationProvider extends ITranslationProvider {
                         type: 'QUOTA_EXCEEDED',
                         message: 'Превышена квота API',
                         details: message,
-                        retryable: true
+                        retryable: false
                     });
                 }
                 return new TranslationError({
@@ -282,7 +439,8 @@ class GoogleTranslationProvider extends ITranslationProvider {
                     type: 'RATE_LIMITED',
                     message: 'Превышен лимит запросов',
                     details: message,
-                    retryable: true
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
                 });
 
             default:
@@ -290,12 +448,18 @@ class GoogleTranslationProvider extends ITranslationProvider {
                     type: 'PROVIDER_ERROR',
                     message: `Ошибка Google Translate API: ${message || 'Неизвестная ошибка'}`,
                     details: { status, message },
-                    retryable: true
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
                 });
         }
     }
 
     getErrorMessage(error) {
+        if (error.isAuthError) {
+            const description = error.response?.data?.error_description || error.message;
+            return `Не удалось получить токен сервисного аккаунта: ${description}`;
+        }
+
         if (error.response) {
             const googleError = error.response.data?.error;
 
@@ -0,0 +1,373 @@
+// File: src/core/translation/providers/LLMTranslationProvider.js
+const axios = require('axios');
+const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const Logger = require('../../../utils/Logger');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a professional translator. Translate the text faithfully, ' +
+    'preserving its meaning, tone, register and formatting. Do not add explanations.';
+
+// Служебная инструкция добавляется всегда: от нее зависит разбор ответа
+const RESPONSE_FORMAT_INSTRUCTION = 'Reply with a single JSON object and nothing else: ' +
+    '{"detected_language": "<ISO 639-1 code of the source text>", "translation": "<translated text>"}';
+
+/**
+ * Провайдер для LLM с OpenAI-совместимым API (/v1/chat/completions)
+ * Работает с локальными серверами (llama.cpp, Ollama, vLLM, LM Studio) и облачными API.
+ */
+class LLMTranslationProvider extends ITranslationProvider {
+    constructor(config = {}) {
+        super(config);
+        this.logger = new Logger('LLMTranslationProvider');
+        this.baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+        this.model = (config.model || '').trim();
+        this.systemPrompt = (config.systemPrompt || '').trim() || DEFAULT_SYSTEM_PROMPT;
+        // Ключ нужен только облачным API; передается в initialize, как у остальных провайдеров
+        this.apiKey = '';
+        // Локальные модели на CPU отвечают медленно
+        this.timeout = 120000;
+    }
+
+    get name() {
+        return 'llm';
+    }
+
+    // Ответ модели ограничен по токенам, поэтому части делаются небольшими
+    get maxTextLength() {
+        return 4000;
+    }
+
+    async initialize(apiKey) {
+        this.apiKey = (apiKey || '').trim();
+
+        if (!this.baseUrl) {
+            this.logger.warn('Base URL is missing. LLM requests will fail.');
+        }
+
+        this.logger.info(`LLM translation provider initialized (${this.model || 'default model'} @ ${this.baseUrl})`);
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
+        try {
+            if (!this.baseUrl) {
+                throw Object.assign(new Error('Provider config error: missing base URL'), { isConfigError: true });
+            }
+
+            const request = {
+                source_language: (sourceLang && sourceLang !== 'auto') ? this.getLanguageName(sourceLang) : 'auto-detect',
+                target_language: this.getLanguageName(targetLang),
+                text
+            };
+
+            const body = {
+                messages: [
+                    { role: 'system', content: `${this.systemPrompt}\n\n${RESPONSE_FORMAT_INSTRUCTION}` },
+                    { role: 'user', content: JSON.stringify(request) }
+                ],
+                temperature: 0.2,
+                stream: false
+            };
+
+            if (this.model) {
+                body.model = this.model;
+            }
+
+            const response = await this.makeRequest('chat/completions', body, 'POST', { signal });
+            const content = response.choices?.[0]?.message?.content;
+
+            if (typeof content !== 'string' || !content.trim()) {
+                throw Object.assign(new Error('Модель вернула пустой ответ'), { isResponseFormatError: true });
+            }
+
+            const parsed = this.parseCompletion(content);
+            if (!parsed.translation) {
+                throw Object.assign(new Error('Ответ модели не содержит перевода'), { isResponseFormatError: true });
+            }
+            const detected = (sourceLang && sourceLang !== 'auto') ? null : parsed.detectedLanguage;
+
+            return new TranslationResult({
+                text: parsed.translation,
+                sourceLang: detected || sourceLang,
+                targetLang,
+                provider: this.name,
+                detectedLanguage: detected,
+                confidence: detected ? 0.8 : null
+            });
+
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
+            this.logger.error('LLM translation error:', error.message);
+
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: this.name,
+                error: this.mapLLMError(error)
+            });
+        }
+    }
+
+    async getSupportedLanguages() {
+        // LLM не публикует список языков — предлагаем распространенные
+        return this.getDefaultLanguages();
+    }
+
+    async testConnection() {
+        try {
+            if (!this.baseUrl) throw new Error('Не указан адрес сервера');
+
+            const startTime = Date.now();
+            const models = await this.listModels();
+
+            if (this.model && models.length > 0 && !models.includes(this.model)) {
+                throw new Error(`Модель "${this.model}" не найдена на сервере. Доступны: ${models.slice(0, 5).join(', ')}`);
+            }
+
+            const testResult = await this.translate('Hello', 'en', 'ru');
+            const success = !testResult.error && testResult.text.length > 0;
+
+            return new ConnectionTestResult({
+                success,
+                message: success ?
+                    'LLM сервер доступен' :
+                    (testResult.error?.message || 'Не удалось выполнить тестовый перевод'),
+                responseTime: Date.now() - startTime,
+                details: {
+                    provider: 'OpenAI-compatible LLM',
+                    baseUrl: this.baseUrl,
+                    model: this.model || models[0] || null,
+                    testResult: success ? 'Успешно' : 'Ошибка'
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('LLM connection test failed:', error.message);
+
+            return new ConnectionTestResult({
+                success: false,
+                message: this.getErrorMessage(error),
+                responseTime: 0,
+                details: {
+                    error: error.response?.status || error.code,
+                    provider: 'OpenAI-compatible LLM'
+                }
+            });
+        }
+    }
+
+    async validateApiKey(apiKey) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/models`, {
+                headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+                timeout: 10000
+            });
+
+            const isValid = Array.isArray(response.data?.data);
+
+            return new ValidationResult({
+                valid: isValid,
+                message: isValid ? 'Ключ API действителен' : 'Сервер вернул неожиданный ответ',
+                details: {
+                    provider: 'OpenAI-compatible LLM',
+                    validation: 'api_call',
+                    modelsCount: response.data?.data?.length || 0
+                }
+            });
+
+        } catch (error) {
+            return new ValidationResult({
+                valid: false,
+                message: this.getErrorMessage(error),
+                details: {
+                    error: error.response?.status,
+                    provider: 'OpenAI-compatible LLM'
+                }
+            });
+        }
+    }
+
+    // Вспомогательные методы
+
+    async makeRequest(endpoint, data = {}, method = 'POST', { signal } = {}) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const config = {
+            method,
+            url: `${this.baseUrl}/${endpoint}`,
+            headers,
+            timeout: this.timeout,
+            signal
+        };
+
+        if (method === 'POST') {
+            config.data = data;
+        } else {
+            config.params = data;
+        }
+
+        const response = await axios(config);
+        return response.data;
+    }
+
+    async listModels() {
+        try {
+            const response = await this.makeRequest('models', {}, 'GET');
+            return (response.data || []).map(model => model.id);
+        } catch (error) {
+            // Не все серверы реализуют /models — это не повод считать их недоступными
+            if (error.response?.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Разбирает структурированный ответ модели
+     * Терпим к markdown-обертке, рассуждениям (<think>) и ответу простым текстом.
+     */
+    parseCompletion(content) {
+        const cleaned = content
+            .replace(/<think>[\s\S]*?<\/think>/gi, '')
+            .replace(/^\s*```(?:json)?\s*/i, '')
+            .replace(/\s*```\s*$/, '')
+            .trim();
+
+        const start = cleaned.indexOf('{');
+        const end = cleaned.lastIndexOf('}');
+
+        if (start !== -1 && end > start) {
+            try {
+                const json = JSON.parse(cleaned.slice(start, end + 1));
+                if (typeof json.translation === 'string') {
+                    return {
+                        translation: json.translation,
+                        detectedLanguage: this.normalizeLanguageCode(json.detected_language)
+                    };
+                }
+            } catch (error) {
+                this.logger.debug('LLM response is not valid JSON, using raw text');
+            }
+        }
+
+        return { translation: cleaned, detectedLanguage: null };
+    }
+
+    normalizeLanguageCode(code) {
+        if (typeof code !== 'string') return null;
+        const normalized = code.trim().toLowerCase().split(/[-_]/)[0];
+        return /^[a-z]{2,3}$/.test(normalized) ? normalized : null;
+    }
+
+    getLanguageName(code) {
+        try {
+            const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+            return `${displayNames.of(code)} (${code})`;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    mapLLMError(error) {
+        const status = error.response?.status;
+        const message = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+
+        // Повтор не поможет: настройки не изменятся, а модель ответит так же
+        if (error.isConfigError || error.isResponseFormatError) {
+            return new TranslationError({
+                type: TranslationErrorType.INVALID_REQUEST,
+                message: error.isConfigError ? 'Не указан адрес LLM сервера' : error.message,
+                details: message,
+                retryable: false
+            });
+        }
+
+        // Сервер, не ответивший за timeout, при повторе снова заблокирует перевод на то же время
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: `LLM сервер не ответил за ${Math.round(this.timeout / 1000)} с`,
+                details: message,
+                retryable: false
+            });
+        }
+
+        if (error.request && !error.response) {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: 'LLM сервер недоступен',
+                details: message,
+                retryable: true
+            });
+        }
+
+        switch (status) {
+            case 401:
+            case 403:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Неверный API ключ',
+                    details: message,
+                    retryable: false
+                });
+
+            case 400:
+            case 404:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_REQUEST,
+                    message: 'Неверный запрос (проверьте адрес сервера и имя модели)',
+                    details: message,
+                    retryable: false
+                });
+
+            case 429:
+                return new TranslationError({
+                    type: TranslationErrorType.RATE_LIMITED,
+                    message: 'Превышен лимит запросов',
+                    details: message,
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+
+            default:
+                return new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: `Ошибка LLM сервера: ${message || 'Неизвестная ошибка'}`,
+                    details: { status, message },
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+        }
+    }
+
+    getErrorMessage(error) {
+        if (error.response) {
+            const data = error.response.data;
+            return data?.error?.message || (typeof data?.error === 'string' ? data.error : null) ||
+                `Ошибка HTTP ${error.response.status}`;
+        }
+        if (error.request) {
+            return `Сервер ${this.baseUrl} недоступен`;
+        }
+        return error.message || 'Неизвестная ошибка';
+    }
+
+    getDefaultLanguages() {
+        return [
+            'en', 'ru', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'pl', 'uk', 'tr',
+            'zh', 'ja', 'ko', 'ar', 'hi', 'sv', 'fi', 'cs', 'kk'
+        ].map(code => new Language({ code, name: code }));
+    }
+}
+
+module.exports = LLMTranslationProvider;
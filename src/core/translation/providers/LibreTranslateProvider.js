@@ -0,0 +1,315 @@
+// File: src/core/translation/providers/LibreTranslateProvider.js
+const axios = require('axios');
+const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationErrorType, TranslationError } = require('../ITranslationProvider');
+const Logger = require('../../../utils/Logger');
+
+/**
+ * LibreTranslate провайдер (self-hosted или публичный инстанс)
+ * API-ключ необязателен и хранится в конфиге провайдера, а не в общем поле ключа:
+ * общий ключ относится к облачным провайдерам и серверу LibreTranslate не нужен.
+ * Документация: https://libretranslate.com/docs
+ */
+class LibreTranslateProvider extends ITranslationProvider {
+    constructor(config = {}) {
+        super(config);
+        this.logger = new Logger('LibreTranslateProvider');
+        this.baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+        // Ключ необязателен и передается в initialize, как у остальных провайдеров
+        this.apiKey = '';
+        this.supportedLanguages = null;
+    }
+
+    get name() {
+        return 'libretranslate';
+    }
+
+    async initialize(apiKey) {
+        this.apiKey = (apiKey || '').trim();
+
+        if (!this.baseUrl) {
+            this.logger.warn('Base URL is missing. LibreTranslate requests will fail.');
+        }
+
+        this.logger.info(`LibreTranslate provider initialized (${this.baseUrl || 'no URL'})`);
+        return Promise.resolve();
+    }
+
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
+        try {
+            if (!this.baseUrl) throw new Error('Provider config error: missing base URL');
+
+            const source = (sourceLang && sourceLang !== 'auto') ? sourceLang : 'auto';
+
+            const response = await this.makeRequest('translate', {
+                q: text,
+                source,
+                target: targetLang,
+                format: 'text'
+            }, 'POST', { signal });
+
+            if (typeof response.translatedText !== 'string') {
+                throw new Error('Сервер не вернул перевод');
+            }
+
+            let detected = response.detectedLanguage || null;
+
+            // Старые версии сервера не возвращают detectedLanguage — определяем отдельно
+            if (source === 'auto' && !detected) {
+                detected = await this.detect(text, signal);
+            }
+
+            const detectedCode = detected ? detected.language : null;
+
+            return new TranslationResult({
+                text: response.translatedText,
+                sourceLang: detectedCode || sourceLang,
+                targetLang,
+                provider: this.name,
+                detectedLanguage: detectedCode,
+                confidence: detected ? detected.confidence / 100 : null
+            });
+
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
+            this.logger.error('LibreTranslate translation error:', error.message);
+
+            return new TranslationResult({
+                text: '',
+                sourceLang,
+                targetLang,
+                provider: this.name,
+                error: this.mapLibreError(error)
+            });
+        }
+    }
+
+    /**
+     * Определяет язык текста через /detect
+     * @param {string} text - Текст для анализа
+     * @param {AbortSignal} [signal] - Отмена запроса
+     * @returns {Promise<{language: string, confidence: number}|null>}
+     */
+    async detect(text, signal) {
+        try {
+            const response = await this.makeRequest('detect', { q: text }, 'POST', { signal });
+            const best = Array.isArray(response) ? response[0] : null;
+            return best ? { language: best.language, confidence: best.confidence } : null;
+        } catch (error) {
+            this.logger.warn('LibreTranslate language detection failed:', error.message);
+            return null;
+        }
+    }
+
+    async getSupportedLanguages() {
+        if (this.supportedLanguages && this.supportedLanguages.length > 0) {
+            return this.supportedLanguages;
+        }
+        return await this.loadSupportedLanguages();
+    }
+
+    async testConnection() {
+        try {
+            if (!this.baseUrl) throw new Error('Не указан адрес сервера LibreTranslate');
+
+            const startTime = Date.now();
+
+            // Список языков доступен без ключа и показывает, что сервер жив
+            const languages = await this.makeRequest('languages', {}, 'GET');
+            const english = (languages || []).find(lang => lang.code === 'en');
+            const target = english?.targets?.find(code => code !== 'en');
+
+            // Если есть подходящая пара, проверяем и сам перевод (и ключ)
+            let testResult = 'Языки получены';
+            if (target) {
+                const result = await this.translate('Hello', 'en', target);
+                if (result.error) {
+                    throw Object.assign(new Error(result.error.message), { translationError: result.error });
+                }
+                testResult = 'Успешно';
+            }
+
+            return new ConnectionTestResult({
+                success: true,
+                message: 'Сервер LibreTranslate доступен',
+                responseTime: Date.now() - startTime,
+                details: {
+                    provider: 'LibreTranslate',
+                    baseUrl: this.baseUrl,
+                    languages: languages.length,
+                    testResult
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('LibreTranslate connection test failed:', error.message);
+
+            return new ConnectionTestResult({
+                success: false,
+                message: this.getErrorMessage(error),
+                responseTime: 0,
+                details: {
+                    error: error.response?.status || error.code,
+                    provider: 'LibreTranslate'
+                }
+            });
+        }
+    }
+
+    async validateApiKey(apiKey) {
+        try {
+            await axios.post(`${this.baseUrl}/detect`, { q: 'Hello', api_key: apiKey || undefined }, { timeout: 10000 });
+
+            return new ValidationResult({
+                valid: true,
+                message: apiKey ? 'Ключ API действителен' : 'Сервер не требует ключ API',
+                details: {
+                    provider: 'LibreTranslate',
+                    validation: 'api_call'
+                }
+            });
+
+        } catch (error) {
+            return new ValidationResult({
+                valid: false,
+                message: this.getErrorMessage(error),
+                details: {
+                    error: error.response?.status,
+                    provider: 'LibreTranslate'
+                }
+            });
+        }
+    }
+
+    // Вспомогательные методы
+
+    async makeRequest(endpoint, data = {}, method = 'POST', { signal } = {}) {
+        const config = {
+            method,
+            url: `${this.baseUrl}/${endpoint}`,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            timeout: 15000,
+            signal
+        };
+
+        if (method === 'POST') {
+            config.data = this.apiKey ? { ...data, api_key: this.apiKey } : data;
+        } else {
+            config.params = data;
+        }
+
+        const response = await axios(config);
+        return response.data;
+    }
+
+    async loadSupportedLanguages() {
+        try {
+            if (!this.baseUrl) {
+                return this.getDefaultLanguages();
+            }
+
+            const languages = await this.makeRequest('languages', {}, 'GET');
+
+            this.supportedLanguages = (languages || []).map(lang =>
+                new Language({
+                    code: lang.code,
+                    name: lang.name || lang.code
+                })
+            );
+
+            return this.supportedLanguages;
+
+        } catch (error) {
+            this.logger.error('Failed to load LibreTranslate supported languages:', error.message);
+            return this.getDefaultLanguages();
+        }
+    }
+
+    mapLibreError(error) {
+        if (error.translationError) {
+            return error.translationError;
+        }
+
+        const status = error.response?.status;
+        const message = error.response?.data?.error || error.message;
+
+        if (error.request && !error.response) {
+            return new TranslationError({
+                type: TranslationErrorType.NETWORK_ERROR,
+                message: 'Сервер LibreTranslate недоступен',
+                details: message,
+                retryable: true
+            });
+        }
+
+        switch (status) {
+            case 400:
+                if (message?.toLowerCase().includes('not supported')) {
+                    return new TranslationError({
+                        type: TranslationErrorType.UNSUPPORTED_LANGUAGE,
+                        message: 'Язык не поддерживается сервером',
+                        details: message,
+                        retryable: false
+                    });
+                }
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_REQUEST,
+                    message: 'Неверный запрос',
+                    details: message,
+                    retryable: false
+                });
+
+            case 403:
+                return new TranslationError({
+                    type: TranslationErrorType.INVALID_API_KEY,
+                    message: 'Неверный или отсутствующий API ключ LibreTranslate',
+                    details: message,
+                    retryable: false
+                });
+
+            case 429:
+                return new TranslationError({
+                    type: TranslationErrorType.RATE_LIMITED,
+                    message: 'Превышен лимит запросов',
+                    details: message,
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+
+            default:
+                return new TranslationError({
+                    type: TranslationErrorType.PROVIDER_ERROR,
+                    message: `Ошибка LibreTranslate: ${message || 'Неизвестная ошибка'}`,
+                    details: { status, message },
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
+                });
+        }
+    }
+
+    getErrorMessage(error) {
+        if (error.response) {
+            return error.response.data?.error || `Ошибка HTTP ${error.response.status}`;
+        }
+        if (error.request) {
+            return `Сервер ${this.baseUrl} недоступен`;
+        }
+        return error.message || 'Неизвестная ошибка';
+    }
+
+    getDefaultLanguages() {
+        return [
+            new Language({ code: 'en', name: 'English' }),
+            new Language({ code: 'ru', name: 'Russian' }),
+            new Language({ code: 'de', name: 'German' }),
+            new Language({ code: 'fr', name: 'French' }),
+            new Language({ code: 'es', name: 'Spanish' })
+        ];
+    }
+}
+
+module.exports = LibreTranslateProvider;
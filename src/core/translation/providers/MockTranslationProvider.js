@@ -23,11 +23,15 @@ class MockTranslationProvider extends ITranslationProvider {
         return Promise.resolve();
     }
 
-    async translate(text, sourceLang, targetLang) {
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
         // Имитация сетевой задержки (100-500ms)
         const delay = Math.floor(Math.random() * 400) + 100;
         await new Promise(resolve => setTimeout(resolve, delay));
 
+        if (signal && signal.aborted) {
+            return this.createCancelledResult(sourceLang, targetLang);
+        }
+
         // Валидация
         if (!text || !text.trim()) {
             return new TranslationResult({
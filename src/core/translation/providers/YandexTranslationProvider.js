@@ -1,11 +1,17 @@
 // File: src/core/translation/providers/YandexTranslationProvider.js
 const axios = require('axios');
 const { ITranslationProvider, TranslationResult, Language, ConnectionTestResult, ValidationResult, TranslationError } = require('../ITranslationProvider');
+const AccessTokenCache = require('../auth/AccessTokenCache');
+const ServiceAccountCredentials = require('../auth/ServiceAccountCredentials');
 const Logger = require('../../../utils/Logger');
 
 /**
  * Yandex Translate API Provider (Yandex Cloud)
- * Использует авторизацию через API-ключ сервисного аккаунта.
+ * Поддерживает три способа авторизации (config.authMode):
+ *  - apiKey — статический API-ключ сервисного аккаунта;
+ *  - iamToken — готовый IAM-токен (живет не более 12 часов);
+ *  - serviceAccountKey — авторизованный ключ (JSON): JWT подписывается локально
+ *    и обменивается на IAM-токен, который обновляется до истечения срока.
  * Документация: https://cloud.yandex.ru/docs/translate/api-ref/Translation/translate
  */
 class YandexTranslationProvider extends ITranslationProvider {
@@ -15,7 +21,11 @@ class YandexTranslationProvider extends ITranslationProvider {
         this.apiKey = null;
         // Folder ID обязателен для работы v2 API
         this.folderId = config.folderId ? config.folderId.trim() : '';
+        this.authMode = config.authMode || 'apiKey';
         this.apiBaseUrl = 'https://translate.api.cloud.yandex.net/translate/v2';
+        this.iamTokenUrl = 'https://iam.api.cloud.yandex.net/iam/v1/tokens';
+        this.serviceAccountKey = null;
+        this.tokenCache = null;
         this.supportedLanguages = null;
     }
 
@@ -23,22 +33,35 @@ class YandexTranslationProvider extends ITranslationProvider {
         return 'yandex';
     }
 
+    // Лимит Yandex Cloud — 10 000 символов на запрос
+    get maxTextLength() {
+        return 10000;
+    }
+
     async initialize(apiKey) {
         if (!apiKey) {
             throw new Error('API ключ не предоставлен');
         }
         this.apiKey = apiKey.trim();
 
+        if (this.authMode === 'serviceAccountKey') {
+            this.serviceAccountKey = ServiceAccountCredentials.load(this.apiKey);
+            if (!this.serviceAccountKey.id || !this.serviceAccountKey.service_account_id) {
+                throw new Error('Авторизованный ключ должен содержать id и service_account_id');
+            }
+            this.tokenCache = new AccessTokenCache(() => this.exchangeJwtForIamToken());
+        }
+
         if (!this.folderId) {
             this.logger.warn('Folder ID is missing. Yandex Cloud Translation might fail.');
         }
 
-        this.logger.info('Yandex translation provider initialized');
+        this.logger.info(`Yandex translation provider initialized (auth: ${this.authMode})`);
         // Не блокируем инициализацию загрузкой языков, сделаем это лениво при первом запросе
         return Promise.resolve();
     }
 
-    async translate(text, sourceLang, targetLang) {
+    async translate(text, sourceLang, targetLang, { signal } = {}) {
         try {
             if (!this.apiKey) throw new Error('Provider not initialized: missing API key');
             if (!this.folderId) throw new Error('Provider config error: missing Folder ID');
@@ -57,7 +80,7 @@ class YandexTranslationProvider extends ITranslationProvider {
             }
 
             // Запрос к API
-            const response = await this.makeRequest('translate', body);
+            const response = await this.makeRequest('translate', body, 'POST', { signal });
 
             const translationData = response.translations?.[0];
             if (!translationData) {
@@ -74,6 +97,10 @@ class YandexTranslationProvider extends ITranslationProvider {
             });
 
         } catch (error) {
+            if (axios.isCancel(error)) {
+                return this.createCancelledResult(sourceLang, targetLang);
+            }
+
             this.logger.error('Yandex translation error:', error.message);
             const yandexError = this.mapYandexError(error);
 
@@ -118,7 +145,7 @@ class YandexTranslationProvider extends ITranslationProvider {
                 details: {
                     provider: 'Yandex Translate',
                     folderId: this.folderId,
-                    authType: 'Service Account API-Key'
+                    authType: this.getAuthTypeLabel()
                 }
             });
         } catch (error) {
@@ -139,6 +166,33 @@ class YandexTranslationProvider extends ITranslationProvider {
     async validateApiKey(apiKey) {
         // Для Yandex валидация ключа невозможна без FolderID в контексте этого метода.
         // Поэтому мы делаем базовую проверку формата.
+        if (this.authMode === 'serviceAccountKey') {
+            try {
+                const key = ServiceAccountCredentials.load(apiKey);
+                ServiceAccountCredentials.extractPrivateKey(key.private_key);
+                const isValid = Boolean(key.id && key.service_account_id);
+
+                return new ValidationResult({
+                    valid: isValid,
+                    message: isValid ? 'Авторизованный ключ корректен' : 'В ключе нет id или service_account_id',
+                    details: {
+                        provider: 'Yandex Translate',
+                        validation: 'format_check',
+                        serviceAccountId: key.service_account_id
+                    }
+                });
+            } catch (error) {
+                return new ValidationResult({
+                    valid: false,
+                    message: error.message,
+                    details: {
+                        provider: 'Yandex Translate',
+                        validation: 'format_check'
+                    }
+                });
+            }
+        }
+
         const isValidFormat = apiKey && apiKey.length > 20;
 
         return new ValidationResult({
@@ -153,12 +207,12 @@ class YandexTranslationProvider extends ITranslationProvider {
 
     // Вспомогательные методы
 
-    async makeRequest(endpoint, data = {}, method = 'POST') {
+    async makeRequest(endpoint, data = {}, method = 'POST', { signal } = {}) {
         const url = `${this.apiBaseUrl}/${endpoint}`;
 
         const headers = {
             'Content-Type': 'application/json',
-            'Authorization': `Api-Key ${this.apiKey}`
+            'Authorization': await this.getAuthorizationHeader()
         };
 
         const config = {
@@ -166,7 +220,8 @@ class YandexTranslationProvider extends ITranslationProvider {
             url,
             headers,
             timeout: 10000,
-            validateStatus: status => status >= 200 && status < 300
+            validateStatus: status => status >= 200 && status < 300,
+            signal
         };
 
         if (method === 'POST') {
@@ -175,8 +230,64 @@ class YandexTranslationProvider extends ITranslationProvider {
             config.params = data;
         }
 
-        const response = await axios(config);
-        return response.data;
+        try {
+            const response = await axios(config);
+            return response.data;
+        } catch (error) {
+            // Токен могли отозвать раньше срока — следующий запрос получит новый
+            if (error.response?.status === 401 && this.tokenCache) {
+                this.tokenCache.invalidate();
+            }
+            throw error;
+        }
+    }
+
+    async getAuthorizationHeader() {
+        switch (this.authMode) {
+            case 'iamToken':
+                return `Bearer ${this.apiKey}`;
+            case 'serviceAccountKey':
+                return `Bearer ${await this.tokenCache.getToken()}`;
+            default:
+                return `Api-Key ${this.apiKey}`;
+        }
+    }
+
+    /**
+     * Подписывает JWT авторизованным ключом и обменивает его на IAM-токен
+     * Документация: https://cloud.yandex.ru/docs/iam/operations/iam-token/create-for-sa
+     */
+    async exchangeJwtForIamToken() {
+        const now = Math.floor(Date.now() / 1000);
+        const jwt = ServiceAccountCredentials.signJwt(
+            { typ: 'JWT', alg: 'PS256', kid: this.serviceAccountKey.id },
+            {
+                aud: this.iamTokenUrl,
+                iss: this.serviceAccountKey.service_account_id,
+                iat: now,
+                exp: now + 3600
+            },
+            this.serviceAccountKey.private_key
+        );
+
+        const response = await axios.post(this.iamTokenUrl, { jwt }, { timeout: 10000 });
+        this.logger.info('Yandex IAM token obtained, expires at', response.data.expiresAt);
+
+        return {
+            token: response.data.iamToken,
+            expiresAt: Date.parse(response.data.expiresAt)
+        };
+    }
+
+    getAuthTypeLabel() {
+        switch (this.authMode) {
+            case 'iamToken':
+                return 'IAM-токен';
+            case 'serviceAccountKey':
+                return 'Авторизованный ключ сервисного аккаунта';
+            default:
+                return 'Service Account API-Key';
+        }
     }
 
     async loadSupportedLanguages() {
@@ -217,9 +328,12 @@ class YandexTranslationProvider extends ITranslationProvider {
 
         // Обработка специфичных ошибок Yandex Cloud
         if (code === 16 || status === 401) {
+            const hint = this.authMode === 'iamToken' ?
+                'IAM-токен недействителен или истек — получите новый.' :
+                'Проверьте ключ и права сервисного аккаунта.';
             return new TranslationError({
                 type: 'INVALID_API_KEY',
-                message: 'Ошибка авторизации. Проверьте API Key и права сервисного аккаунта.',
+                message: `Ошибка авторизации. ${hint}`,
                 details: message,
                 retryable: false
             });
@@ -247,7 +361,8 @@ class YandexTranslationProvider extends ITranslationProvider {
                     type: 'RATE_LIMITED',
                     message: 'Слишком много запросов.',
                     details: message,
-                    retryable: true
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
                 });
             case 400:
                 return new TranslationError({
@@ -261,7 +376,8 @@ class YandexTranslationProvider extends ITranslationProvider {
                     type: 'PROVIDER_ERROR',
                     message: `Ошибка Yandex API: ${message}`,
                     details: { status, code, message },
-                    retryable: true
+                    retryable: true,
+                    retryAfter: this.getRetryAfter(error)
                 });
         }
     }
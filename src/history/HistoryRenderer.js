@@ -0,0 +1,321 @@
+// File: src/history/HistoryRenderer.js
+/**
+ * Панель истории переводов
+ * Поиск по тексту, фильтры по языковой паре, провайдеру и периоду;
+ * клик по записи возвращает ее в поля перевода.
+ */
+const HISTORY_PAGE_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HistoryRenderer {
+    constructor() {
+        this.elements = {};
+        this.isInitialized = false;
+        this.isHistoryOpen = false;
+        this.searchTimer = null;
+        this.items = [];
+        this.total = 0;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+        try {
+            await this.waitForElectronAPI();
+            this.cacheElements();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('History renderer initialized');
+        } catch (error) {
+            console.error('Failed to initialize history renderer:', error);
+            throw error;
+        }
+    }
+
+    async waitForElectronAPI() {
+        return new Promise((resolve) => {
+            const checkAPI = () => {
+                if (window.electronAPI) {
+                    resolve();
+                } else {
+                    setTimeout(checkAPI, 100);
+                }
+            };
+            checkAPI();
+        });
+    }
+
+    cacheElements() {
+        this.elements = {
+            historyPanel: document.getElementById('historyPanel'),
+            historyToggle: document.getElementById('historyToggle'),
+            closeHistory: document.getElementById('closeHistory'),
+            search: document.getElementById('historySearch'),
+            pair: document.getElementById('historyPair'),
+            provider: document.getElementById('historyProvider'),
+            period: document.getElementById('historyPeriod'),
+            list: document.getElementById('historyList'),
+            count: document.getElementById('historyCount'),
+            clear: document.getElementById('clearHistory')
+        };
+    }
+
+    setupEventListeners() {
+        if (this.elements.historyToggle) {
+            this.elements.historyToggle.addEventListener('click', () => this.toggleHistory());
+        }
+
+        if (this.elements.closeHistory) {
+            this.elements.closeHistory.addEventListener('click', () => this.hideHistory());
+        }
+
+        if (this.elements.search) {
+            this.elements.search.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.search(), 300);
+            });
+        }
+
+        [this.elements.pair, this.elements.provider, this.elements.period].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => this.search());
+            }
+        });
+
+        if (this.elements.clear) {
+            this.elements.clear.addEventListener('click', () => this.clearHistory());
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isHistoryOpen) {
+                this.hideHistory();
+            }
+        });
+
+        window.electronAPI.onWindowHidden(() => this.hideHistory());
+    }
+
+    toggleHistory() {
+        if (this.isHistoryOpen) {
+            this.hideHistory();
+        } else {
+            this.showHistory();
+        }
+    }
+
+    async showHistory() {
+        if (this.isHistoryOpen) return;
+
+        if (window.settingsRenderer && window.settingsRenderer.isSettingsOpen) {
+            window.settingsRenderer.hideSettings();
+        }
+        if (window.phrasebookRenderer && window.phrasebookRenderer.isPhrasebookOpen) {
+            window.phrasebookRenderer.hidePhrasebook();
+        }
+
+        this.elements.historyPanel.classList.add('visible');
+        this.elements.historyToggle.classList.add('active');
+        this.isHistoryOpen = true;
+
+        await this.loadFacets();
+        await this.search();
+        this.elements.search?.focus();
+    }
+
+    hideHistory() {
+        if (!this.isHistoryOpen) return;
+        this.elements.historyPanel.classList.remove('visible');
+        this.elements.historyToggle.classList.remove('active');
+        this.isHistoryOpen = false;
+    }
+
+    async loadFacets() {
+        try {
+            const facets = await window.electronAPI.getTranslationHistoryFacets();
+
+            this.fillSelect(this.elements.pair, 'Все языки', facets.languagePairs.map(pair => ({
+                value: `${pair.sourceLang}|${pair.targetLang}`,
+                label: this.formatPair(pair.sourceLang, pair.targetLang)
+            })));
+
+            this.fillSelect(this.elements.provider, 'Все провайдеры', facets.providers.map(provider => ({
+                value: provider,
+                label: provider
+            })));
+        } catch (error) {
+            console.error('Failed to load history filters:', error);
+        }
+    }
+
+    fillSelect(select, allLabel, options) {
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '';
+
+        [{ value: '', label: allLabel }, ...options].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        if (options.some(option => option.value === current)) {
+            select.value = current;
+        }
+    }
+
+    getFilters() {
+        const filters = {
+            query: this.elements.search?.value || '',
+            limit: HISTORY_PAGE_SIZE
+        };
+
+        const pair = this.elements.pair?.value;
+        if (pair) {
+            [filters.sourceLang, filters.targetLang] = pair.split('|');
+        }
+
+        if (this.elements.provider?.value) {
+            filters.provider = this.elements.provider.value;
+        }
+
+        const period = this.elements.period?.value;
+        if (period === 'today') {
+            const startOfDay = new Date();
+            startOfDay.setHours(0, 0, 0, 0);
+            filters.from = startOfDay.getTime();
+        } else if (period === 'week') {
+            filters.from = Date.now() - 7 * DAY_MS;
+        } else if (period === 'month') {
+            filters.from = Date.now() - 30 * DAY_MS;
+        }
+
+        return filters;
+    }
+
+    async search(append = false) {
+        try {
+            const filters = this.getFilters();
+            filters.offset = append ? this.items.length : 0;
+
+            const { items, total } = await window.electronAPI.searchTranslationHistory(filters);
+
+            this.items = append ? this.items.concat(items) : items;
+            this.total = total;
+            this.renderList();
+        } catch (error) {
+            console.error('History search failed:', error);
+        }
+    }
+
+    renderList() {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'Ничего не найдено';
+            list.appendChild(empty);
+        }
+
+        this.items.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+
+        if (this.items.length < this.total) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'setting-button history-more';
+            more.textContent = 'Показать еще';
+            more.addEventListener('click', () => this.search(true));
+            list.appendChild(more);
+        }
+
+        if (this.elements.count) {
+            this.elements.count.textContent = `Найдено: ${this.total}`;
+        }
+    }
+
+    createEntryElement(entry) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.title = 'Вернуть в переводчик';
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+            this.formatPair(entry.sourceLang, entry.targetLang),
+            entry.provider,
+            this.formatDate(entry.timestamp)
+        ].filter(Boolean).join(' · ');
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'history-remove';
+        remove.title = 'Удалить из истории';
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await window.electronAPI.deleteTranslationHistoryEntry(entry.id);
+            this.items = this.items.filter(existing => existing.id !== entry.id);
+            this.total = Math.max(0, this.total - 1);
+            this.renderList();
+        });
+        meta.appendChild(remove);
+
+        const text = document.createElement('div');
+        text.className = 'history-text';
+        text.textContent = entry.text;
+
+        const result = document.createElement('div');
+        result.className = 'history-result';
+        result.textContent = entry.result;
+
+        item.appendChild(meta);
+        item.appendChild(text);
+        item.appendChild(result);
+
+        item.addEventListener('click', () => {
+            if (window.translatorRenderer) {
+                window.translatorRenderer.restoreTranslation(entry);
+            }
+            this.hideHistory();
+        });
+
+        return item;
+    }
+
+    async clearHistory() {
+        if (!confirm('Удалить всю историю переводов?')) return;
+
+        try {
+            await window.electronAPI.clearTranslationHistory();
+            await this.loadFacets();
+            await this.search();
+        } catch (error) {
+            console.error('Failed to clear history:', error);
+        }
+    }
+
+    formatPair(sourceLang, targetLang) {
+        return `${(sourceLang || '?').toUpperCase()} → ${(targetLang || '?').toUpperCase()}`;
+    }
+
+    formatDate(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp).toLocaleString(navigator.language, {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+const historyRenderer = new HistoryRenderer();
+window.historyRenderer = historyRenderer;
+document.addEventListener('DOMContentLoaded', () => {
+    historyRenderer.initialize().catch(console.error);
+});
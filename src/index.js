@@ -5,18 +5,70 @@ const Logger = require('./utils/Logger');
 const logger = new Logger('Main');
 let appManager = null;
 
+// Незавершенные переводы по окнам: новый запрос отменяет предыдущий
+const activeTranslations = new Map();
+
+function cancelActiveTranslation(senderId) {
+  const active = activeTranslations.get(senderId);
+  if (active) {
+    active.controller.abort();
+    activeTranslations.delete(senderId);
+  }
+}
+
 // Регистрация IPC обработчиков
-ipcMain.handle('api-translate', async (event, { text, from, to }) => {
+ipcMain.handle('api-translate', async (event, { text, from, to, requestId = null, explicitTarget = false, live = false }) => {
   if (appManager && appManager.translationManager) {
+    const senderId = event.sender.id;
+    cancelActiveTranslation(senderId);
+
+    const controller = new AbortController();
+    activeTranslations.set(senderId, { requestId, controller });
+
     try {
-      const result = await appManager.translationManager.translate(text, from, to);
-      return result;
+      const result = await appManager.translationManager.translate(text, from, to, {
+        explicitTarget,
+        live,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (!event.sender.isDestroyed() && !controller.signal.aborted) {
+            event.sender.send('translation-progress', { ...progress, requestId });
+          }
+        },
+        onRetry: ({ attempt, attempts, delay, error }) => {
+          if (!event.sender.isDestroyed() && !controller.signal.aborted) {
+            event.sender.send('translation-retry', { attempt, attempts, delay, message: error.message, requestId });
+          }
+        }
+      });
+      return { ...result, requestId };
     } catch (error) {
       logger.error('Translation failed:', error);
-      return { error: error.message };
+      return { error: error.message, requestId };
+    } finally {
+      if (activeTranslations.has(senderId) && activeTranslations.get(senderId).controller === controller) {
+        activeTranslations.delete(senderId);
+      }
     }
   }
-  return { error: 'Translation service not available' };
+  return { error: 'Translation service not available', requestId };
+});
+
+ipcMain.handle('cancel-translation', async (event) => {
+  cancelActiveTranslation(event.sender.id);
+  return true;
+});
+
+ipcMain.handle('api-translate-all', async (event, { text, from, to }) => {
+  if (appManager && appManager.translationManager) {
+    try {
+      return await appManager.translationManager.translateWithAll(text, from, to);
+    } catch (error) {
+      logger.error('Comparison translation failed:', error);
+      return [];
+    }
+  }
+  return [];
 });
 
 // Настройки
@@ -43,6 +95,15 @@ ipcMain.handle('get-setting', async (event, path) => {
 
 ipcMain.handle('update-setting', async (event, { path, value }) => {
   if (appManager && appManager.settingsStore) {
+    // Недопустимое значение (например, сочетание клавиш с ошибкой) не сохраняется
+    if (appManager.settingsManager) {
+      const validation = appManager.settingsManager.validateSetting(path, value);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+      value = validation.value;
+    }
+
     const success = await appManager.settingsStore.set(path, value, false);
 
     // Отправляем события изменения темы и цвета
@@ -74,6 +135,22 @@ ipcMain.handle('update-setting', async (event, { path, value }) => {
   return false;
 });
 
+ipcMain.handle('validate-hotkey', async (event, { accelerator, id }) => {
+  if (appManager && appManager.settingsManager) {
+    return appManager.settingsManager.validateHotkey(accelerator, id);
+  }
+  return { valid: false, error: 'Settings service not available' };
+});
+
+// Пока в настройках записывают сочетание, глобальные горячие клавиши не срабатывают
+ipcMain.handle('set-hotkeys-paused', async (event, paused) => {
+  if (appManager && appManager.hotkeyManager) {
+    appManager.hotkeyManager.setPaused(paused);
+    return true;
+  }
+  return false;
+});
+
 ipcMain.handle('reset-settings', async () => {
   if (appManager && appManager.settingsStore) {
     return await appManager.settingsStore.reset();
@@ -108,6 +185,27 @@ ipcMain.handle('get-translation-history', async () => {
   return [];
 });
 
+ipcMain.handle('search-translation-history', async (event, filters) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.searchHistory(filters);
+  }
+  return { items: [], total: 0 };
+});
+
+ipcMain.handle('get-translation-history-facets', async () => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.getHistoryFacets();
+  }
+  return { languagePairs: [], providers: [] };
+});
+
+ipcMain.handle('delete-translation-history-entry', async (event, id) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.removeHistoryEntry(id);
+  }
+  return false;
+});
+
 ipcMain.handle('clear-translation-history', async () => {
   if (appManager && appManager.settingsManager) {
     return await appManager.settingsManager.clearTranslationHistory();
@@ -115,6 +213,140 @@ ipcMain.handle('clear-translation-history', async () => {
   return false;
 });
 
+// Разговорник
+ipcMain.handle('get-phrasebook', async (event, filters) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.getPhrasebook(filters);
+  }
+  return { items: [], tags: [] };
+});
+
+ipcMain.handle('add-phrasebook-entry', async (event, entry) => {
+  if (appManager && appManager.translationManager) {
+    try {
+      return appManager.translationManager.addToPhrasebook(entry);
+    } catch (error) {
+      logger.error('Failed to add phrasebook entry:', error);
+      return null;
+    }
+  }
+  return null;
+});
+
+ipcMain.handle('update-phrasebook-entry', async (event, { id, changes }) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.updatePhrasebookEntry(id, changes);
+  }
+  return null;
+});
+
+ipcMain.handle('delete-phrasebook-entry', async (event, id) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.removePhrasebookEntry(id);
+  }
+  return false;
+});
+
+ipcMain.handle('find-phrasebook-entry', async (event, { text, from, to }) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.findPhrasebookEntry(text, from, to);
+  }
+  return null;
+});
+
+ipcMain.handle('export-phrasebook', async (event, format) => {
+  if (appManager && appManager.exportService) {
+    return await appManager.exportService.exportPhrasebook(format);
+  }
+  return { success: false, error: 'Export service not available' };
+});
+
+ipcMain.handle('export-history', async (event, options) => {
+  if (appManager && appManager.exportService) {
+    return await appManager.exportService.exportHistory(options || {});
+  }
+  return { success: false, error: 'Export service not available' };
+});
+
+ipcMain.handle('clear-translation-cache', async () => {
+  if (appManager && appManager.settingsManager) {
+    return await appManager.settingsManager.clearTranslationCache();
+  }
+  return false;
+});
+
+ipcMain.handle('import-translation-memory', async () => {
+  if (appManager && appManager.importService) {
+    return await appManager.importService.importTranslationMemory();
+  }
+  return { success: false, error: 'Import service not available' };
+});
+
+ipcMain.handle('clear-translation-memory', async () => {
+  if (appManager && appManager.settingsManager) {
+    return await appManager.settingsManager.clearTranslationMemory();
+  }
+  return false;
+});
+
+// Глоссарий
+ipcMain.handle('get-glossary', async (event, filters) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.getGlossary(filters || {});
+  }
+  return { items: [], total: 0 };
+});
+
+ipcMain.handle('add-glossary-term', async (event, term) => {
+  if (appManager && appManager.translationManager) {
+    try {
+      return { success: true, entry: appManager.translationManager.addGlossaryTerm(term) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Translation service not available' };
+});
+
+ipcMain.handle('update-glossary-term', async (event, { id, changes }) => {
+  if (appManager && appManager.translationManager) {
+    try {
+      return { success: true, entry: appManager.translationManager.updateGlossaryTerm(id, changes) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Translation service not available' };
+});
+
+ipcMain.handle('delete-glossary-term', async (event, id) => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.removeGlossaryTerm(id);
+  }
+  return false;
+});
+
+ipcMain.handle('import-glossary', async () => {
+  if (appManager && appManager.importService) {
+    return await appManager.importService.importGlossary();
+  }
+  return { success: false, error: 'Import service not available' };
+});
+
+ipcMain.handle('clear-glossary', async () => {
+  if (appManager && appManager.settingsManager) {
+    return await appManager.settingsManager.clearGlossary();
+  }
+  return false;
+});
+
+ipcMain.handle('get-provider-plugins', async () => {
+  if (appManager && appManager.translationManager) {
+    return appManager.translationManager.getProviderPluginsStatus();
+  }
+  return { loaded: [], errors: [] };
+});
+
 ipcMain.handle('get-current-provider-info', async () => {
   if (appManager && appManager.translationManager) {
     return appManager.translationManager.getCurrentProviderInfo();
@@ -0,0 +1,323 @@
+// File: src/phrasebook/PhrasebookRenderer.js
+/**
+ * Панель разговорника: избранные переводы с тегами и заметками
+ * Запись раскрывается для редактирования; «Вставить» возвращает ее в переводчик.
+ */
+class PhrasebookRenderer {
+    constructor() {
+        this.elements = {};
+        this.isInitialized = false;
+        this.isPhrasebookOpen = false;
+        this.searchTimer = null;
+        this.items = [];
+        this.expandedId = null;
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+        try {
+            await this.waitForElectronAPI();
+            this.cacheElements();
+            this.setupEventListeners();
+            this.isInitialized = true;
+
+            console.log('Phrasebook renderer initialized');
+        } catch (error) {
+            console.error('Failed to initialize phrasebook renderer:', error);
+            throw error;
+        }
+    }
+
+    async waitForElectronAPI() {
+        return new Promise((resolve) => {
+            const checkAPI = () => {
+                if (window.electronAPI) {
+                    resolve();
+                } else {
+                    setTimeout(checkAPI, 100);
+                }
+            };
+            checkAPI();
+        });
+    }
+
+    cacheElements() {
+        this.elements = {
+            phrasebookPanel: document.getElementById('phrasebookPanel'),
+            phrasebookToggle: document.getElementById('phrasebookToggle'),
+            closePhrasebook: document.getElementById('closePhrasebook'),
+            search: document.getElementById('phrasebookSearch'),
+            tag: document.getElementById('phrasebookTag'),
+            list: document.getElementById('phrasebookList'),
+            count: document.getElementById('phrasebookCount'),
+            exportButtons: document.querySelectorAll('#phrasebookPanel [data-export]')
+        };
+    }
+
+    setupEventListeners() {
+        if (this.elements.phrasebookToggle) {
+            this.elements.phrasebookToggle.addEventListener('click', () => this.togglePhrasebook());
+        }
+
+        if (this.elements.closePhrasebook) {
+            this.elements.closePhrasebook.addEventListener('click', () => this.hidePhrasebook());
+        }
+
+        if (this.elements.search) {
+            this.elements.search.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.loadEntries(), 300);
+            });
+        }
+
+        if (this.elements.tag) {
+            this.elements.tag.addEventListener('change', () => this.loadEntries());
+        }
+
+        this.elements.exportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportPhrasebook(button.dataset.export));
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isPhrasebookOpen) {
+                this.hidePhrasebook();
+            }
+        });
+
+        window.electronAPI.onWindowHidden(() => this.hidePhrasebook());
+    }
+
+    togglePhrasebook() {
+        if (this.isPhrasebookOpen) {
+            this.hidePhrasebook();
+        } else {
+            this.showPhrasebook();
+        }
+    }
+
+    async showPhrasebook() {
+        if (this.isPhrasebookOpen) return;
+
+        if (window.settingsRenderer && window.settingsRenderer.isSettingsOpen) {
+            window.settingsRenderer.hideSettings();
+        }
+        if (window.historyRenderer && window.historyRenderer.isHistoryOpen) {
+            window.historyRenderer.hideHistory();
+        }
+
+        this.elements.phrasebookPanel.classList.add('visible');
+        this.elements.phrasebookToggle.classList.add('active');
+        this.isPhrasebookOpen = true;
+
+        await this.loadEntries();
+        this.elements.search?.focus();
+    }
+
+    hidePhrasebook() {
+        if (!this.isPhrasebookOpen) return;
+        this.elements.phrasebookPanel.classList.remove('visible');
+        this.elements.phrasebookToggle.classList.remove('active');
+        this.isPhrasebookOpen = false;
+        this.expandedId = null;
+    }
+
+    async loadEntries() {
+        try {
+            const { items, tags } = await window.electronAPI.getPhrasebook({
+                query: this.elements.search?.value || '',
+                tag: this.elements.tag?.value || ''
+            });
+
+            this.items = items;
+            this.fillTags(tags);
+            this.renderList();
+        } catch (error) {
+            console.error('Failed to load phrasebook:', error);
+        }
+    }
+
+    fillTags(tags) {
+        const select = this.elements.tag;
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '';
+
+        ['', ...tags].forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = tag ? `#${tag}` : 'Все теги';
+            select.appendChild(option);
+        });
+
+        if (tags.includes(current)) {
+            select.value = current;
+        }
+    }
+
+    renderList() {
+        const list = this.elements.list;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = 'Отмечайте переводы звездочкой, чтобы они появились здесь';
+            list.appendChild(empty);
+        }
+
+        this.items.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+
+        if (this.elements.count) {
+            this.elements.count.textContent = `Фраз: ${this.items.length}`;
+        }
+    }
+
+    createEntryElement(entry) {
+        const item = document.createElement('div');
+        item.className = 'history-item phrasebook-item';
+        item.classList.toggle('expanded', entry.id === this.expandedId);
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = `${(entry.sourceLang || '?').toUpperCase()} → ${(entry.targetLang || '?').toUpperCase()}`;
+
+        entry.tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'phrasebook-tag';
+            chip.textContent = `#${tag}`;
+            meta.appendChild(chip);
+        });
+
+        const text = document.createElement('div');
+        text.className = 'history-text';
+        text.textContent = entry.text;
+
+        const result = document.createElement('div');
+        result.className = 'history-result';
+        result.textContent = entry.result;
+
+        item.appendChild(meta);
+        item.appendChild(text);
+        item.appendChild(result);
+
+        if (entry.note) {
+            const note = document.createElement('div');
+            note.className = 'phrasebook-note';
+            note.textContent = entry.note;
+            item.appendChild(note);
+        }
+
+        if (entry.id === this.expandedId) {
+            item.appendChild(this.createEditor(entry));
+        }
+
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.phrasebook-editor')) return;
+            this.expandedId = this.expandedId === entry.id ? null : entry.id;
+            this.renderList();
+        });
+
+        return item;
+    }
+
+    createEditor(entry) {
+        const editor = document.createElement('div');
+        editor.className = 'phrasebook-editor';
+
+        const resultInput = this.createField(editor, 'Перевод', 'textarea', entry.result);
+        const tagsInput = this.createField(editor, 'Теги (через запятую)', 'input', entry.tags.join(', '));
+        const noteInput = this.createField(editor, 'Заметка', 'textarea', entry.note);
+
+        const actions = document.createElement('div');
+        actions.className = 'compare-actions';
+
+        actions.appendChild(this.createAction('fas fa-check', 'Сохранить', async () => {
+            await window.electronAPI.updatePhrasebookEntry(entry.id, {
+                result: resultInput.value,
+                tags: tagsInput.value,
+                note: noteInput.value
+            });
+            this.expandedId = null;
+            await this.loadEntries();
+        }));
+
+        actions.appendChild(this.createAction('fas fa-arrow-left', 'Вставить', () => {
+            if (window.translatorRenderer) {
+                window.translatorRenderer.restoreTranslation(entry);
+            }
+            this.hidePhrasebook();
+        }));
+
+        actions.appendChild(this.createAction('far fa-copy', 'Копировать', async (button) => {
+            try {
+                await navigator.clipboard.writeText(entry.result);
+                button.textContent = 'Скопировано!';
+            } catch (error) {
+                console.error('Failed to copy text:', error);
+            }
+        }));
+
+        actions.appendChild(this.createAction('fas fa-trash', 'Удалить', async () => {
+            await window.electronAPI.deletePhrasebookEntry(entry.id);
+            this.expandedId = null;
+            await this.loadEntries();
+            if (window.translatorRenderer) {
+                window.translatorRenderer.updateStarState();
+            }
+        }));
+
+        editor.appendChild(actions);
+        return editor;
+    }
+
+    createField(container, labelText, tagName, value) {
+        const label = document.createElement('label');
+        label.className = 'phrasebook-field';
+        label.textContent = labelText;
+
+        const input = document.createElement(tagName);
+        input.className = 'setting-input';
+        input.value = value || '';
+        if (tagName === 'textarea') {
+            input.rows = 2;
+        }
+
+        label.appendChild(input);
+        container.appendChild(label);
+        return input;
+    }
+
+    createAction(iconClass, text, handler) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'compare-action';
+        button.innerHTML = `<i class="${iconClass}"></i> ${text}`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handler(button);
+        });
+        return button;
+    }
+
+    async exportPhrasebook(format) {
+        try {
+            const result = await window.electronAPI.exportPhrasebook(format);
+            if (result.success && this.elements.count) {
+                this.elements.count.textContent = `Сохранено: ${result.filePath}`;
+            } else if (result.error) {
+                console.error('Phrasebook export failed:', result.error);
+            }
+        } catch (error) {
+            console.error('Phrasebook export failed:', error);
+        }
+    }
+}
+
+const phrasebookRenderer = new PhrasebookRenderer();
+window.phrasebookRenderer = phrasebookRenderer;
+document.addEventListener('DOMContentLoaded', () => {
+    phrasebookRenderer.initialize().catch(console.error);
+});
@@ -4,15 +4,22 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Основные функции
   onTranslateText: (callback) => {
-    ipcRenderer.on('translate-text', (event, text) => callback(text));
+    ipcRenderer.on('translate-text', (event, text, options) => callback(text, options || {}));
   },
   onFocusInput: (callback) => {
     ipcRenderer.on('focus-input', callback);
   },
 
   // Перевод
-  translateAPI: (text, from, to) => {
-    return ipcRenderer.invoke('api-translate', { text, from, to });
+  // requestId возвращается в ответе и в событиях прогресса; новый запрос отменяет предыдущий
+  // explicitTarget: язык перевода задан явно, пара по определенному языку не переворачивается
+  // live: перевод при наборе, в историю попадает только последний из серии
+  translateAPI: (text, from, to, requestId, { explicitTarget = false, live = false } = {}) => {
+    return ipcRenderer.invoke('api-translate', { text, from, to, requestId, explicitTarget, live });
+  },
+  cancelTranslation: () => ipcRenderer.invoke('cancel-translation'),
+  translateAllAPI: (text, from, to) => {
+    return ipcRenderer.invoke('api-translate-all', { text, from, to });
   },
 
   // Управление окном
@@ -33,6 +40,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onWindowShown: (callback) => {
     ipcRenderer.on('window-shown', callback);
   },
+  onTranslationProgress: (callback) => {
+    ipcRenderer.on('translation-progress', (event, progress) => callback(progress));
+  },
+  onTranslationRetry: (callback) => {
+    ipcRenderer.on('translation-retry', (event, retry) => callback(retry));
+  },
 
   // Пин
   onPinStateChanged: (callback) => {
@@ -53,6 +66,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getAllSettings: () => ipcRenderer.invoke('get-all-settings'),
   getSetting: (path) => ipcRenderer.invoke('get-setting', path),
   updateSetting: (path, value) => ipcRenderer.invoke('update-setting', { path, value }),
+  validateHotkey: (accelerator, id) => ipcRenderer.invoke('validate-hotkey', { accelerator, id }),
+  setHotkeysPaused: (paused) => ipcRenderer.invoke('set-hotkeys-paused', paused),
   resetSettings: () => ipcRenderer.invoke('reset-settings'),
   testProviderConnection: (provider, apiKey, config) =>
       ipcRenderer.invoke('test-provider-connection', { provider, apiKey, config }),
@@ -62,10 +77,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // История
   getTranslationHistory: () => ipcRenderer.invoke('get-translation-history'),
+  searchTranslationHistory: (filters) => ipcRenderer.invoke('search-translation-history', filters),
+  getTranslationHistoryFacets: () => ipcRenderer.invoke('get-translation-history-facets'),
+  deleteTranslationHistoryEntry: (id) => ipcRenderer.invoke('delete-translation-history-entry', id),
   clearTranslationHistory: () => ipcRenderer.invoke('clear-translation-history'),
+  clearTranslationCache: () => ipcRenderer.invoke('clear-translation-cache'),
+  importTranslationMemory: () => ipcRenderer.invoke('import-translation-memory'),
+  clearTranslationMemory: () => ipcRenderer.invoke('clear-translation-memory'),
+  getGlossary: (filters) => ipcRenderer.invoke('get-glossary', filters),
+  addGlossaryTerm: (term) => ipcRenderer.invoke('add-glossary-term', term),
+  updateGlossaryTerm: (id, changes) => ipcRenderer.invoke('update-glossary-term', { id, changes }),
+  deleteGlossaryTerm: (id) => ipcRenderer.invoke('delete-glossary-term', id),
+  importGlossary: () => ipcRenderer.invoke('import-glossary'),
+  clearGlossary: () => ipcRenderer.invoke('clear-glossary'),
+
+  // Разговорник
+  getPhrasebook: (filters) => ipcRenderer.invoke('get-phrasebook', filters),
+  addPhrasebookEntry: (entry) => ipcRenderer.invoke('add-phrasebook-entry', entry),
+  updatePhrasebookEntry: (id, changes) => ipcRenderer.invoke('update-phrasebook-entry', { id, changes }),
+  deletePhrasebookEntry: (id) => ipcRenderer.invoke('delete-phrasebook-entry', id),
+  findPhrasebookEntry: (text, from, to) => ipcRenderer.invoke('find-phrasebook-entry', { text, from, to }),
+  exportPhrasebook: (format) => ipcRenderer.invoke('export-phrasebook', format),
+  exportHistory: (options) => ipcRenderer.invoke('export-history', options),
 
   // Информация о провайдере
   getCurrentProviderInfo: () => ipcRenderer.invoke('get-current-provider-info'),
+  getProviderPlugins: () => ipcRenderer.invoke('get-provider-plugins'),
 
   // Тема (для обратной совместимости)
   onThemeChanged: (callback) => {
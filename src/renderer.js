@@ -1,16 +1,25 @@
 class TranslatorRenderer {
   constructor() {
     this.elements = {};
+    this.retryCountdownTimer = null;
     this.state = {
       isPinned: false,
       isTranslating: false,
+      // Номер последнего запроса перевода: ответы на более ранние игнорируются
+      translationRequestId: 0,
       isDragging: false,
       lastDragPos: { x: 0, y: 0 },
       currentTheme: 'light',
       themeColor: 'indigo',
       settingsOpen: false,
       currentProvider: 'mock',
-      supportedLanguages: []
+      supportedLanguages: [],
+      compareMode: false,
+      // Номер последнего запроса сравнения: результаты для измененного текста не показываются
+      compareRequestId: 0,
+      // Последний показанный перевод и его запись в разговорнике
+      lastTranslation: null,
+      starredEntryId: null
     };
 
     this.init();
@@ -113,6 +122,11 @@ class TranslatorRenderer {
       container: document.querySelector('.container'),
       copyBtn: document.getElementById('copyBtn'),
       replaceBtn: document.getElementById('replaceBtn'),
+      compareBtn: document.getElementById('compareBtn'),
+      starBtn: document.getElementById('starBtn'),
+      comparePanel: document.getElementById('comparePanel'),
+      memoryPanel: document.getElementById('memoryPanel'),
+      glossaryWarnings: document.getElementById('glossaryWarnings'),
       dragHandle: document.querySelector('.drag-handle')
     };
   }
@@ -127,6 +141,7 @@ class TranslatorRenderer {
 
           this.state.currentTheme = settings.customization?.theme || 'light';
           this.state.themeColor = settings.customization?.themeColor || 'indigo';
+          this.state.currentProvider = settings.provider?.name || 'mock';
         }
       }
     } catch (error) {
@@ -146,8 +161,8 @@ class TranslatorRenderer {
   setupElectronIPC() {
     if (!window.electronAPI) return;
 
-    window.electronAPI.onTranslateText(async (text) => {
-      await this.handleIncomingText(text);
+    window.electronAPI.onTranslateText(async (text, options) => {
+      await this.handleIncomingText(text, options);
     });
 
     window.electronAPI.onFocusInput(() => {
@@ -182,6 +197,18 @@ class TranslatorRenderer {
       this.updatePinState(isPinned);
     });
 
+    window.electronAPI.onTranslationProgress(({ completed, total, requestId }) => {
+      if (requestId === this.state.translationRequestId && this.state.isTranslating && this.elements.translated) {
+        this.elements.translated.value = `Перевод... ${completed}/${total}`;
+      }
+    });
+
+    window.electronAPI.onTranslationRetry(({ attempt, attempts, delay, message, requestId }) => {
+      if (requestId === this.state.translationRequestId && this.state.isTranslating && this.elements.translated) {
+        this.elements.translated.value = `${message}. Повтор ${attempt}/${attempts} через ${Math.ceil(delay / 1000)} с...`;
+      }
+    });
+
     window.electronAPI.onThemeChanged((theme) => {
       this.applyTheme(theme);
       this.state.currentTheme = theme;
@@ -252,15 +279,26 @@ class TranslatorRenderer {
     }
   }
 
-  async handleIncomingText(text) {
+  /**
+   * @param {string} text
+   * @param {Object} options
+   * @param {string} [options.targetLang] - Язык из горячей клавиши, заменяет выбранный в списке
+   */
+  async handleIncomingText(text, { targetLang } = {}) {
     if (!text || !text.trim()) {
       this.focusOriginalTextarea(true);
       return;
     }
 
+    const targetOption = targetLang && Array.from(this.elements.targetLang.options).find(option => option.value === targetLang);
+    if (targetOption) {
+      this.elements.targetLang.value = targetLang;
+    }
+
     this.elements.original.value = text.trim();
     this.focusOriginalTextarea(false);
-    await this.translateText(false);
+    // Язык горячей клавиши не должен смениться на противоположный по определенному языку текста
+    await this.translateText(false, { explicitTarget: Boolean(targetOption) });
   }
 
   focusOriginalTextarea(selectAll = false) {
@@ -293,7 +331,7 @@ class TranslatorRenderer {
       if (this.shouldUseLiveTranslation()) {
         debounceTimer = setTimeout(() => {
           if (this.elements.original.value.trim()) {
-            this.translateText(false);
+            this.translateText(false, { live: true });
           }
         }, 500);
       }
@@ -301,7 +339,8 @@ class TranslatorRenderer {
   }
 
   shouldUseLiveTranslation() {
-    return true;
+    // В режиме сравнения каждый запрос уходит всем провайдерам — только по кнопке
+    return !this.state.compareMode;
   }
 
   setupButtonEvents() {
@@ -317,6 +356,14 @@ class TranslatorRenderer {
       this.elements.swapBtn.addEventListener('click', () => this.swapLanguages());
     }
 
+    if (this.elements.compareBtn) {
+      this.elements.compareBtn.addEventListener('click', () => this.toggleCompareMode());
+    }
+
+    if (this.elements.starBtn) {
+      this.elements.starBtn.addEventListener('click', () => this.toggleStar());
+    }
+
     if (this.elements.pinToggle) {
       this.elements.pinToggle.addEventListener('click', () => this.togglePin());
     }
@@ -425,11 +472,23 @@ class TranslatorRenderer {
     textAreas.classList.toggle('vertical-layout', !isHorizontal);
   }
 
-  async translateText(isManualSelect = false) {
-    if (this.state.isTranslating) return;
+  async translateText(isManualSelect = false, { explicitTarget = false, live = false } = {}) {
+    if (this.state.compareMode) {
+      await this.compareTranslations(isManualSelect);
+      return;
+    }
+
+    // Новый запрос заменяет незавершенный: основной процесс отменит предыдущий
+    const requestId = ++this.state.translationRequestId;
+    const isLatest = () => requestId === this.state.translationRequestId;
+    this.stopRetryCountdown();
 
     const text = this.elements.original.value.trim();
     if (!text) {
+      if (this.state.isTranslating && window.electronAPI) {
+        window.electronAPI.cancelTranslation();
+        this.state.isTranslating = false;
+      }
       if (this.elements.translated) {
         this.elements.translated.value = 'Введите текст для перевода';
       }
@@ -440,6 +499,8 @@ class TranslatorRenderer {
     const to = this.elements.targetLang.value;
 
     this.state.isTranslating = true;
+    this.renderMemoryMatches([]);
+    this.renderGlossaryViolations([]);
 
     if (this.elements.translated) {
       this.elements.translated.value = 'Перевод...';
@@ -450,7 +511,16 @@ class TranslatorRenderer {
         throw new Error('Electron API not available');
       }
 
-      const result = await window.electronAPI.translateAPI(text, from, to);
+      const result = await window.electronAPI.translateAPI(text, from, to, requestId, { explicitTarget, live });
+
+      if (!isLatest() || result.cancelled) {
+        return;
+      }
+
+      if (result.retryAt) {
+        this.startRetryCountdown(result, isManualSelect, { explicitTarget, live });
+        return;
+      }
 
       if (result.error) {
         throw new Error(result.error);
@@ -467,19 +537,395 @@ class TranslatorRenderer {
         }
 
         if (result.provider && result.provider !== 'mock') {
-          this.showToast(this.elements.translated, `Переведено с помощью ${result.provider}`, 3000);
+          this.showToast(this.elements.translated, this.getProviderToastMessage(result), 3000);
         }
       }
+
+      this.renderMemoryMatches(result.memoryMatches);
+      this.renderGlossaryViolations(result.glossaryViolations);
+
+      this.setLastTranslation({
+        text,
+        result: result.translatedText,
+        sourceLang: result.sourceLang || from,
+        targetLang: result.targetLang || to,
+        provider: result.provider
+      });
     } catch (error) {
+      if (!isLatest()) return;
+
       console.error('Translation error:', error);
       if (this.elements.translated) {
         this.elements.translated.value = `Ошибка: ${error.message}`;
       }
     } finally {
-      this.state.isTranslating = false;
+      if (isLatest()) {
+        this.state.isTranslating = false;
+      }
     }
   }
 
+  /**
+   * Обратный отсчет, пока провайдер отключен после серии сбоев; по его окончании перевод повторяется
+   */
+  startRetryCountdown({ error, retryAt }, isManualSelect, options = {}) {
+    const update = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      if (seconds <= 0) {
+        this.stopRetryCountdown();
+        this.translateText(isManualSelect, options);
+        return;
+      }
+
+      if (this.elements.translated) {
+        this.elements.translated.value = `${error}. Повтор через ${seconds} с`;
+      }
+    };
+
+    this.retryCountdownTimer = setInterval(update, 1000);
+    update();
+  }
+
+  stopRetryCountdown() {
+    if (this.retryCountdownTimer) {
+      clearInterval(this.retryCountdownTimer);
+      this.retryCountdownTimer = null;
+    }
+  }
+
+  /**
+   * Возвращает запись истории в поля перевода
+   */
+  restoreTranslation(entry) {
+    this.elements.original.value = entry.text || '';
+    this.elements.translated.value = entry.result || '';
+    this.renderMemoryMatches([]);
+    this.renderGlossaryViolations([]);
+
+    if (entry.sourceLang && this.elements.sourceLang.querySelector(`option[value="${entry.sourceLang}"]`)) {
+      this.elements.sourceLang.value = entry.sourceLang;
+    }
+    if (entry.targetLang && this.elements.targetLang.querySelector(`option[value="${entry.targetLang}"]`)) {
+      this.elements.targetLang.value = entry.targetLang;
+    }
+
+    this.setLastTranslation({
+      text: entry.text,
+      result: entry.result,
+      sourceLang: entry.sourceLang,
+      targetLang: entry.targetLang,
+      provider: entry.provider
+    });
+
+    this.elements.original.focus();
+  }
+
+  setLastTranslation(translation) {
+    this.state.lastTranslation = translation;
+    this.updateStarState();
+  }
+
+  async updateStarState() {
+    const translation = this.state.lastTranslation;
+    let entry = null;
+
+    if (translation && window.electronAPI) {
+      try {
+        entry = await window.electronAPI.findPhrasebookEntry(translation.text, translation.sourceLang, translation.targetLang);
+      } catch (error) {
+        console.warn('Could not check phrasebook:', error);
+      }
+    }
+
+    this.state.starredEntryId = entry && entry.result === translation.result ? entry.id : null;
+    this.renderStarButton();
+  }
+
+  renderStarButton() {
+    const button = this.elements.starBtn;
+    if (!button) return;
+
+    const isStarred = Boolean(this.state.starredEntryId);
+    button.classList.toggle('active', isStarred);
+    button.title = isStarred ? 'Убрать из разговорника' : 'Добавить в разговорник';
+
+    const icon = button.querySelector('i');
+    if (icon) {
+      icon.className = isStarred ? 'fas fa-star' : 'far fa-star';
+    }
+  }
+
+  async toggleStar() {
+    const translation = this.state.lastTranslation;
+
+    // Текст могли изменить после перевода — сохраняем только то, что действительно переведено
+    if (!translation || !translation.result || translation.text !== this.elements.original.value.trim()) {
+      this.showToast(this.elements.starBtn, 'Сначала переведите текст');
+      return;
+    }
+
+    try {
+      if (this.state.starredEntryId) {
+        await window.electronAPI.deletePhrasebookEntry(this.state.starredEntryId);
+        this.state.starredEntryId = null;
+        this.showToast(this.elements.starBtn, 'Удалено из разговорника');
+      } else {
+        const entry = await window.electronAPI.addPhrasebookEntry(translation);
+        this.state.starredEntryId = entry ? entry.id : null;
+        this.showToast(this.elements.starBtn, entry ? 'Добавлено в разговорник' : 'Ошибка сохранения!');
+      }
+    } catch (error) {
+      console.error('Phrasebook error:', error);
+      this.showToast(this.elements.starBtn, 'Ошибка сохранения!');
+    }
+
+    this.renderStarButton();
+  }
+
+  getProviderToastMessage(result) {
+    if (result.fromMemory) {
+      return 'Перевод из памяти переводов';
+    }
+    if (result.fallbackFrom && result.fallbackFrom.length > 0) {
+      return `Переведено с помощью ${result.provider} (резерв: ${result.fallbackFrom.join(', ')} недоступен)`;
+    }
+    if (this.state.currentProvider === 'chain') {
+      return `Переведено с помощью ${result.provider} (цепочка)`;
+    }
+    return `Переведено с помощью ${result.provider}`;
+  }
+
+  toggleCompareMode() {
+    this.state.compareMode = !this.state.compareMode;
+    this.state.compareRequestId++;
+
+    this.elements.compareBtn?.classList.toggle('active', this.state.compareMode);
+    if (this.elements.comparePanel) {
+      this.elements.comparePanel.hidden = !this.state.compareMode;
+      this.elements.comparePanel.innerHTML = '';
+    }
+
+    if (this.state.compareMode && this.elements.original.value.trim()) {
+      this.compareTranslations(false);
+    }
+  }
+
+  async compareTranslations(isManualSelect = false) {
+    if (!this.elements.comparePanel) return;
+
+    // Новое сравнение заменяет незавершенное: ответы на старый текст отбрасываются
+    const requestId = ++this.state.compareRequestId;
+    const isLatest = () => requestId === this.state.compareRequestId;
+
+    const text = this.elements.original.value.trim();
+    if (!text || !window.electronAPI) {
+      this.elements.comparePanel.innerHTML = '';
+      return;
+    }
+
+    const from = isManualSelect ? this.elements.sourceLang.value : 'auto';
+    const to = this.elements.targetLang.value;
+
+    this.elements.comparePanel.innerHTML = '<div class="compare-status">Запрашиваем провайдеров...</div>';
+
+    try {
+      const results = await window.electronAPI.translateAllAPI(text, from, to);
+      if (!isLatest()) return;
+
+      this.renderComparison(results, { text, sourceLang: from });
+    } catch (error) {
+      if (!isLatest()) return;
+
+      console.error('Comparison error:', error);
+      this.elements.comparePanel.innerHTML = '';
+      const status = document.createElement('div');
+      status.className = 'compare-status';
+      status.textContent = `Ошибка: ${error.message}`;
+      this.elements.comparePanel.appendChild(status);
+    }
+  }
+
+  /**
+   * @param {Array} results - Ответы провайдеров
+   * @param {{text: string, sourceLang: string}} request - Сравниваемый текст и исходный язык запроса
+   */
+  renderComparison(results, request) {
+    const panel = this.elements.comparePanel;
+    panel.innerHTML = '';
+
+    if (!results || results.length === 0) {
+      panel.innerHTML = '<div class="compare-status">Нет настроенных провайдеров</div>';
+      return;
+    }
+
+    // Успешные — по скорости ответа, ошибки — в конце
+    const sorted = [...results].sort((a, b) => {
+      if (Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+      return a.latency - b.latency;
+    });
+
+    sorted.forEach(result => panel.appendChild(this.createComparisonCard(result, request)));
+  }
+
+  createComparisonCard(result, { text, sourceLang }) {
+    const card = document.createElement('div');
+    card.className = 'compare-card';
+    card.classList.toggle('has-error', Boolean(result.error));
+
+    const header = document.createElement('div');
+    header.className = 'compare-card-header';
+
+    const name = document.createElement('span');
+    name.className = 'compare-provider';
+    name.textContent = result.label || result.provider;
+
+    const latency = document.createElement('span');
+    latency.className = 'compare-latency';
+    latency.textContent = `${result.latency} мс`;
+
+    header.appendChild(name);
+    header.appendChild(latency);
+    card.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'compare-text';
+    body.textContent = result.error ? `Ошибка: ${result.error}` : result.translatedText;
+    card.appendChild(body);
+
+    if (result.glossaryViolations && result.glossaryViolations.length > 0) {
+      const warning = document.createElement('div');
+      warning.className = 'glossary-violation';
+      warning.textContent = `Нарушен глоссарий: ${result.glossaryViolations.map(v => v.source).join(', ')}`;
+      card.appendChild(warning);
+    }
+
+    if (!result.error) {
+      const actions = document.createElement('div');
+      actions.className = 'compare-actions';
+
+      const useBtn = document.createElement('button');
+      useBtn.type = 'button';
+      useBtn.className = 'compare-action';
+      useBtn.innerHTML = '<i class="fas fa-check"></i> Выбрать';
+      useBtn.addEventListener('click', () => {
+        this.elements.translated.value = result.translatedText;
+        this.elements.comparePanel.querySelectorAll('.compare-card').forEach(c => c.classList.remove('selected'));
+        card.classList.add('selected');
+
+        // Разговорник должен сохранить выбранный перевод, а не ответ основного провайдера
+        this.setLastTranslation({
+          text,
+          result: result.translatedText,
+          sourceLang: result.detectedLanguage || sourceLang,
+          targetLang: result.targetLang,
+          provider: result.provider
+        });
+      });
+
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'compare-action';
+      copyBtn.innerHTML = '<i class="far fa-copy"></i> Копировать';
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(result.translatedText);
+          this.showToast(copyBtn, 'Скопировано!');
+        } catch (error) {
+          console.error('Failed to copy text:', error);
+          this.showToast(copyBtn, 'Ошибка копирования!');
+        }
+      });
+
+      actions.appendChild(useBtn);
+      actions.appendChild(copyBtn);
+      card.appendChild(actions);
+    }
+
+    return card;
+  }
+
+  /**
+   * Термины глоссария, которые провайдер потерял при переводе
+   */
+  renderGlossaryViolations(violations) {
+    const container = this.elements.glossaryWarnings;
+    if (!container) return;
+
+    const hasViolations = Boolean(violations && violations.length > 0);
+    container.innerHTML = '';
+    container.hidden = !hasViolations;
+    this.elements.translated?.classList.toggle('has-violations', hasViolations);
+    if (!hasViolations) return;
+
+    violations.forEach(violation => {
+      const chip = document.createElement('span');
+      chip.className = 'glossary-violation';
+      chip.title = 'Термин глоссария не найден в переводе';
+      chip.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ';
+      chip.appendChild(document.createTextNode(`${violation.source} → ${violation.target}`));
+      container.appendChild(chip);
+    });
+  }
+
+  /**
+   * Похожие сегменты из памяти переводов рядом с машинным переводом
+   */
+  renderMemoryMatches(matches) {
+    const panel = this.elements.memoryPanel;
+    if (!panel) return;
+
+    panel.innerHTML = '';
+    panel.hidden = !matches || matches.length === 0;
+    if (panel.hidden) return;
+
+    matches.forEach(match => {
+      const card = document.createElement('div');
+      card.className = 'compare-card memory-card';
+
+      const header = document.createElement('div');
+      header.className = 'compare-card-header';
+
+      const title = document.createElement('span');
+      title.className = 'compare-provider';
+      title.textContent = 'Память переводов';
+
+      const similarity = document.createElement('span');
+      similarity.className = 'compare-latency';
+      similarity.textContent = `${Math.round(match.similarity * 100)}%`;
+
+      header.appendChild(title);
+      header.appendChild(similarity);
+
+      const source = document.createElement('div');
+      source.className = 'memory-source';
+      source.textContent = match.source;
+
+      const target = document.createElement('div');
+      target.className = 'compare-text';
+      target.textContent = match.target;
+
+      const actions = document.createElement('div');
+      actions.className = 'compare-actions';
+
+      const useBtn = document.createElement('button');
+      useBtn.type = 'button';
+      useBtn.className = 'compare-action';
+      useBtn.innerHTML = '<i class="fas fa-check"></i> Выбрать';
+      useBtn.addEventListener('click', () => {
+        this.elements.translated.value = match.target;
+        panel.querySelectorAll('.compare-card').forEach(c => c.classList.remove('selected'));
+        card.classList.add('selected');
+      });
+
+      actions.appendChild(useBtn);
+      card.appendChild(header);
+      card.appendChild(source);
+      card.appendChild(target);
+      card.appendChild(actions);
+      panel.appendChild(card);
+    });
+  }
+
   async copyTranslatedText() {
     if (!this.elements.translated) return;
 
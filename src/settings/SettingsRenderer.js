@@ -3,6 +3,10 @@
  * Профессиональный рендерер панели настроек
  * Минималистичный дизайн с работающей темой и зависимыми полями
  */
+const GLOSSARY_VISIBLE_TERMS = 200;
+// Повтор сочетания быстрее этого интервала записывается как двойное нажатие (как в HotkeyManager)
+const HOTKEY_DOUBLE_TAP_MS = 500;
+
 class SettingsRenderer {
     constructor() {
         this.elements = {};
@@ -11,6 +15,9 @@ class SettingsRenderer {
         this.isSettingsOpen = false;
         this.debounceTimers = new Map();
         this.currentValues = {};
+        this.structure = [];
+        // Уже показанные ошибки плагинов провайдеров
+        this.reportedPluginErrors = new Set();
     }
 
     async initialize() {
@@ -90,6 +97,7 @@ class SettingsRenderer {
             const structure = await window.electronAPI.getSettingsStructure();
             const currentSettings = await window.electronAPI.getAllSettings();
             this.currentValues = currentSettings;
+            this.structure = structure;
 
             this.renderSettings(structure);
             // После рендера обновляем видимость полей
@@ -268,8 +276,11 @@ class SettingsRenderer {
             toggle: () => this.createToggleControl(setting),
             select: () => this.createSelectControl(setting),
             text: () => this.createTextControl(setting),
+            number: () => this.createNumberControl(setting),
+            textarea: () => this.createTextareaControl(setting),
             color: () => this.createColorControl(setting),
             list: () => this.createListControl(setting),
+            glossary: () => this.createGlossaryControl(setting),
             button: () => this.createButtonControl(setting),
             apiKey: () => this.createApiKeyControl(setting)
         };
@@ -352,6 +363,52 @@ class SettingsRenderer {
         return container;
     }
 
+    createNumberControl(setting) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `setting-${setting.id}`;
+        input.dataset.setting = setting.id;
+        input.className = 'setting-input setting-number';
+        if (setting.min !== undefined) input.min = setting.min;
+        if (setting.max !== undefined) input.max = setting.max;
+        if (setting.step !== undefined) input.step = setting.step;
+
+        const currentValue = this.getSettingValue(setting.id);
+        input.value = currentValue ?? '';
+
+        input.addEventListener('input', (e) => {
+            this.debounce(`number-${setting.id}`, async () => {
+                const value = Number(e.target.value);
+                const outOfRange = (setting.min !== undefined && value < setting.min) ||
+                    (setting.max !== undefined && value > setting.max);
+                if (e.target.value === '' || Number.isNaN(value) || outOfRange) return;
+                await this.updateSetting(setting.id, value);
+            }, 500);
+        });
+        return input;
+    }
+
+    createTextareaControl(setting) {
+        const container = document.createElement('div');
+        container.className = 'textarea-container';
+
+        const textarea = document.createElement('textarea');
+        textarea.id = `setting-${setting.id}`;
+        textarea.dataset.setting = setting.id;
+        textarea.className = 'setting-input setting-textarea';
+        textarea.placeholder = setting.placeholder || '';
+        textarea.rows = setting.rows || 4;
+        textarea.value = this.getSettingValue(setting.id) || '';
+
+        textarea.addEventListener('input', (e) => {
+            this.debounce(`textarea-${setting.id}`, async () => {
+                await this.updateSetting(setting.id, e.target.value);
+            }, 500);
+        });
+        container.appendChild(textarea);
+        return container;
+    }
+
     createApiKeyControl(setting) {
         const container = document.createElement('div');
         container.className = 'api-key-container';
@@ -445,14 +502,18 @@ class SettingsRenderer {
             addButton.className = 'add-list-item';
             addButton.innerHTML = '<i class="fas fa-plus"></i> Добавить';
             addButton.addEventListener('click', () => {
-                this.addListItem(setting);
+                this.addListItem(setting, list);
             });
             container.appendChild(addButton);
         }
         return container;
     }
 
-    createListItem(setting, item, index) {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.draft] - Запись еще не сохранена (горячая клавиша без сочетания)
+     */
+    createListItem(setting, item, index, { draft = false } = {}) {
         const div = document.createElement('div');
         div.className = 'list-item';
         div.dataset.itemId = item.id || `item-${index}`;
@@ -461,23 +522,61 @@ class SettingsRenderer {
         nameInput.className = 'list-item-name';
         nameInput.value = item.name || '';
         nameInput.placeholder = 'Название действия';
-        const keyInput = document.createElement('input');
-        keyInput.type = 'text';
-        keyInput.className = 'list-item-key';
-        keyInput.value = item.key || '';
-        keyInput.placeholder = 'Сочетание клавиш';
         nameInput.addEventListener('input', (e) => {
+            // Черновик еще не в списке настроек: его поля сохраняются вместе с сочетанием
+            item.name = e.target.value;
             this.debounce(`list-name-${setting.id}-${index}`, async () => {
                 await this.updateListItem(setting.id, index, 'name', e.target.value);
             }, 300);
         });
-        keyInput.addEventListener('input', (e) => {
-            this.debounce(`list-key-${setting.id}-${index}`, async () => {
-                await this.updateListItem(setting.id, index, 'key', e.target.value);
-            }, 300);
-        });
+
+        let keyInput;
+        let hint = null;
+        if (setting.keyRecorder) {
+            hint = document.createElement('div');
+            hint.hidden = true;
+            keyInput = this.createHotkeyRecorder(setting, item, index, hint, { draft });
+            if (item.key) {
+                this.showHotkeyValidation(hint, item);
+            } else if (draft) {
+                this.showHotkeyHint(hint, ['Назначьте сочетание, чтобы сохранить действие'], 'warning');
+            }
+        } else {
+            keyInput = document.createElement('input');
+            keyInput.type = 'text';
+            keyInput.className = 'list-item-key';
+            keyInput.value = item.key || '';
+            keyInput.placeholder = 'Сочетание клавиш';
+            keyInput.addEventListener('input', (e) => {
+                this.debounce(`list-key-${setting.id}-${index}`, async () => {
+                    await this.updateListItem(setting.id, index, 'key', e.target.value);
+                }, 300);
+            });
+        }
         div.appendChild(nameInput);
         div.appendChild(keyInput);
+        if (setting.actions) {
+            const actionSelect = this.createListItemSelect('hotkey-action', setting.actions, item.action, async (value) => {
+                item.action = value;
+                await this.updateListItem(setting.id, index, 'action', value);
+            });
+            actionSelect.title = 'Действие';
+            div.appendChild(actionSelect);
+        }
+        if (setting.languages) {
+            const langSelect = this.createListItemSelect('hotkey-lang', setting.languages, (item.params && item.params.targetLang) || '', async (value) => {
+                const params = { ...(item.params || {}) };
+                if (value) {
+                    params.targetLang = value;
+                } else {
+                    delete params.targetLang;
+                }
+                item.params = params;
+                await this.updateListItem(setting.id, index, 'params', params);
+            });
+            langSelect.title = 'Язык перевода';
+            div.appendChild(langSelect);
+        }
         if (setting.canDelete) {
             const deleteBtn = document.createElement('button');
             deleteBtn.type = 'button';
@@ -485,10 +584,299 @@ class SettingsRenderer {
             deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
             deleteBtn.title = 'Удалить';
             deleteBtn.addEventListener('click', () => {
+                if (draft) {
+                    div.remove();
+                    return;
+                }
                 this.deleteListItem(setting.id, index);
             });
             div.appendChild(deleteBtn);
         }
+        if (hint) {
+            div.appendChild(hint);
+        }
+        return div;
+    }
+
+    createListItemSelect(className, options, value, onChange) {
+        const select = document.createElement('select');
+        select.className = `setting-select ${className}`;
+        options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option.value;
+            optionElement.textContent = option.label;
+            select.appendChild(optionElement);
+        });
+        select.value = value || '';
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    /**
+     * Запись сочетания нажатием клавиш
+     * Сочетание проверяется в основном процессе и сохраняется, только если оно допустимо;
+     * конфликты с другими действиями и системными сочетаниями показываются как предупреждения.
+     * Черновик (новая запись) добавляется в список вместе с первым допустимым сочетанием.
+     */
+    createHotkeyRecorder(setting, item, index, hint, { draft = false } = {}) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'list-item-key hotkey-recorder';
+        button.textContent = item.key || 'Не задано';
+        button.title = 'Нажмите и введите сочетание клавиш; Esc — отмена';
+
+        let recording = false;
+        let captured = null;
+        let commitTimer = null;
+
+        const stop = (label) => {
+            recording = false;
+            clearTimeout(commitTimer);
+            button.classList.remove('recording');
+            button.textContent = label || 'Не задано';
+            window.electronAPI.setHotkeysPaused(false);
+        };
+
+        const commit = async () => {
+            const { accelerator } = captured;
+            stop(accelerator);
+
+            const result = await window.electronAPI.validateHotkey(accelerator, item.id);
+            if (!result.valid) {
+                button.textContent = item.key || 'Не задано';
+                this.showHotkeyHint(hint, [`${accelerator}: ${result.error}`], 'error');
+                return;
+            }
+
+            button.textContent = result.accelerator;
+            if (draft) {
+                const currentValue = this.getSettingValue(setting.id) || [];
+                await this.updateSetting(setting.id, [...currentValue, { ...item, key: result.accelerator }]);
+                await this.loadSettings();
+                return;
+            }
+
+            await this.updateListItem(setting.id, index, 'key', result.accelerator);
+            this.showHotkeyHint(hint, result.conflicts, 'warning');
+        };
+
+        button.addEventListener('click', () => {
+            if (recording) return;
+
+            recording = true;
+            captured = null;
+            button.classList.add('recording');
+            button.textContent = 'Нажмите сочетание...';
+            window.electronAPI.setHotkeysPaused(true);
+        });
+
+        button.addEventListener('blur', () => {
+            if (!recording) return;
+            if (captured) {
+                commit();
+            } else {
+                stop(item.key);
+            }
+        });
+
+        button.addEventListener('keydown', (event) => {
+            if (!recording) return;
+
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.repeat) return;
+
+            const modifiers = [
+                event.ctrlKey && 'Ctrl',
+                event.altKey && 'Alt',
+                event.shiftKey && 'Shift',
+                event.metaKey && 'Meta'
+            ].filter(Boolean);
+
+            if (event.key === 'Escape' && modifiers.length === 0) {
+                stop(item.key);
+                return;
+            }
+
+            const key = SettingsRenderer.getHotkeyKeyName(event.code);
+            if (!key) {
+                button.textContent = [...modifiers, '...'].join('+');
+                return;
+            }
+
+            const combo = [...modifiers, key].join('+');
+            const now = Date.now();
+            const isDoubleTap = captured && captured.combo === combo && captured.taps === 1 &&
+                now - captured.time < HOTKEY_DOUBLE_TAP_MS;
+
+            captured = {
+                combo,
+                taps: isDoubleTap ? 2 : 1,
+                time: now,
+                accelerator: isDoubleTap ? `${combo}+${key}` : combo
+            };
+            button.textContent = captured.accelerator;
+
+            // Ждем возможного второго нажатия, затем сохраняем
+            clearTimeout(commitTimer);
+            commitTimer = setTimeout(commit, HOTKEY_DOUBLE_TAP_MS);
+        });
+
+        return button;
+    }
+
+    /**
+     * Имя клавиши по KeyboardEvent.code — не зависит от раскладки (KeyQ → Q и в русской раскладке)
+     * @returns {string|null} null для модификаторов
+     */
+    static getHotkeyKeyName(code) {
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        if (/^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(code)) return null;
+        return code;
+    }
+
+    async showHotkeyValidation(hint, item) {
+        const result = await window.electronAPI.validateHotkey(item.key, item.id);
+        if (result.valid) {
+            this.showHotkeyHint(hint, result.conflicts, 'warning');
+        } else {
+            this.showHotkeyHint(hint, [result.error], 'error');
+        }
+    }
+
+    showHotkeyHint(hint, messages = [], type) {
+        hint.className = `hotkey-hint ${type}`;
+        hint.textContent = messages.join('; ');
+        hint.hidden = messages.length === 0;
+    }
+
+    /**
+     * Редактор глоссария: термины хранятся отдельно от настроек и правятся через IPC
+     */
+    createGlossaryControl(setting) {
+        const container = document.createElement('div');
+        container.className = 'list-container glossary-editor';
+
+        const form = document.createElement('div');
+        form.className = 'list-item glossary-form';
+
+        const sourceLang = this.createGlossaryInput('glossary-lang', 'Откуда', setting.defaultSourceLang);
+        const targetLang = this.createGlossaryInput('glossary-lang', 'Куда', setting.defaultTargetLang);
+        const source = this.createGlossaryInput('list-item-name', 'Термин');
+        const target = this.createGlossaryInput('list-item-key', 'Перевод');
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'add-list-item';
+        addButton.innerHTML = '<i class="fas fa-plus"></i>';
+        addButton.title = 'Добавить термин';
+        addButton.addEventListener('click', async () => {
+            const result = await window.electronAPI.addGlossaryTerm({
+                sourceLang: sourceLang.value,
+                targetLang: targetLang.value,
+                source: source.value,
+                target: target.value
+            });
+
+            if (!result.success) {
+                this.showNotification(result.error, 'error');
+                return;
+            }
+
+            source.value = '';
+            target.value = '';
+            source.focus();
+            await this.loadGlossaryTerms(container);
+        });
+
+        [sourceLang, targetLang, source, target, addButton].forEach(element => form.appendChild(element));
+
+        const search = this.createGlossaryInput('setting-input glossary-search', 'Поиск по глоссарию');
+        search.addEventListener('input', () => {
+            this.debounce('glossary-search', () => this.loadGlossaryTerms(container), 300);
+        });
+
+        const list = document.createElement('div');
+        list.className = 'settings-list-items glossary-terms';
+
+        const count = document.createElement('div');
+        count.className = 'setting-description glossary-count';
+
+        container.appendChild(form);
+        container.appendChild(search);
+        container.appendChild(list);
+        container.appendChild(count);
+
+        this.loadGlossaryTerms(container);
+        return container;
+    }
+
+    createGlossaryInput(className, placeholder, value = '') {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.placeholder = placeholder;
+        input.value = value || '';
+        return input;
+    }
+
+    async loadGlossaryTerms(container) {
+        const list = container.querySelector('.glossary-terms');
+        const count = container.querySelector('.glossary-count');
+        const query = container.querySelector('.glossary-search').value;
+
+        try {
+            const { items, total } = await window.electronAPI.getGlossary({ query });
+            list.innerHTML = '';
+
+            // Большие импортированные глоссарии не рендерим целиком
+            items.slice(0, GLOSSARY_VISIBLE_TERMS).forEach(entry => {
+                list.appendChild(this.createGlossaryItem(entry, container));
+            });
+
+            count.textContent = items.length > GLOSSARY_VISIBLE_TERMS ?
+                `Показано ${GLOSSARY_VISIBLE_TERMS} из ${items.length}, всего терминов: ${total}` :
+                `Терминов: ${total}`;
+        } catch (error) {
+            console.error('Failed to load glossary:', error);
+        }
+    }
+
+    createGlossaryItem(entry, container) {
+        const div = document.createElement('div');
+        div.className = 'list-item';
+        div.dataset.itemId = entry.id;
+
+        const pair = document.createElement('span');
+        pair.className = 'glossary-pair';
+        pair.textContent = `${entry.sourceLang.toUpperCase()} → ${entry.targetLang.toUpperCase()}`;
+
+        const source = this.createGlossaryInput('list-item-name', 'Термин', entry.source);
+        const target = this.createGlossaryInput('list-item-key', 'Без перевода', entry.target);
+
+        [['source', source], ['target', target]].forEach(([field, input]) => {
+            input.addEventListener('input', (e) => {
+                this.debounce(`glossary-${field}-${entry.id}`, async () => {
+                    const result = await window.electronAPI.updateGlossaryTerm(entry.id, { [field]: e.target.value });
+                    if (!result.success) {
+                        this.showNotification(result.error, 'error');
+                    }
+                }, 300);
+            });
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'delete-list-item';
+        deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteBtn.title = 'Удалить';
+        deleteBtn.addEventListener('click', async () => {
+            await window.electronAPI.deleteGlossaryTerm(entry.id);
+            await this.loadGlossaryTerms(container);
+        });
+
+        [pair, source, target, deleteBtn].forEach(element => div.appendChild(element));
         return div;
     }
 
@@ -538,13 +926,31 @@ class SettingsRenderer {
             await window.electronAPI.updateSetting(path, value);
             this.showSaveIndicator();
 
+            // При смене провайдера основной процесс подставляет его сохраненный ключ
+            if (path === 'provider.name') {
+                await this.refreshApiKeyInput();
+            }
+
             // После обновления значения могут измениться условия видимости
             this.updateVisibility();
 
             console.log(`Setting updated: ${path} =`, value);
         } catch (error) {
             console.error(`Failed to update setting ${path}:`, error);
-            this.showNotification('Ошибка сохранения настройки', 'error');
+            // Основной процесс отклонил значение: показываем причину и сохраненное состояние
+            const reason = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+            this.showNotification(reason ? `Ошибка сохранения настройки: ${reason}` : 'Ошибка сохранения настройки', 'error');
+            await this.loadSettings();
+        }
+    }
+
+    async refreshApiKeyInput() {
+        const apiKey = (await window.electronAPI.getSetting('provider.apiKey')) || '';
+        this.setSettingValue('provider.apiKey', apiKey);
+
+        const input = document.querySelector('input[data-setting="provider.apiKey"]');
+        if (input) {
+            input.value = apiKey;
         }
     }
 
@@ -609,14 +1015,26 @@ class SettingsRenderer {
         }
     }
 
-    async addListItem(setting) {
+    async addListItem(setting, list) {
         const path = setting.id;
         const currentValue = this.getSettingValue(path) || [];
         const newItem = {
             id: `item_${Date.now()}`,
             name: 'Новое действие',
-            key: 'Ctrl+'
+            key: '',
+            ...setting.defaultItem
         };
+
+        // Горячая клавиша без сочетания не сохраняется: запись остается черновиком до его ввода
+        if (setting.keyRecorder) {
+            const listItem = this.createListItem(setting, newItem, currentValue.length, { draft: true });
+            list.appendChild(listItem);
+            const recorder = listItem.querySelector('.hotkey-recorder');
+            recorder.focus();
+            recorder.click();
+            return;
+        }
+
         currentValue.push(newItem);
         await this.updateSetting(path, currentValue);
         await this.loadSettings();
@@ -648,11 +1066,116 @@ class SettingsRenderer {
             case 'testConnection':
                 await this.testConnection();
                 break;
+            case 'clearCache':
+                await this.clearTranslationCache();
+                break;
+            case 'exportHistory':
+                await this.exportHistory();
+                break;
+            case 'importTranslationMemory':
+                await this.importTranslationMemory();
+                break;
+            case 'clearTranslationMemory':
+                await this.clearTranslationMemory();
+                break;
+            case 'importGlossary':
+                await this.importGlossary();
+                break;
+            case 'clearGlossary':
+                await this.clearGlossary();
+                break;
             default:
                 console.warn(`Unknown action: ${setting.action}`);
         }
     }
 
+    async clearTranslationCache() {
+        try {
+            const success = await window.electronAPI.clearTranslationCache();
+            this.showNotification(success ? 'Кэш переводов очищен' : 'Не удалось очистить кэш', success ? 'success' : 'error');
+        } catch (error) {
+            console.error('Failed to clear translation cache:', error);
+            this.showNotification('Не удалось очистить кэш', 'error');
+        }
+    }
+
+    async importTranslationMemory() {
+        this.showLoading(true);
+        try {
+            const result = await window.electronAPI.importTranslationMemory();
+            if (result.success) {
+                this.showNotification(`Импортировано: ${result.added} новых, ${result.updated} обновлено`, 'success');
+                // Обновляем счетчик сегментов
+                await this.loadSettings();
+            } else if (!result.canceled) {
+                this.showNotification(result.error || 'Не удалось импортировать файл', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to import translation memory:', error);
+            this.showNotification('Не удалось импортировать файл', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async importGlossary() {
+        this.showLoading(true);
+        try {
+            const result = await window.electronAPI.importGlossary();
+            if (result.success) {
+                this.showNotification(`Импортировано терминов: ${result.added} новых, ${result.updated} обновлено`, 'success');
+                await this.loadSettings();
+            } else if (!result.canceled) {
+                this.showNotification(result.error || 'Не удалось импортировать глоссарий', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to import glossary:', error);
+            this.showNotification('Не удалось импортировать глоссарий', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async clearGlossary() {
+        if (!confirm('Удалить все термины глоссария?')) return;
+
+        try {
+            const success = await window.electronAPI.clearGlossary();
+            this.showNotification(success ? 'Глоссарий очищен' : 'Не удалось очистить глоссарий', success ? 'success' : 'error');
+            await this.loadSettings();
+        } catch (error) {
+            console.error('Failed to clear glossary:', error);
+            this.showNotification('Не удалось очистить глоссарий', 'error');
+        }
+    }
+
+    async clearTranslationMemory() {
+        if (!confirm('Удалить все сегменты из памяти переводов?')) return;
+
+        try {
+            const success = await window.electronAPI.clearTranslationMemory();
+            this.showNotification(success ? 'Память переводов очищена' : 'Не удалось очистить память', success ? 'success' : 'error');
+            await this.loadSettings();
+        } catch (error) {
+            console.error('Failed to clear translation memory:', error);
+            this.showNotification('Не удалось очистить память', 'error');
+        }
+    }
+
+    async exportHistory() {
+        try {
+            const result = await window.electronAPI.exportHistory();
+            if (result.success) {
+                this.showNotification(`История сохранена: ${result.filePath}`, 'success');
+            } else if (!result.canceled) {
+                this.showNotification(result.error || 'Не удалось экспортировать историю', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to export history:', error);
+            this.showNotification('Не удалось экспортировать историю', 'error');
+        }
+    }
+
     async testConnection() {
         const apiKey = this.getSettingValue('provider.apiKey');
         const provider = this.getSettingValue('provider.name');
@@ -672,7 +1195,7 @@ class SettingsRenderer {
             // Но лучше полагаться на сохраненные значения, так как updateSetting вызывается сразу.
         }
 
-        if (!apiKey && provider !== 'mock') {
+        if (!apiKey && this.providerRequiresApiKey(provider)) {
             this.showNotification('Введите API ключ для проверки', 'error');
             return;
         }
@@ -696,6 +1219,16 @@ class SettingsRenderer {
         }
     }
 
+    /**
+     * Нужен ли провайдеру общий ключ API (по данным структуры настроек)
+     */
+    providerRequiresApiKey(providerName) {
+        const providerSection = this.structure.find(section => section.id === 'provider');
+        const providerSelect = providerSection?.settings.find(setting => setting.id === 'provider.name');
+        const option = providerSelect?.options?.find(opt => opt.value === providerName);
+        return option ? option.requiresApiKey !== false : providerName !== 'mock';
+    }
+
     applyTheme(theme) {
         if (theme === 'dark') {
             document.body.classList.add('dark-theme');
@@ -797,11 +1330,39 @@ class SettingsRenderer {
 
     async showSettings() {
         if (this.isSettingsOpen) return;
+        if (window.historyRenderer && window.historyRenderer.isHistoryOpen) {
+            window.historyRenderer.hideHistory();
+        }
+        if (window.phrasebookRenderer && window.phrasebookRenderer.isPhrasebookOpen) {
+            window.phrasebookRenderer.hidePhrasebook();
+        }
         this.elements.settingsPanel.classList.add('visible');
         this.elements.settingsToggle.classList.add('active');
         this.isSettingsOpen = true;
         await this.loadSettings();
         this.elements.settingsPanel.focus();
+        await this.reportPluginErrors();
+    }
+
+    /**
+     * Сообщает о плагинах провайдеров, которые не удалось загрузить или создать (каждую ошибку один раз)
+     */
+    async reportPluginErrors() {
+        if (!window.electronAPI.getProviderPlugins) return;
+
+        try {
+            const { errors } = await window.electronAPI.getProviderPlugins();
+            const details = (errors || [])
+                .map(e => `${e.file}: ${e.error}`)
+                .filter(detail => !this.reportedPluginErrors.has(detail));
+
+            if (details.length > 0) {
+                details.forEach(detail => this.reportedPluginErrors.add(detail));
+                this.showNotification(`Ошибки плагинов провайдеров — ${details.join('; ')}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to get provider plugins status:', error);
+        }
     }
 
     hideSettings() {
@@ -0,0 +1,90 @@
+// File: src/utils/Csv.js
+/**
+ * Утилиты CSV (RFC 4180)
+ */
+class Csv {
+    /**
+     * Экранирует значение ячейки
+     */
+    static escape(value, delimiter = ',') {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Собирает CSV из строк
+     * @param {Array<Array<*>>} rows - Строки (первая обычно заголовок)
+     * @param {string} delimiter - Разделитель
+     * @returns {string}
+     */
+    static stringify(rows, delimiter = ',') {
+        return rows
+            .map(row => row.map(value => Csv.escape(value, delimiter)).join(delimiter))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Разбирает CSV в массив строк
+     * Разделитель определяется по первой строке, если не задан (запятая, точка с запятой или табуляция).
+     * @param {string} text - Содержимое файла
+     * @param {string} [delimiter] - Разделитель
+     * @returns {Array<Array<string>>}
+     */
+    static parse(text, delimiter = null) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || Csv.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Пустые строки не несут данных
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        return candidates.reduce((best, candidate) =>
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+        );
+    }
+}
+
+module.exports = Csv;
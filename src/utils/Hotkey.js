@@ -0,0 +1,285 @@
+// File: src/utils/Hotkey.js
+const Platform = require('./Platform');
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+const MODIFIER_ALIASES = {
+    ctrl: 'ctrl',
+    control: 'ctrl',
+    alt: 'alt',
+    option: 'alt',
+    shift: 'shift',
+    meta: 'meta',
+    cmd: 'meta',
+    command: 'meta',
+    super: 'meta',
+    win: 'meta'
+};
+
+const MODIFIER_LABELS = { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Meta' };
+
+// Имена клавиш совпадают с UiohookKey из uiohook-napi
+const NAMED_KEYS = [
+    'Backspace', 'Tab', 'Enter', 'CapsLock', 'Escape', 'Space', 'PageUp', 'PageDown', 'End', 'Home',
+    'ArrowLeft', 'ArrowUp', 'ArrowRight', 'ArrowDown', 'Insert', 'Delete',
+    'Numpad0', 'Numpad1', 'Numpad2', 'Numpad3', 'Numpad4', 'Numpad5', 'Numpad6', 'Numpad7', 'Numpad8', 'Numpad9',
+    'NumpadMultiply', 'NumpadAdd', 'NumpadSubtract', 'NumpadDecimal', 'NumpadDivide',
+    'Semicolon', 'Equal', 'Comma', 'Minus', 'Period', 'Slash', 'Backquote',
+    'BracketLeft', 'Backslash', 'BracketRight', 'Quote', 'PrintScreen', 'ScrollLock', 'NumLock'
+];
+
+const KEY_ALIASES = {
+    esc: 'Escape',
+    return: 'Enter',
+    del: 'Delete',
+    ins: 'Insert',
+    pgup: 'PageUp',
+    pgdn: 'PageDown',
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    prtsc: 'PrintScreen',
+    ';': 'Semicolon',
+    '=': 'Equal',
+    ',': 'Comma',
+    '-': 'Minus',
+    '.': 'Period',
+    '/': 'Slash',
+    '`': 'Backquote',
+    '[': 'BracketLeft',
+    '\\': 'Backslash',
+    ']': 'BracketRight',
+    '\'': 'Quote'
+};
+
+const KEY_LABELS = Object.fromEntries(
+    Object.entries(KEY_ALIASES).filter(([alias]) => alias.length === 1).map(([alias, key]) => [key, alias])
+);
+
+const MAX_TAPS = 2;
+
+// Сочетания, которые приложение нажимает само (robotjs): назначенное на них действие сработает от имитации
+const SIMULATED_SHORTCUTS = [
+    { key: 'CmdOrCtrl+C', description: 'копирование выделенного текста' },
+    { key: 'CmdOrCtrl+V', description: 'вставка перевода вместо выделения' }
+];
+
+// Распространенные сочетания ОС и редактирования текста
+const SYSTEM_SHORTCUTS = {
+    common: [
+        { key: 'CmdOrCtrl+C', description: 'копировать' },
+        { key: 'CmdOrCtrl+V', description: 'вставить' },
+        { key: 'CmdOrCtrl+X', description: 'вырезать' },
+        { key: 'CmdOrCtrl+Z', description: 'отменить' },
+        { key: 'CmdOrCtrl+A', description: 'выделить все' },
+        { key: 'CmdOrCtrl+S', description: 'сохранить' },
+        { key: 'CmdOrCtrl+F', description: 'поиск' },
+        { key: 'CmdOrCtrl+W', description: 'закрыть вкладку' },
+        { key: 'CmdOrCtrl+T', description: 'новая вкладка' },
+        { key: 'CmdOrCtrl+Shift+T', description: 'вернуть закрытую вкладку' }
+    ],
+    win32: [
+        { key: 'Ctrl+Y', description: 'повторить' },
+        { key: 'Alt+Tab', description: 'переключение окон' },
+        { key: 'Alt+F4', description: 'закрыть окно' },
+        { key: 'Ctrl+Alt+Delete', description: 'экран безопасности' },
+        { key: 'Ctrl+Shift+Escape', description: 'диспетчер задач' },
+        { key: 'Ctrl+Escape', description: 'меню «Пуск»' },
+        { key: 'Meta+L', description: 'блокировка' },
+        { key: 'Meta+D', description: 'показать рабочий стол' },
+        { key: 'Meta+E', description: 'проводник' },
+        { key: 'Meta+R', description: 'окно «Выполнить»' },
+        { key: 'Meta+V', description: 'журнал буфера обмена' },
+        { key: 'Meta+Shift+S', description: 'снимок экрана' },
+        { key: 'Meta+Space', description: 'смена раскладки' }
+    ],
+    darwin: [
+        { key: 'Meta+Q', description: 'завершить программу' },
+        { key: 'Meta+H', description: 'скрыть программу' },
+        { key: 'Meta+M', description: 'свернуть окно' },
+        { key: 'Meta+Tab', description: 'переключение программ' },
+        { key: 'Meta+Space', description: 'Spotlight' },
+        { key: 'Ctrl+Space', description: 'смена источника ввода' },
+        { key: 'Ctrl+Meta+Q', description: 'блокировка' },
+        { key: 'Meta+Shift+3', description: 'снимок экрана' },
+        { key: 'Meta+Shift+4', description: 'снимок части экрана' },
+        { key: 'Meta+Shift+5', description: 'снимок экрана' },
+        { key: 'Meta+Alt+Escape', description: 'принудительное завершение' }
+    ],
+    linux: [
+        { key: 'Ctrl+Y', description: 'повторить' },
+        { key: 'Alt+Tab', description: 'переключение окон' },
+        { key: 'Alt+F4', description: 'закрыть окно' },
+        { key: 'Alt+F2', description: 'запуск команды' },
+        { key: 'Ctrl+Alt+T', description: 'терминал' },
+        { key: 'Ctrl+Alt+L', description: 'блокировка' },
+        { key: 'Ctrl+Alt+Delete', description: 'выход из системы' },
+        { key: 'Meta+L', description: 'блокировка' },
+        { key: 'Meta+Space', description: 'смена раскладки' }
+    ]
+};
+
+/**
+ * Разбор сочетаний клавиш вида «Ctrl+Alt+Q», «CmdOrCtrl+Shift+F5» и «Ctrl+C+C»
+ * Повтор клавиши в конце означает двойное нажатие при зажатых модификаторах.
+ */
+class Hotkey {
+    /**
+     * @param {string} accelerator
+     * @returns {{ctrl: boolean, alt: boolean, shift: boolean, meta: boolean, key: string, taps: number}}
+     *          key — имя клавиши из UiohookKey
+     * @throws {Error} Если сочетание записано с ошибкой
+     */
+    static parse(accelerator) {
+        const tokens = String(accelerator || '').split('+').map(token => token.trim());
+        if (tokens.every(token => !token)) {
+            throw new Error('Сочетание клавиш не задано');
+        }
+        if (tokens.some(token => !token)) {
+            throw new Error('Сочетание клавиш записано не полностью');
+        }
+
+        const hotkey = { ctrl: false, alt: false, shift: false, meta: false, key: null, taps: 0 };
+
+        tokens.forEach(token => {
+            const modifier = Hotkey.parseModifier(token);
+
+            if (modifier) {
+                if (hotkey.key) {
+                    throw new Error(`Модификатор ${token} должен стоять перед клавишей`);
+                }
+                if (hotkey[modifier]) {
+                    throw new Error(`Модификатор ${token} указан дважды`);
+                }
+                hotkey[modifier] = true;
+                return;
+            }
+
+            const key = Hotkey.parseKey(token);
+            if (!key) {
+                throw new Error(`Неизвестная клавиша: ${token}`);
+            }
+            if (hotkey.key && hotkey.key !== key) {
+                throw new Error('Последовательности из разных клавиш не поддерживаются');
+            }
+
+            hotkey.key = key;
+            hotkey.taps++;
+        });
+
+        if (!hotkey.key) {
+            throw new Error('Добавьте к модификаторам основную клавишу');
+        }
+        if (hotkey.taps > MAX_TAPS) {
+            throw new Error('Поддерживается только двойное нажатие');
+        }
+        // Сочетание без Ctrl/Alt/Meta срабатывало бы при обычном наборе текста
+        if (!hotkey.ctrl && !hotkey.alt && !hotkey.meta && !/^F\d+$/.test(hotkey.key)) {
+            throw new Error('Сочетание должно включать Ctrl, Alt или Meta (без них допустимы только F1–F24)');
+        }
+
+        return hotkey;
+    }
+
+    /**
+     * @returns {string|null} Модификатор (ctrl, alt, shift, meta) или null
+     */
+    static parseModifier(token) {
+        const name = token.toLowerCase();
+
+        if (name === 'cmdorctrl' || name === 'commandorcontrol') {
+            return Platform.isMac() ? 'meta' : 'ctrl';
+        }
+
+        return MODIFIER_ALIASES[name] || null;
+    }
+
+    /**
+     * @returns {string|null} Имя клавиши из UiohookKey
+     */
+    static parseKey(token) {
+        if (/^[a-z0-9]$/i.test(token)) {
+            return token.toUpperCase();
+        }
+
+        const functionKey = token.match(/^f(\d{1,2})$/i);
+        if (functionKey) {
+            const number = Number(functionKey[1]);
+            return number >= 1 && number <= 24 ? `F${number}` : null;
+        }
+
+        const name = token.toLowerCase();
+        if (KEY_ALIASES[name]) {
+            return KEY_ALIASES[name];
+        }
+
+        return NAMED_KEYS.find(key => key.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Запись сочетания в едином виде: модификаторы в порядке Ctrl, Alt, Shift, Meta
+     */
+    static format(hotkey) {
+        const modifiers = MODIFIERS.filter(modifier => hotkey[modifier]).map(modifier => MODIFIER_LABELS[modifier]);
+        const key = KEY_LABELS[hotkey.key] || hotkey.key;
+
+        return [...modifiers, ...Array(hotkey.taps || 1).fill(key)].join('+');
+    }
+
+    static normalize(accelerator) {
+        return Hotkey.format(Hotkey.parse(accelerator));
+    }
+
+    /**
+     * Проверка сочетания перед сохранением
+     * @param {string} accelerator
+     * @param {Object} options
+     * @param {Array<{id, name, key}>} [options.hotkeys] - Уже назначенные сочетания
+     * @param {string} [options.ownId] - Запись, которую редактируют (не конфликтует сама с собой)
+     * @returns {{valid: boolean, accelerator?: string, error?: string, conflicts?: string[]}}
+     *          conflicts — предупреждения, сохранению они не мешают
+     */
+    static validate(accelerator, { hotkeys = [], ownId = null } = {}) {
+        let hotkey;
+        try {
+            hotkey = Hotkey.parse(accelerator);
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+
+        const normalized = Hotkey.format(hotkey);
+        const combo = Hotkey.format({ ...hotkey, taps: 1 });
+        const conflicts = [];
+
+        hotkeys.filter(other => other.id !== ownId).forEach(other => {
+            let parsed;
+            try {
+                parsed = Hotkey.parse(other.key);
+            } catch (error) {
+                return;
+            }
+
+            if (Hotkey.format(parsed) === normalized) {
+                conflicts.push(`Уже назначено действию «${other.name}»`);
+            } else if (Hotkey.format({ ...parsed, taps: 1 }) === combo) {
+                conflicts.push(`Совпадает по первому нажатию с «${other.name}» (${Hotkey.format(parsed)})`);
+            }
+        });
+
+        // Двойное нажатие поверх стандартного сочетания (Ctrl+C+C) задумано так и конфликтом не считается
+        if (hotkey.taps === 1) {
+            SIMULATED_SHORTCUTS
+                .filter(shortcut => Hotkey.normalize(shortcut.key) === normalized)
+                .forEach(shortcut => conflicts.push(`Приложение само нажимает ${normalized} (${shortcut.description})`));
+
+            [...SYSTEM_SHORTCUTS.common, ...(SYSTEM_SHORTCUTS[process.platform] || [])]
+                .filter(shortcut => Hotkey.normalize(shortcut.key) === normalized)
+                .forEach(shortcut => conflicts.push(`Системное сочетание: ${shortcut.description}`));
+        }
+
+        return { valid: true, accelerator: normalized, conflicts };
+    }
+}
+
+module.exports = Hotkey;
@@ -0,0 +1,123 @@
+// File: src/utils/JsonFileWriter.js
+const fs = require('fs');
+const Logger = require('./Logger');
+
+/**
+ * Отложенная запись JSON-файла с данными приложения
+ * Частые изменения (например, кэша переводов) объединяются в одну запись;
+ * flush() синхронно дописывает изменения при выходе.
+ * Файл пишется во временный и переименовывается поверх прежнего, поэтому сбой
+ * во время записи не оставляет обрезанный JSON. Записи выполняются по очереди.
+ */
+class JsonFileWriter {
+    /**
+     * @param {Function} serialize - Возвращает объект для записи
+     * @param {Object} options
+     * @param {string} options.name - Имя для логов
+     * @param {number} options.delay - Задержка записи, мс
+     */
+    constructor(serialize, { name = 'JsonFileWriter', delay = 2000 } = {}) {
+        this.logger = new Logger(name);
+        this.serialize = serialize;
+        this.delay = delay;
+        this.filePath = null;
+        this.timer = null;
+        // Очередь записей: следующая начинается после завершения предыдущей
+        this.writing = Promise.resolve();
+        this.queued = null;
+        // Меняется при flush(): начатая раньше асинхронная запись не заменит более новые данные
+        this.generation = 0;
+    }
+
+    /**
+     * Читает файл; отсутствие файла — не ошибка
+     * @returns {Promise<Object|null>}
+     */
+    async read() {
+        if (!this.filePath) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Failed to read ${this.filePath}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    schedule() {
+        if (!this.filePath) return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.write();
+        }, this.delay);
+    }
+
+    /**
+     * Ставит запись в очередь; запросы, пришедшие до ее начала, объединяются с ней
+     * @returns {Promise<void>} Завершается после записи (ошибки только логируются)
+     */
+    write() {
+        if (!this.filePath) return Promise.resolve();
+
+        if (!this.queued) {
+            this.queued = this.writing.then(() => {
+                this.queued = null;
+                return this.writeFile();
+            });
+            this.writing = this.queued;
+        }
+
+        return this.queued;
+    }
+
+    async writeFile() {
+        const filePath = this.filePath;
+        if (!filePath) return;
+
+        const generation = this.generation;
+        const tempPath = `${filePath}.tmp`;
+
+        try {
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.serialize()), 'utf8');
+
+            if (generation !== this.generation) {
+                await fs.promises.unlink(tempPath);
+                return;
+            }
+
+            await fs.promises.rename(tempPath, filePath);
+            this.logger.debug(`Saved ${filePath}`);
+        } catch (error) {
+            this.logger.error(`Failed to save ${filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Синхронно сохраняет несохраненные изменения (при выходе из приложения)
+     */
+    flush() {
+        if (!this.timer) return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.generation++;
+
+        // Отдельный временный файл: асинхронная запись может еще писать в свой
+        const tempPath = `${this.filePath}.exit.tmp`;
+
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(this.serialize()), 'utf8');
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`Failed to flush ${this.filePath}:`, error.message);
+        }
+    }
+}
+
+module.exports = JsonFileWriter;
@@ -0,0 +1,106 @@
+// File: src/utils/JsonPath.js
+/**
+ * Минимальная реализация JSONPath для разбора ответов HTTP API
+ * Поддерживает: $, .key, ['key'], [0], [-1], [*] и .*
+ */
+class JsonPath {
+    /**
+     * Разбирает выражение на последовательность шагов
+     * @param {string} expression - Например: $.translations[0].text
+     * @returns {Array<string|number>} Ключи, индексы и '*' для всех элементов
+     */
+    static parse(expression) {
+        const source = String(expression || '').trim();
+        const steps = [];
+        let i = source.startsWith('$') ? 1 : 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (char === '.') {
+                const match = /^[^.[\]]+/.exec(source.slice(i + 1));
+                if (!match) {
+                    throw new Error(`Неверное выражение JSONPath: ${expression}`);
+                }
+                steps.push(match[0]);
+                i += match[0].length + 1;
+                continue;
+            }
+
+            if (char === '[') {
+                const end = source.indexOf(']', i);
+                if (end === -1) {
+                    throw new Error(`Неверное выражение JSONPath: ${expression}`);
+                }
+
+                const token = source.slice(i + 1, end).trim();
+                const quoted = /^(['"])(.*)\1$/.exec(token);
+
+                if (quoted) {
+                    steps.push(quoted[2]);
+                } else if (token === '*') {
+                    steps.push('*');
+                } else if (/^-?\d+$/.test(token)) {
+                    steps.push(parseInt(token, 10));
+                } else {
+                    throw new Error(`Неверное выражение JSONPath: ${expression}`);
+                }
+
+                i = end + 1;
+                continue;
+            }
+
+            // Путь без ведущего $ и точки: "data.text"
+            if (i === 0) {
+                const match = /^[^.[\]]+/.exec(source);
+                steps.push(match[0]);
+                i += match[0].length;
+                continue;
+            }
+
+            throw new Error(`Неверное выражение JSONPath: ${expression}`);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Возвращает все значения, найденные по выражению
+     * @param {*} data - Разобранный JSON
+     * @param {string} expression - Выражение JSONPath
+     * @returns {Array<*>}
+     */
+    static query(data, expression) {
+        let nodes = [data];
+
+        for (const step of JsonPath.parse(expression)) {
+            const next = [];
+
+            for (const node of nodes) {
+                if (node === null || typeof node !== 'object') continue;
+
+                if (step === '*') {
+                    next.push(...Object.values(node));
+                } else if (typeof step === 'number' && Array.isArray(node)) {
+                    const value = node[step < 0 ? node.length + step : step];
+                    if (value !== undefined) next.push(value);
+                } else if (Object.prototype.hasOwnProperty.call(node, step)) {
+                    next.push(node[step]);
+                }
+            }
+
+            nodes = next;
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Первое значение по выражению или undefined
+     */
+    static first(data, expression) {
+        return JsonPath.query(data, expression)[0];
+    }
+}
+
+module.exports = JsonPath;
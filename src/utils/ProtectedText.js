@@ -0,0 +1,50 @@
+// File: src/utils/ProtectedText.js
+/**
+ * Поиск фрагментов, которые нельзя переводить: код, ссылки, разметка и плейсхолдеры
+ * Порядок правил важен: при пересечении побеждает фрагмент из более раннего правила.
+ */
+const PROTECTED_PATTERNS = [
+    // Блоки кода ```...``` и `inline code`
+    { type: 'code', pattern: /```[\s\S]*?```/g },
+    { type: 'code', pattern: /`[^`\r\n]+`/g },
+    // HTML-комментарии, теги и сущности
+    { type: 'markup', pattern: /<!--[\s\S]*?-->/g },
+    { type: 'markup', pattern: /<\/?[a-zA-Z][\w:.-]*(?:\s+[^<>]*?)?\/?>/g },
+    { type: 'markup', pattern: /&(?:[a-zA-Z]+|#\d+|#x[0-9a-fA-F]+);/g },
+    // Ссылки без завершающей пунктуации предложения
+    { type: 'url', pattern: /\b(?:https?|ftp):\/\/[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/g },
+    { type: 'url', pattern: /\bwww\.[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/g },
+    { type: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+    // {name}, {{name}}, ${name}, {0}
+    { type: 'placeholder', pattern: /\$?\{\{?[^{}\s][^{}\r\n]*\}\}?/g },
+    // printf-форматы: %s, %d, %1$s, %.2f, %(name)s
+    // Флаг «пробел» и буква сразу после формата не допускаются, иначе «50% of» и «100%done» стали бы плейсхолдерами
+    { type: 'placeholder', pattern: /%(?:\d+\$|\([\w.]+\))?[-+0#]*\d*(?:\.\d+)?[sdifuxXoeEgGc@](?![A-Za-z])/g },
+    // Вызовы функций в сообщениях логов: parseConfig(), user.save()
+    { type: 'code', pattern: /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*\(\)/g }
+];
+
+class ProtectedText {
+    /**
+     * @param {string} text
+     * @returns {Array<{start, end, replacement, meta}>} Фрагменты для TextMasker (восстанавливаются как есть)
+     */
+    static findSpans(text) {
+        const spans = [];
+
+        PROTECTED_PATTERNS.forEach(({ type, pattern }) => {
+            for (const match of text.matchAll(pattern)) {
+                spans.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    replacement: match[0],
+                    meta: { type }
+                });
+            }
+        });
+
+        return spans;
+    }
+}
+
+module.exports = ProtectedText;
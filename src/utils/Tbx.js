@@ -0,0 +1,47 @@
+// File: src/utils/Tbx.js
+const Tmx = require('./Tmx');
+
+/**
+ * Разбор терминологических баз TBX (ISO 30042)
+ * Поддерживаются termEntry/langSet (TBX 2) и conceptEntry/langSec (TBX 3).
+ */
+class Tbx {
+    /**
+     * Извлекает пары терминов между всеми языками каждой статьи
+     * @param {string} xml - Содержимое файла
+     * @returns {Array<{sourceLang, targetLang, source, target}>}
+     */
+    static parse(xml) {
+        if (!/<(martif|tbx)[\s>]/i.test(xml)) {
+            throw new Error('Файл не является документом TBX');
+        }
+
+        const terms = [];
+
+        for (const [, , entryBody] of xml.matchAll(/<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+            const variants = [];
+
+            for (const [, , attributes, body] of entryBody.matchAll(/<(langSet|langSec)\b([^>]*)>([\s\S]*?)<\/\1>/gi)) {
+                const lang = Tmx.getAttribute(attributes, 'xml:lang') || Tmx.getAttribute(attributes, 'lang');
+                // Первый термин языка считается предпочтительным
+                const term = body.match(/<term\b[^>]*>([\s\S]*?)<\/term>/i);
+                if (!lang || !term) continue;
+
+                const text = Tmx.extractSegmentText(term[1]);
+                if (text) {
+                    variants.push({ lang, text });
+                }
+            }
+
+            variants.forEach(from => {
+                variants.filter(to => to !== from).forEach(to => {
+                    terms.push({ sourceLang: from.lang, targetLang: to.lang, source: from.text, target: to.text });
+                });
+            });
+        }
+
+        return terms;
+    }
+}
+
+module.exports = Tbx;
@@ -0,0 +1,72 @@
+// File: src/utils/TextMasker.js
+/**
+ * Замена фрагментов текста маркерами на время машинного перевода
+ * Провайдеры переносят маркеры ⟦n⟧ в перевод без изменений, после чего
+ * на их место подставляется нужный текст (исходный фрагмент или обязательный термин).
+ */
+class TextMasker {
+    /**
+     * @param {string} text - Исходный текст
+     * @param {Array<{start: number, end: number, replacement: string, meta?: Object}>} spans - Фрагменты для замены;
+     *        пересекающиеся с ранее переданными отбрасываются, поэтому более важные идут первыми
+     * @returns {{text: string, tokens: Array<{placeholder, original, replacement, meta}>}}
+     */
+    static mask(text, spans) {
+        const accepted = [];
+        spans.forEach(span => {
+            if (span.end <= span.start) return;
+            const overlaps = accepted.some(other => span.start < other.end && other.start < span.end);
+            if (!overlaps) {
+                accepted.push(span);
+            }
+        });
+
+        accepted.sort((a, b) => a.start - b.start);
+
+        const tokens = [];
+        let masked = '';
+        let position = 0;
+
+        accepted.forEach(span => {
+            const placeholder = `⟦${tokens.length}⟧`;
+            tokens.push({
+                placeholder,
+                original: text.slice(span.start, span.end),
+                replacement: span.replacement,
+                meta: span.meta || null
+            });
+
+            masked += text.slice(position, span.start) + placeholder;
+            position = span.end;
+        });
+
+        return { text: masked + text.slice(position), tokens };
+    }
+
+    /**
+     * Возвращает фрагменты на место маркеров
+     * Провайдеры иногда добавляют пробелы внутри скобок — такие маркеры тоже распознаются.
+     * @returns {{text: string, missing: Array<Object>}} missing — маркеры, потерянные при переводе
+     */
+    static unmask(text, tokens) {
+        if (tokens.length === 0) {
+            return { text, missing: [] };
+        }
+
+        const restored = new Set();
+        const result = text.replace(/⟦\s*(\d+)\s*⟧/g, (match, index) => {
+            const token = tokens[Number(index)];
+            if (!token) return match;
+
+            restored.add(token);
+            return token.replacement;
+        });
+
+        return {
+            text: result,
+            missing: tokens.filter(token => !restored.has(token))
+        };
+    }
+}
+
+module.exports = TextMasker;
@@ -0,0 +1,150 @@
+// File: src/utils/Tmx.js
+/**
+ * Утилиты формата TMX 1.4 (Translation Memory eXchange)
+ * Спецификация: https://www.gala-global.org/tmx-14b
+ */
+class Tmx {
+    static escapeXml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Управляющие символы запрещены в XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    static unescapeXml(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    static getAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+        return match ? Tmx.unescapeXml(match[2] !== undefined ? match[2] : match[3]) : null;
+    }
+
+    /**
+     * Текст сегмента без встроенной разметки
+     * Элементы bpt/ept/it/ph/ut содержат исходные теги документа и удаляются целиком.
+     */
+    static extractSegmentText(seg) {
+        const text = seg
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => Tmx.escapeXml(data))
+            .replace(/<(bpt|ept|it|ph|ut)\b[^>]*\/>/gi, '')
+            .replace(/<(bpt|ept|it|ph|ut)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<[^>]+>/g, '');
+
+        return Tmx.unescapeXml(text).trim();
+    }
+
+    /**
+     * Разбирает документ TMX в пары «источник — перевод»
+     * Если у единицы не указан исходный язык (или указан *all*), создаются пары во все стороны.
+     * @param {string} xml - Содержимое файла
+     * @returns {Array<{sourceLang, targetLang, source, target, timestamp}>}
+     */
+    static parse(xml) {
+        if (!/<tmx[\s>]/i.test(xml)) {
+            throw new Error('Файл не является документом TMX');
+        }
+
+        const headerTag = (xml.match(/<header\b[^>]*>/i) || [''])[0];
+        const headerSrcLang = Tmx.getAttribute(headerTag, 'srclang');
+        const units = [];
+
+        for (const [, tuAttributes, tuBody] of xml.matchAll(/<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi)) {
+            const variants = [];
+
+            for (const [, tuvAttributes, tuvBody] of tuBody.matchAll(/<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/gi)) {
+                const lang = Tmx.getAttribute(tuvAttributes, 'xml:lang') || Tmx.getAttribute(tuvAttributes, 'lang');
+                const seg = tuvBody.match(/<seg\b[^>]*>([\s\S]*?)<\/seg>/i);
+                if (!lang || !seg) continue;
+
+                const text = Tmx.extractSegmentText(seg[1]);
+                if (text) {
+                    variants.push({ lang, text });
+                }
+            }
+
+            if (variants.length < 2) continue;
+
+            const srcLang = Tmx.getAttribute(tuAttributes, 'srclang') || headerSrcLang;
+            const timestamp = Tmx.parseDate(Tmx.getAttribute(tuAttributes, 'changedate') ||
+                Tmx.getAttribute(tuAttributes, 'creationdate'));
+            const source = variants.find(variant => srcLang && variant.lang.toLowerCase() === srcLang.toLowerCase());
+            const sources = source ? [source] : variants;
+
+            sources.forEach(from => {
+                variants.filter(to => to !== from).forEach(to => {
+                    units.push({
+                        sourceLang: from.lang,
+                        targetLang: to.lang,
+                        source: from.text,
+                        target: to.text,
+                        timestamp
+                    });
+                });
+            });
+        }
+
+        return units;
+    }
+
+    static parseDate(value) {
+        const match = value && value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : null;
+    }
+
+    /**
+     * Дата в формате TMX: YYYYMMDDThhmmssZ
+     */
+    static formatDate(timestamp) {
+        return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Собирает документ TMX
+     * @param {Array<{sourceLang, targetLang, source, target, timestamp?, provider?}>} units - Единицы перевода
+     * @param {Object} options
+     * @param {string} options.creationTool - Имя программы
+     * @param {string} options.creationToolVersion - Версия программы
+     * @returns {string}
+     */
+    static build(units, { creationTool = 'LinguaFlow', creationToolVersion = '1.0.0' } = {}) {
+        const sourceLangs = new Set(units.map(unit => unit.sourceLang));
+        const srcLang = sourceLangs.size === 1 ? [...sourceLangs][0] : '*all*';
+
+        const body = units.map(unit => {
+            const date = unit.timestamp ? ` creationdate="${Tmx.formatDate(unit.timestamp)}"` : '';
+            const note = unit.provider ? `\n      <prop type="x-provider">${Tmx.escapeXml(unit.provider)}</prop>` : '';
+
+            return [
+                `    <tu srclang="${Tmx.escapeXml(unit.sourceLang)}"${date}>${note}`,
+                `      <tuv xml:lang="${Tmx.escapeXml(unit.sourceLang)}"><seg>${Tmx.escapeXml(unit.source)}</seg></tuv>`,
+                `      <tuv xml:lang="${Tmx.escapeXml(unit.targetLang)}"><seg>${Tmx.escapeXml(unit.target)}</seg></tuv>`,
+                '    </tu>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            `  <header creationtool="${Tmx.escapeXml(creationTool)}" creationtoolversion="${Tmx.escapeXml(creationToolVersion)}"` +
+            ` datatype="plaintext" segtype="sentence" adminlang="en" srclang="${Tmx.escapeXml(srcLang)}" o-tmf="${Tmx.escapeXml(creationTool)}"/>`,
+            '  <body>',
+            ...body,
+            '  </body>',
+            '</tmx>',
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = Tmx;
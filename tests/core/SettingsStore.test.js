@@ -0,0 +1,56 @@
+// File: tests/core/SettingsStore.test.js
+const SettingsStore = require('../../src/core/SettingsStore');
+
+describe('SettingsStore migration', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new SettingsStore();
+    });
+
+    test('moves LibreTranslate and LLM keys from provider configs to provider.apiKeys', () => {
+        const migrated = store.migrateSettings({
+            version: '2.5.0',
+            provider: {
+                name: 'llm',
+                apiKey: '',
+                apiKeys: { deepl: 'deepl-key' },
+                config: {
+                    libretranslate: { baseUrl: 'http://localhost:5000', apiKey: 'libre-key' },
+                    llm: { baseUrl: 'http://localhost:11434/v1', apiKey: 'llm-key', model: 'qwen' }
+                }
+            }
+        });
+
+        expect(migrated.version).toBe(store.getDefaultSettings().version);
+        expect(migrated.provider.apiKeys).toEqual({ deepl: 'deepl-key', libretranslate: 'libre-key', llm: 'llm-key' });
+        expect(migrated.provider.apiKey).toBe('llm-key');
+        expect(migrated.provider.config.libretranslate).toEqual({ baseUrl: 'http://localhost:5000' });
+        expect(migrated.provider.config.llm).toEqual({ baseUrl: 'http://localhost:11434/v1', model: 'qwen' });
+    });
+
+    test('remembers the current provider key entered before provider.apiKeys existed', () => {
+        const migrated = store.migrateSettings({
+            version: '2.0.0',
+            provider: { name: 'google', apiKey: 'google-key', config: {} }
+        });
+
+        expect(migrated.provider.apiKeys).toEqual({ google: 'google-key' });
+        expect(migrated.provider.apiKey).toBe('google-key');
+    });
+
+    test('keeps keys already saved in provider.apiKeys', () => {
+        const migrated = store.migrateSettings({
+            version: '2.5.0',
+            provider: {
+                name: 'deepl',
+                apiKey: 'deepl-key',
+                apiKeys: { deepl: 'deepl-key', llm: 'newer-llm-key' },
+                config: { llm: { apiKey: 'old-llm-key' } }
+            }
+        });
+
+        expect(migrated.provider.apiKeys.llm).toBe('newer-llm-key');
+        expect(migrated.provider.config.llm).toEqual({});
+    });
+});
@@ -0,0 +1,48 @@
+// File: tests/helpers/stubServer.js
+const http = require('http');
+
+/**
+ * Локальный HTTP-сервер вместо API провайдера
+ * handler(request) возвращает { status, headers, body } — ответ на запрос;
+ * null оставляет запрос без ответа (проверка таймаутов).
+ * Все полученные запросы сохраняются в server.requests.
+ */
+async function startStubServer(handler) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body = raw;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                // Не JSON (например, form-urlencoded) — оставляем строкой
+            }
+
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+
+            const response = handler(request);
+            if (response === null) return;
+
+            const { status = 200, headers = {}, body: responseBody = null } = response || {};
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(responseBody === null ? '' : JSON.stringify(responseBody));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
+
+module.exports = { startStubServer };
@@ -0,0 +1,91 @@
+// File: tests/providers/AzureTranslationProvider.test.js
+const AzureTranslationProvider = require('../../src/core/translation/providers/AzureTranslationProvider');
+const { TranslationErrorType } = require('../../src/core/translation/ITranslationProvider');
+const { startStubServer } = require('../helpers/stubServer');
+
+const LANGUAGES = {
+    translation: {
+        en: { name: 'English', nativeName: 'English', dir: 'ltr' },
+        'zh-Hans': { name: 'Chinese Simplified', nativeName: '中文 (简体)', dir: 'ltr' }
+    }
+};
+
+describe('AzureTranslationProvider', () => {
+    let server;
+    let response;
+    let provider;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startStubServer(request => request.url.startsWith('/languages') ? { body: LANGUAGES } : response);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        provider = new AzureTranslationProvider({ endpoint: `${server.url}/`, region: 'westeurope' });
+        await provider.initialize('test-key');
+        server.requests.length = 0;
+    });
+
+    test('loads languages from the configured endpoint', async () => {
+        const languages = await provider.getSupportedLanguages();
+
+        expect(languages.map(lang => lang.code)).toEqual(['en', 'zh']);
+    });
+
+    test('translates with key, region and Azure language codes', async () => {
+        response = { body: [{ detectedLanguage: { language: 'en', score: 0.95 }, translations: [{ text: '你好', to: 'zh-Hans' }] }] };
+
+        const result = await provider.translate('Hello', 'auto', 'zh');
+
+        expect(result.error).toBeNull();
+        expect(result.text).toBe('你好');
+        expect(result.sourceLang).toBe('en');
+        expect(result.confidence).toBe(0.95);
+
+        const [request] = server.requests;
+        expect(request.url).toBe('/translate?api-version=3.0&to=zh-Hans');
+        expect(request.headers['ocp-apim-subscription-key']).toBe('test-key');
+        expect(request.headers['ocp-apim-subscription-region']).toBe('westeurope');
+        expect(request.body).toEqual([{ Text: 'Hello' }]);
+    });
+
+    test('testConnection reports a working endpoint', async () => {
+        response = { body: [{ translations: [{ text: 'Привет', to: 'ru' }] }] };
+
+        const result = await provider.testConnection();
+
+        expect(result.success).toBe(true);
+        expect(result.details.endpoint).toBe(server.url);
+    });
+
+    test('testConnection reports an invalid key', async () => {
+        response = { status: 401, body: { error: { code: 401000, message: 'invalid key' } } };
+
+        const result = await provider.testConnection();
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Неверный ключ или регион');
+    });
+
+    test.each([
+        [401, 401000, {}, TranslationErrorType.INVALID_API_KEY, false, null],
+        [403, 403001, {}, TranslationErrorType.QUOTA_EXCEEDED, false, null],
+        [403, 403000, {}, TranslationErrorType.INVALID_API_KEY, false, null],
+        [400, 400036, {}, TranslationErrorType.UNSUPPORTED_LANGUAGE, false, null],
+        [429, 429001, { 'Retry-After': '2' }, TranslationErrorType.RATE_LIMITED, true, 2000]
+    ])('maps HTTP %i (code %i) to an error', async (status, code, headers, type, retryable, retryAfter) => {
+        response = { status, headers, body: { error: { code, message: 'stub error' } } };
+
+        const result = await provider.translate('Hello', 'en', 'ru');
+
+        expect(result.text).toBe('');
+        expect(result.error.type).toBe(type);
+        expect(result.error.retryable).toBe(retryable);
+        expect(result.error.retryAfter).toBe(retryAfter);
+    });
+});
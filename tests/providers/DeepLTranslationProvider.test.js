@@ -0,0 +1,76 @@
+// File: tests/providers/DeepLTranslationProvider.test.js
+const DeepLTranslationProvider = require('../../src/core/translation/providers/DeepLTranslationProvider');
+const { TranslationErrorType } = require('../../src/core/translation/ITranslationProvider');
+const { startStubServer } = require('../helpers/stubServer');
+
+describe('DeepLTranslationProvider', () => {
+    let server;
+    let response;
+    let provider;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startStubServer(() => response);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        server.requests.length = 0;
+        provider = new DeepLTranslationProvider({ apiUrl: `${server.url}/v2/` });
+        await provider.initialize('test-key:fx');
+    });
+
+    test('translates through the configured endpoint', async () => {
+        response = { body: { translations: [{ text: 'Hallo', detected_source_language: 'EN' }] } };
+
+        const result = await provider.translate('Hello', 'auto', 'de');
+
+        expect(result.error).toBeNull();
+        expect(result.text).toBe('Hallo');
+        expect(result.sourceLang).toBe('en');
+
+        const [request] = server.requests;
+        expect(request.url).toBe('/v2/translate');
+        expect(request.headers.authorization).toBe('DeepL-Auth-Key test-key:fx');
+        expect(request.body).toEqual({ text: ['Hello'], target_lang: 'DE' });
+    });
+
+    test('sends regional target code and source language', async () => {
+        response = { body: { translations: [{ text: 'Hello' }] } };
+
+        await provider.translate('Привет', 'ru', 'en');
+
+        expect(server.requests[0].body).toEqual({ text: ['Привет'], target_lang: 'EN-US', source_lang: 'RU' });
+    });
+
+    test.each([
+        [403, {}, TranslationErrorType.INVALID_API_KEY, false, null],
+        [456, {}, TranslationErrorType.QUOTA_EXCEEDED, false, null],
+        [429, { 'Retry-After': '3' }, TranslationErrorType.RATE_LIMITED, true, 3000],
+        [503, {}, TranslationErrorType.PROVIDER_ERROR, true, null]
+    ])('maps HTTP %i to an error', async (status, headers, type, retryable, retryAfter) => {
+        response = { status, headers, body: { message: 'stub error' } };
+
+        const result = await provider.translate('Hello', 'en', 'de');
+
+        expect(result.text).toBe('');
+        expect(result.error.type).toBe(type);
+        expect(result.error.retryable).toBe(retryable);
+        expect(result.error.retryAfter).toBe(retryAfter);
+    });
+
+    test('reports an unreachable endpoint as a retryable network error', async () => {
+        const closed = await startStubServer(() => ({}));
+        await closed.close();
+        provider.apiBaseUrl = closed.url;
+
+        const result = await provider.translate('Hello', 'en', 'de');
+
+        expect(result.error.type).toBe(TranslationErrorType.NETWORK_ERROR);
+        expect(result.error.retryable).toBe(true);
+    });
+});
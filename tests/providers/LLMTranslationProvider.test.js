@@ -0,0 +1,83 @@
+// File: tests/providers/LLMTranslationProvider.test.js
+const LLMTranslationProvider = require('../../src/core/translation/providers/LLMTranslationProvider');
+const { TranslationErrorType } = require('../../src/core/translation/ITranslationProvider');
+const { startStubServer } = require('../helpers/stubServer');
+
+const completion = content => ({ body: { choices: [{ message: { content } }] } });
+
+describe('LLMTranslationProvider', () => {
+    let server;
+    let response;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startStubServer(() => response);
+    });
+
+    afterAll(async () => {
+        await server.close();
+        console.log.mockRestore();
+    });
+
+    const createProvider = (config = {}) => new LLMTranslationProvider({ baseUrl: `${server.url}/v1`, model: 'stub', ...config });
+
+    test('parses a structured completion', async () => {
+        response = completion('```json\n{"detected_language": "en", "translation": "Привет"}\n```');
+
+        const result = await createProvider().translate('Hello', 'auto', 'ru');
+
+        expect(result.error).toBeNull();
+        expect(result.text).toBe('Привет');
+        expect(result.sourceLang).toBe('en');
+        expect(server.requests[server.requests.length - 1].url).toBe('/v1/chat/completions');
+    });
+
+    test('sends the API key passed to initialize', async () => {
+        response = completion('{"detected_language": "en", "translation": "Привет"}');
+        const provider = createProvider();
+        await provider.initialize(' sk-test ');
+
+        await provider.translate('Hello', 'auto', 'ru');
+
+        expect(server.requests[server.requests.length - 1].headers.authorization).toBe('Bearer sk-test');
+    });
+
+    test('does not retry a missing base URL', async () => {
+        const result = await createProvider({ baseUrl: '' }).translate('Hello', 'en', 'ru');
+
+        expect(result.error.type).toBe(TranslationErrorType.INVALID_REQUEST);
+        expect(result.error.retryable).toBe(false);
+    });
+
+    test.each([
+        ['an empty completion', completion('   ')],
+        ['a completion with reasoning only', completion('<think>hmm</think>')]
+    ])('does not retry %s', async (name, stubResponse) => {
+        response = stubResponse;
+
+        const result = await createProvider().translate('Hello', 'en', 'ru');
+
+        expect(result.error.type).toBe(TranslationErrorType.INVALID_REQUEST);
+        expect(result.error.retryable).toBe(false);
+    });
+
+    test('does not retry a timed out request', async () => {
+        response = null;
+        const provider = createProvider();
+        provider.timeout = 100;
+
+        const result = await provider.translate('Hello', 'en', 'ru');
+
+        expect(result.error.type).toBe(TranslationErrorType.NETWORK_ERROR);
+        expect(result.error.retryable).toBe(false);
+    });
+
+    test('retries server errors', async () => {
+        response = { status: 500, body: { error: { message: 'overloaded' } } };
+
+        const result = await createProvider().translate('Hello', 'en', 'ru');
+
+        expect(result.error.type).toBe(TranslationErrorType.PROVIDER_ERROR);
+        expect(result.error.retryable).toBe(true);
+    });
+});
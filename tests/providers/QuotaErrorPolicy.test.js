@@ -0,0 +1,34 @@
+// File: tests/providers/QuotaErrorPolicy.test.js
+const GoogleTranslationProvider = require('../../src/core/translation/providers/GoogleTranslationProvider');
+const YandexTranslationProvider = require('../../src/core/translation/providers/YandexTranslationProvider');
+const DeepLTranslationProvider = require('../../src/core/translation/providers/DeepLTranslationProvider');
+const AzureTranslationProvider = require('../../src/core/translation/providers/AzureTranslationProvider');
+const { TranslationErrorType } = require('../../src/core/translation/ITranslationProvider');
+
+// Ответ сервера в форме ошибки axios
+function httpError(status, data) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+describe('quota errors', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    // Исчерпанная квота не восстанавливается за время повторов: RetryPolicy ее не повторяет, цепочка переходит дальше
+    test.each([
+        ['google', () => new GoogleTranslationProvider().mapGoogleError(httpError(403, { error: { message: 'Daily quota exceeded' } }))],
+        ['yandex', () => new YandexTranslationProvider().mapYandexError(httpError(403, { message: 'quota exceeded' }))],
+        ['deepl', () => new DeepLTranslationProvider().mapDeepLError(httpError(456, { message: 'Quota exceeded' }))],
+        ['azure', () => new AzureTranslationProvider().mapAzureError(httpError(403, { error: { code: 403001, message: 'Free tier quota exceeded' } }))]
+    ])('%s maps quota errors to QUOTA_EXCEEDED without retries', (name, mapError) => {
+        const error = mapError();
+
+        expect(error.type).toBe(TranslationErrorType.QUOTA_EXCEEDED);
+        expect(error.retryable).toBe(false);
+    });
+});
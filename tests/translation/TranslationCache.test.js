@@ -0,0 +1,58 @@
+// File: tests/translation/TranslationCache.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranslationCache = require('../../src/core/translation/TranslationCache');
+
+describe('TranslationCache', () => {
+    let dir;
+    let cache;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-cache-'));
+        cache = new TranslationCache({ filePath: path.join(dir, 'cache.json'), maxEntries: 2 });
+    });
+
+    afterEach(() => {
+        clearTimeout(cache.writer.timer);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('cache hits do not schedule a file write', () => {
+        cache.set('a', { text: 'A' });
+        cache.flush();
+        const schedule = jest.spyOn(cache.writer, 'schedule');
+
+        expect(cache.get('a')).toEqual({ text: 'A' });
+        expect(cache.get('a')).toEqual({ text: 'A' });
+
+        expect(schedule).not.toHaveBeenCalled();
+        expect(cache.writer.timer).toBeNull();
+    });
+
+    test('flush saves the usage order changed by hits', async () => {
+        cache.set('a', { text: 'A' });
+        cache.set('b', { text: 'B' });
+        cache.flush();
+
+        cache.get('a');
+        cache.flush();
+
+        // Последней использовалась «a», поэтому при переполнении вытесняется «b»
+        const restored = new TranslationCache({ filePath: cache.filePath, maxEntries: 2 });
+        await restored.load();
+        restored.set('c', { text: 'C' });
+        clearTimeout(restored.writer.timer);
+
+        expect(restored.get('a')).toEqual({ text: 'A' });
+        expect(restored.get('b')).toBeNull();
+    });
+});
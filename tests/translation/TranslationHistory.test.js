@@ -0,0 +1,25 @@
+// File: tests/translation/TranslationHistory.test.js
+const TranslationHistory = require('../../src/core/translation/TranslationHistory');
+
+describe('TranslationHistory search', () => {
+    let history;
+
+    beforeEach(() => {
+        history = new TranslationHistory();
+        history.add({ text: 'Hello', result: 'Привет', sourceLang: 'en', targetLang: 'ru', provider: 'deepl' });
+        history.add({ text: 'Good night', result: 'Спокойной ночи', sourceLang: 'en', targetLang: 'ru', provider: 'google' });
+    });
+
+    test.each([null, undefined, ''])('treats query %p as no filter', query => {
+        expect(history.search({ query }).total).toBe(2);
+    });
+
+    test('matches the source text and the translation case-insensitively', () => {
+        expect(history.search({ query: 'HELLO' }).items.map(entry => entry.text)).toEqual(['Hello']);
+        expect(history.search({ query: 'ночи' }).items.map(entry => entry.text)).toEqual(['Good night']);
+    });
+
+    test('combines the query with filters', () => {
+        expect(history.search({ query: 'o', provider: 'google' }).items.map(entry => entry.text)).toEqual(['Good night']);
+    });
+});
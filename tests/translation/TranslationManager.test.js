@@ -0,0 +1,135 @@
+// File: tests/translation/TranslationManager.test.js
+const TranslationManager = require('../../src/core/translation/TranslationManager');
+const TranslationContext = require('../../src/core/translation/TranslationContext');
+const { ITranslationProvider, TranslationResult } = require('../../src/core/translation/ITranslationProvider');
+
+/**
+ * Провайдер, который всегда определяет исходный язык как английский и запоминает запрошенные языки перевода
+ */
+class EnglishSourceProvider extends ITranslationProvider {
+    constructor() {
+        super();
+        this.targets = [];
+    }
+
+    get name() {
+        return 'english-source';
+    }
+
+    async translate(text, sourceLang, targetLang) {
+        this.targets.push(targetLang);
+        return new TranslationResult({
+            text: `[${targetLang}] ${text}`,
+            sourceLang: 'en',
+            targetLang,
+            provider: this.name,
+            detectedLanguage: 'en'
+        });
+    }
+}
+
+describe('TranslationManager target language', () => {
+    let manager;
+    let provider;
+
+    beforeEach(() => {
+        manager = new TranslationManager();
+        provider = new EnglishSourceProvider();
+        manager.activeProvider = provider;
+        // Пара ru → en: английский текст без явного языка переводится на русский
+        manager.context = new TranslationContext('ru', 'en', 60);
+    });
+
+    test('inverts the pair when the detected language equals the target', async () => {
+        const result = await manager.translate('Hello world', 'auto', 'en');
+
+        expect(result.targetLang).toBe('ru');
+        expect(result.translatedText).toBe('[ru] Hello world');
+        expect(manager.context.currentTarget).toBe('ru');
+    });
+
+    test('keeps an explicit target and leaves the shared context unchanged', async () => {
+        const result = await manager.translate('Hello world', 'auto', 'de', { explicitTarget: true });
+
+        expect(result.error).toBeUndefined();
+        expect(result.targetLang).toBe('de');
+        expect(result.translatedText).toBe('[de] Hello world');
+        expect(provider.targets).toEqual(['de']);
+        expect(manager.context.currentSource).toBe('ru');
+        expect(manager.context.currentTarget).toBe('en');
+    });
+
+    test('does not invert an explicit target equal to the detected language', async () => {
+        const result = await manager.translate('Hello world', 'auto', 'en', { explicitTarget: true });
+
+        expect(result.targetLang).toBe('en');
+        expect(provider.targets).toEqual(['en']);
+        expect(manager.context.currentTarget).toBe('en');
+    });
+
+    test('keeps the shared context on an explicit-target memory hit', async () => {
+        manager.memory.put({ sourceLang: 'en', targetLang: 'de', source: 'Hello world', target: 'Hallo Welt' });
+
+        const result = await manager.translate('Hello world', 'auto', 'de', { explicitTarget: true });
+
+        expect(result.fromMemory).toBe(true);
+        expect(result.translatedText).toBe('Hallo Welt');
+        expect(provider.targets).toEqual([]);
+        expect(manager.context.currentSource).toBe('ru');
+        expect(manager.context.currentTarget).toBe('en');
+    });
+});
+
+describe('TranslationManager comparison', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    test('reuses the active provider without initializing it again', async () => {
+        const manager = new TranslationManager();
+        await manager.initialize('mock', 'mock-key');
+        const initialize = jest.spyOn(manager.activeProvider, 'initialize');
+
+        await expect(manager.getInitializedProvider('mock')).resolves.toBe(manager.activeProvider);
+        expect(initialize).not.toHaveBeenCalled();
+    });
+});
+
+describe('TranslationManager history', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        manager = new TranslationManager();
+        manager.activeProvider = new EnglishSourceProvider();
+    });
+
+    afterEach(() => {
+        manager.discardPendingHistory();
+        jest.useRealTimers();
+    });
+
+    test('records only the last live translation of a series', async () => {
+        await manager.translate('Hel', 'auto', 'ru', { live: true });
+        await manager.translate('Hello', 'auto', 'ru', { live: true });
+        expect(manager.history.length).toBe(0);
+
+        jest.runOnlyPendingTimers();
+
+        expect(manager.history.getRecent().map(entry => entry.text)).toEqual(['Hello']);
+    });
+
+    test('records explicit translations immediately and live ones on cleanup', async () => {
+        await manager.translate('Hello', 'auto', 'ru');
+        expect(manager.history.getRecent().map(entry => entry.text)).toEqual(['Hello']);
+
+        await manager.translate('Good night', 'auto', 'ru', { live: true });
+        manager.cleanup();
+
+        expect(manager.history.getRecent().map(entry => entry.text)).toEqual(['Good night', 'Hello']);
+    });
+});
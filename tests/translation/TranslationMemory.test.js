@@ -0,0 +1,112 @@
+// File: tests/translation/TranslationMemory.test.js
+const TranslationMemory = require('../../src/core/translation/TranslationMemory');
+
+/**
+ * Похожесть лучших совпадений при сравнении со всеми единицами — эталон для проверки отбора кандидатов
+ */
+function bruteForceSimilarities(memory, text, threshold, limit) {
+    const normalized = TranslationMemory.normalizeText(text);
+
+    return memory.units
+        .map(unit => TranslationMemory.similarity(normalized, TranslationMemory.normalizeText(unit.source), threshold))
+        .filter(similarity => similarity >= threshold)
+        .sort((a, b) => b - a)
+        .slice(0, limit);
+}
+
+function randomText(random, length) {
+    const alphabet = 'abcde fgh';
+    return Array.from({ length }, () => alphabet[Math.floor(random() * alphabet.length)]).join('').trim() || 'a';
+}
+
+function mutate(random, text, edits) {
+    const chars = [...text];
+    for (let i = 0; i < edits; i++) {
+        const position = Math.floor(random() * (chars.length + 1));
+        const operation = Math.floor(random() * 3);
+        if (operation === 0) chars.splice(position, 0, 'x');
+        else if (operation === 1) chars.splice(position, 1);
+        else chars[position] = 'y';
+    }
+    return chars.join('').trim() || 'a';
+}
+
+// Детерминированный генератор, чтобы тест не зависел от случайности
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+describe('TranslationMemory', () => {
+    let memory;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        memory = new TranslationMemory();
+    });
+
+    test('finds exact matches regardless of case and spacing', () => {
+        memory.add({ sourceLang: 'en-US', targetLang: 'ru', source: 'Save  the file', target: 'Сохраните файл' });
+
+        const result = memory.lookup('save the FILE', 'auto', 'ru');
+
+        expect(result.exact.target).toBe('Сохраните файл');
+    });
+
+    test('returns similar segments ordered by similarity', () => {
+        memory.import([
+            { sourceLang: 'en', targetLang: 'ru', source: 'Save the file before closing', target: 'Сохраните файл перед закрытием' },
+            { sourceLang: 'en', targetLang: 'ru', source: 'Save the files before closing', target: 'Сохраните файлы перед закрытием' },
+            { sourceLang: 'en', targetLang: 'ru', source: 'Open the settings window', target: 'Откройте окно настроек' }
+        ]);
+
+        const result = memory.lookup('Save the file before close', 'en', 'ru', { threshold: 0.75 });
+
+        expect(result.exact).toBeNull();
+        expect(result.matches.map(match => match.target)).toEqual(['Сохраните файл перед закрытием', 'Сохраните файлы перед закрытием']);
+    });
+
+    test.each([0.5, 0.75, 0.9])('finds the same best matches as a full scan (threshold %f)', threshold => {
+        const random = createRandom(42);
+        const bases = Array.from({ length: 24 }, (value, index) => randomText(random, 2 + (index % 12) * 4));
+
+        bases.forEach(base => {
+            [0, 1, 2, 4, 8].forEach(edits => memory.add({ sourceLang: 'en', targetLang: 'ru', source: mutate(random, base, edits), target: 't' }));
+        });
+
+        bases.forEach(base => {
+            const query = mutate(random, base, 1);
+            const { exact, matches } = memory.lookup(query, 'en', 'ru', { threshold, limit: 3 });
+            if (exact) return;
+
+            expect(matches.map(match => match.similarity)).toEqual(bruteForceSimilarities(memory, query, threshold, 3));
+        });
+    });
+
+    test('compares a bounded number of candidates in a large memory', () => {
+        const random = createRandom(7);
+        for (let i = 0; i < 5000; i++) {
+            memory.put({ sourceLang: 'en', targetLang: 'ru', source: `${randomText(random, 60)} ${i}`, target: 't' });
+        }
+        memory.add({ sourceLang: 'en', targetLang: 'ru', source: 'The quick brown fox jumps over the lazy dog', target: 'Лиса' });
+
+        const similarity = jest.spyOn(TranslationMemory, 'similarity');
+        try {
+            const result = memory.lookup('The quick brown fox jumped over the lazy dog', 'en', 'ru');
+
+            expect(result.matches[0].target).toBe('Лиса');
+            expect(similarity.mock.calls.length).toBeLessThanOrEqual(50);
+        } finally {
+            similarity.mockRestore();
+        }
+    });
+});
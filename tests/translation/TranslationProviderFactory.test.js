@@ -0,0 +1,68 @@
+// File: tests/translation/TranslationProviderFactory.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranslationProviderFactory = require('../../src/core/translation/TranslationProviderFactory');
+const TranslationManager = require('../../src/core/translation/TranslationManager');
+
+const SDK_PATH = path.resolve(__dirname, '../../src/core/translation/ITranslationProvider');
+
+// Плагин загружается, но его конструктор падает
+const BROKEN_PLUGIN = `
+const { ITranslationProvider } = require(${JSON.stringify(SDK_PATH)});
+
+class BrokenProvider extends ITranslationProvider {
+    constructor(config) {
+        super(config);
+        throw new Error('missing endpoint');
+    }
+}
+
+BrokenProvider.metadata = { name: 'broken', label: 'Broken' };
+module.exports = BrokenProvider;
+`;
+
+describe('provider plugins', () => {
+    let dir;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-plugins-'));
+        fs.writeFileSync(path.join(dir, 'broken.js'), BROKEN_PLUGIN);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a plugin whose constructor throws is reported instead of replaced by mock', () => {
+        const factory = new TranslationProviderFactory();
+        expect(factory.loadPlugins(dir)).toEqual({ loaded: ['broken'], errors: [] });
+
+        expect(() => factory.createProvider('broken')).toThrow('missing endpoint');
+        expect(() => factory.createProvider('broken')).toThrow('missing endpoint');
+
+        expect(factory.getPluginsStatus().errors).toEqual([{ file: 'broken.js', error: 'missing endpoint' }]);
+    });
+
+    test('translations return the plugin error', async () => {
+        const manager = new TranslationManager();
+        manager.loadProviderPlugins(dir);
+        await manager.initialize('broken', '');
+
+        const result = await manager.translate('Hello', 'auto', 'ru');
+
+        expect(manager.activeProvider).toBeNull();
+        expect(result.translatedText).toBe('');
+        expect(result.error).toContain('missing endpoint');
+    });
+});
@@ -0,0 +1,127 @@
+// File: tests/utils/JsonFileWriter.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileWriter = require('../../src/utils/JsonFileWriter');
+
+describe('JsonFileWriter', () => {
+    let dir;
+    let data;
+    let writer;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-writer-'));
+        data = { value: 0 };
+        writer = new JsonFileWriter(() => ({ ...data }), { delay: 10 });
+        writer.filePath = path.join(dir, 'data.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replaces the file and leaves no temporary file', async () => {
+        fs.writeFileSync(writer.filePath, JSON.stringify({ value: -1 }));
+        data.value = 1;
+
+        await writer.write();
+
+        expect(await writer.read()).toEqual({ value: 1 });
+        expect(fs.readdirSync(dir)).toEqual(['data.json']);
+    });
+
+    test('runs concurrent writes one after another and keeps the latest data', async () => {
+        const realWriteFile = fs.promises.writeFile;
+        let calls = 0;
+        let active = 0;
+        let maxActive = 0;
+        const writeFile = jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (...args) => {
+            calls++;
+            maxActive = Math.max(maxActive, ++active);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await realWriteFile(...args);
+            active--;
+        });
+
+        try {
+            data.value = 1;
+            const first = writer.write();
+            await new Promise(resolve => setImmediate(resolve));
+
+            // Первая запись уже идет, следующие объединяются в одну после нее
+            const writes = [2, 3, 4].map(value => {
+                data.value = value;
+                return writer.write();
+            });
+            await Promise.all([first, ...writes]);
+        } finally {
+            writeFile.mockRestore();
+        }
+
+        expect(calls).toBe(2);
+        expect(maxActive).toBe(1);
+        expect(await writer.read()).toEqual({ value: 4 });
+    });
+
+    test('keeps the previous file when serialization fails', async () => {
+        fs.writeFileSync(writer.filePath, JSON.stringify({ value: 'saved' }));
+        writer.serialize = () => {
+            throw new Error('broken');
+        };
+
+        await writer.write();
+
+        expect(await writer.read()).toEqual({ value: 'saved' });
+    });
+
+    test('flush writes scheduled changes synchronously', () => {
+        data.value = 7;
+        writer.schedule();
+
+        writer.flush();
+
+        expect(JSON.parse(fs.readFileSync(writer.filePath, 'utf8'))).toEqual({ value: 7 });
+        expect(fs.readdirSync(dir)).toEqual(['data.json']);
+    });
+
+    test('an async write started before flush does not overwrite flushed data', async () => {
+        const realWriteFile = fs.promises.writeFile;
+        let started;
+        let release;
+        const writeStarted = new Promise(resolve => { started = resolve; });
+        const gate = new Promise(resolve => { release = resolve; });
+        const writeFile = jest.spyOn(fs.promises, 'writeFile').mockImplementation(async (...args) => {
+            started();
+            await gate;
+            await realWriteFile(...args);
+        });
+
+        try {
+            data.value = 1;
+            const pending = writer.write();
+            await writeStarted;
+
+            // Асинхронная запись уже сериализовала старые данные и завершится после flush()
+            data.value = 2;
+            writer.schedule();
+            writer.flush();
+            expect(await writer.read()).toEqual({ value: 2 });
+
+            release();
+            await pending;
+        } finally {
+            writeFile.mockRestore();
+        }
+
+        expect(await writer.read()).toEqual({ value: 2 });
+        expect(fs.readdirSync(dir)).toEqual(['data.json']);
+    });
+});
@@ -0,0 +1,32 @@
+// File: tests/utils/ProtectedText.test.js
+const ProtectedText = require('../../src/utils/ProtectedText');
+
+function protectedFragments(text) {
+    return ProtectedText.findSpans(text).map(span => span.replacement);
+}
+
+describe('ProtectedText', () => {
+    test.each([
+        'Sales grew 50% over the year',
+        '100% done',
+        'We reached 20% of users',
+        'Rates rose 5%, then fell 3%.',
+        '100%done'
+    ])('does not treat percentages in prose as placeholders: %s', text => {
+        expect(protectedFragments(text)).toEqual([]);
+    });
+
+    test('finds printf formats', () => {
+        expect(protectedFragments('Hello %s, you have %d items, %1$s, %.2f, %-5d, %(name)s.'))
+            .toEqual(['%s', '%d', '%1$s', '%.2f', '%-5d', '%(name)s']);
+    });
+
+    test('finds code, markup, links and template placeholders', () => {
+        const text = 'Run `npm test` in <b>{name}</b>, see https://example.com/docs. Call parseConfig() &amp; mail me@example.com';
+
+        expect(protectedFragments(text)).toEqual(expect.arrayContaining([
+            '`npm test`', '<b>', '</b>', '{name}', 'https://example.com/docs', 'parseConfig()', '&amp;', 'me@example.com'
+        ]));
+        expect(protectedFragments(text)).not.toContain('https://example.com/docs.');
+    });
+});
@@ -0,0 +1,40 @@
+// File: tests/utils/TextMasker.test.js
+const TextMasker = require('../../src/utils/TextMasker');
+const ProtectedText = require('../../src/utils/ProtectedText');
+
+describe('TextMasker', () => {
+    test('masks protected fragments and restores them after translation', () => {
+        const text = 'Hello %s, open <b>settings</b>';
+        const masked = TextMasker.mask(text, ProtectedText.findSpans(text));
+
+        expect(masked.text).toBe('Hello ⟦0⟧, open ⟦1⟧settings⟦2⟧');
+
+        const restored = TextMasker.unmask('Привет ⟦0⟧, откройте ⟦1⟧настройки⟦ 2 ⟧', masked.tokens);
+        expect(restored).toEqual({ text: 'Привет %s, откройте <b>настройки</b>', missing: [] });
+    });
+
+    test('leaves ordinary percentages untouched', () => {
+        const text = 'Sales grew 50% over the year';
+
+        expect(TextMasker.mask(text, ProtectedText.findSpans(text))).toEqual({ text, tokens: [] });
+    });
+
+    test('drops spans overlapping an earlier one', () => {
+        const masked = TextMasker.mask('abcdef', [
+            { start: 1, end: 4, replacement: 'X' },
+            { start: 3, end: 5, replacement: 'Y' },
+            { start: 5, end: 6, replacement: 'Z' }
+        ]);
+
+        expect(masked.text).toBe('a⟦0⟧e⟦1⟧');
+        expect(masked.tokens.map(token => token.replacement)).toEqual(['X', 'Z']);
+    });
+
+    test('reports markers lost in translation', () => {
+        const masked = TextMasker.mask('a %s b %d', ProtectedText.findSpans('a %s b %d'));
+        const restored = TextMasker.unmask('а ⟦0⟧ б', masked.tokens);
+
+        expect(restored.text).toBe('а %s б');
+        expect(restored.missing.map(token => token.original)).toEqual(['%d']);
+    });
+});